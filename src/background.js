@@ -3,43 +3,31 @@
  * Handles extension lifecycle, keyboard shortcuts, and messaging
  */
 
+import {
+    STORAGE_KEYS, DEFAULT_SETTINGS, DEFAULT_SCHEDULE, DEFAULT_RULE_PRIORITY, GLOBAL_RULES_ACCOUNT
+} from './lib/constants.js';
+import { logger, isTutaUrl } from './lib/utils.js';
+import { createRuleSet } from './lib/migrations.js';
+import { createCondition, createGroup } from './lib/conditions.js';
+import { getEffectiveRules } from './lib/rule-layers.js';
+import { storage } from './lib/storage.js';
+
 // ============================================
-// Constants (duplicated since SW can't use modules)
+// Constants
 // ============================================
-const LOG_PREFIX = '[TutOrg]';
-const STORAGE_KEYS = {
-    RULES_PREFIX: 'emailRules_',
-    LEGACY_RULES: 'emailRules',
-    TARGET_TAB: 'targetTabId'
-};
-const TUTA_URLS = ['mail.tuta.com', 'app.tuta.com'];
-
-function getRuleKeys(account = 'default') {
-    return {
-        accountKey: `${STORAGE_KEYS.RULES_PREFIX}${account}`,
-        defaultKey: `${STORAGE_KEYS.RULES_PREFIX}default`,
-        legacyKey: STORAGE_KEYS.LEGACY_RULES
-    };
-}
+const ALARM_PREFIX = 'tutorg-schedule:';
+const MAX_SCHEDULED_RUNS = 10;
 
 // ============================================
 // Logger
 // ============================================
-const log = (...args) => console.log(LOG_PREFIX, ...args);
-const logError = (...args) => console.error(LOG_PREFIX, ...args);
+const log = logger.log;
+const logError = logger.error;
 
 // ============================================
 // Utility Functions
 // ============================================
 
-/**
- * Check if URL is a Tuta Mail URL
- */
-function isTutaUrl(url) {
-    if (!url) return false;
-    return TUTA_URLS.some(domain => url.includes(domain));
-}
-
 /**
  * Find a Tuta Mail tab (with priority for stored target)
  */
@@ -82,81 +70,37 @@ async function findTutaTab() {
 // ============================================
 
 /**
- * Get rules for a specific account
+ * Save rules for an account and refresh the badge
+ * Global rule switches are only changed from the popup
  */
-async function getRules(account = 'default') {
-    try {
-        const { accountKey, defaultKey, legacyKey } = getRuleKeys(account);
-        const keys = [accountKey, defaultKey, legacyKey];
-
-        const [localResult, syncResult] = await Promise.all([
-            chrome.storage.local.get(keys),
-            chrome.storage.sync.get(keys)
-        ]);
-
-        const rules =
-            localResult[accountKey] ||
-            localResult[defaultKey] ||
-            localResult[legacyKey] ||
-            syncResult[accountKey] ||
-            syncResult[defaultKey] ||
-            syncResult[legacyKey] ||
-            [];
-
-        // Migrate to local if we only found data in sync
-        if (!localResult[accountKey] && rules.length > 0) {
-            await chrome.storage.local.set({ [accountKey]: rules });
-        }
-
-        return rules;
-    } catch (error) {
-        logError('Error loading rules:', error);
-        return [];
-    }
+async function saveRules(rules, account = 'default') {
+    const result = await storage.saveRules(rules, account);
+    await updateBadge();
+    return result;
 }
 
 /**
- * Save rules for a specific account
+ * Get the rules that apply to an account: the global rules (minus the ones it switched off)
+ * followed by its own
  */
-async function saveRules(rules, account = 'default') {
-    try {
-        const { accountKey, defaultKey } = getRuleKeys(account);
-        const payload = { [accountKey]: rules, [defaultKey]: rules };
-
-        await chrome.storage.local.set(payload);
-        await chrome.storage.sync.set(payload);
+async function loadEffectiveRules(account = 'default') {
+    if (account === GLOBAL_RULES_ACCOUNT) return storage.getRules(GLOBAL_RULES_ACCOUNT);
 
-        log('Saved', rules.length, 'rules for account:', account);
-        await updateBadge();
-        return { success: true };
-    } catch (error) {
-        logError('Error saving rules:', error);
-        return { success: false, error: error.message };
-    }
+    const { globalRules, rules, disabledGlobal } = await storage.getRuleLayers(account);
+    return getEffectiveRules(globalRules, rules, disabledGlobal);
 }
 
 /**
- * Get enabled rules count
+ * Get run options (mode and full-folder limit) from settings
  */
-async function getEnabledRulesCount() {
+async function getRunOptions() {
     try {
-        const [localAll, syncAll] = await Promise.all([
-            chrome.storage.local.get(null),
-            chrome.storage.sync.get(null)
-        ]);
-        const allStorage = { ...syncAll, ...localAll }; // local wins
-        let count = 0;
-        
-        for (const [key, value] of Object.entries(allStorage)) {
-            if (key.startsWith(STORAGE_KEYS.RULES_PREFIX) && Array.isArray(value)) {
-                count += value.filter(r => r.enabled).length;
-            }
-        }
-        
-        return count;
+        const result = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+        const settings = { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS] };
+        return { mode: settings.runMode, limit: settings.fullFolderLimit };
     } catch (error) {
-        logError('Error counting rules:', error);
-        return 0;
+        logError('Error loading settings:', error);
+        return { mode: DEFAULT_SETTINGS.runMode, limit: DEFAULT_SETTINGS.fullFolderLimit };
     }
 }
 
@@ -169,7 +113,7 @@ async function getEnabledRulesCount() {
  */
 async function updateBadge() {
     try {
-        const count = await getEnabledRulesCount();
+        const count = await storage.getEnabledRulesCount();
         
         if (count > 0) {
             await chrome.action.setBadgeText({ text: count.toString() });
@@ -204,6 +148,37 @@ function showNotification(title, message) {
 // Rule Execution
 // ============================================
 
+/**
+ * Run an account's enabled rules in a Tuta tab
+ * Shared by the keyboard shortcut and scheduled runs
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function runRulesInTab(tab, account = 'default', trigger = 'shortcut') {
+    const rules = await loadEffectiveRules(account);
+    const enabledRules = rules.filter(r => r.enabled);
+    
+    if (enabledRules.length === 0) {
+        return { success: false, message: 'No enabled rules to run' };
+    }
+    
+    log('Running', enabledRules.length, 'rules via', trigger);
+    
+    const response = await chrome.tabs.sendMessage(tab.id, {
+        action: 'runRules',
+        rules: enabledRules,
+        options: { ...(await getRunOptions()), trigger }
+    });
+    
+    log(`${trigger} execution result:`, response);
+    
+    return {
+        success: !!response?.success,
+        message: response?.success 
+            ? response.message 
+            : (response?.message || 'Failed to run rules')
+    };
+}
+
 /**
  * Run rules via keyboard shortcut
  */
@@ -216,34 +191,241 @@ async function runRulesViaShortcut() {
             return;
         }
         
-        const rules = await getRules('default');
-        const enabledRules = rules.filter(r => r.enabled);
-        
-        if (enabledRules.length === 0) {
-            showNotification('TutOrg', 'No enabled rules to run');
-            return;
-        }
-        
-        log('Running', enabledRules.length, 'rules via shortcut');
-        
-        const response = await chrome.tabs.sendMessage(tab.id, {
-            action: 'runRules',
-            rules: enabledRules
-        });
-        
-        log('Shortcut execution result:', response);
-        
-        const message = response?.success 
-            ? response.message 
-            : (response?.message || 'Failed to run rules');
-        
-        showNotification('TutOrg', message);
+        const result = await runRulesInTab(tab, await getTabAccount(tab) || 'default', 'shortcut');
+        showNotification('TutOrg', result.message);
     } catch (error) {
         logError('Error running rules via shortcut:', error);
         showNotification('TutOrg', 'Error: ' + error.message);
     }
 }
 
+// ============================================
+// Scheduled Runs
+// ============================================
+
+/**
+ * Get all schedules, keyed by account
+ */
+async function getSchedules() {
+    try {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.SCHEDULES);
+        return result[STORAGE_KEYS.SCHEDULES] || {};
+    } catch (error) {
+        logError('Error loading schedules:', error);
+        return {};
+    }
+}
+
+/**
+ * Get one account's schedule (defaults filled in)
+ */
+async function getSchedule(account = 'default') {
+    const schedules = await getSchedules();
+    return { ...DEFAULT_SCHEDULE, ...schedules[account] };
+}
+
+// Pending writes to the schedules map, so a run finishing while the popup saves doesn't drop either
+let scheduleWrites = Promise.resolve();
+
+/**
+ * Change the stored schedules map, one change at a time
+ * @param {Function} change - Receives the map to edit in place
+ * @returns {Promise<Object>} - The schedules as written
+ */
+function updateSchedules(change) {
+    const write = scheduleWrites.then(async () => {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.SCHEDULES);
+        const schedules = { ...result[STORAGE_KEYS.SCHEDULES] };
+        change(schedules);
+        await chrome.storage.local.set({ [STORAGE_KEYS.SCHEDULES]: schedules });
+        return schedules;
+    });
+    // Keep the chain going after a failed write; the caller still sees the error
+    scheduleWrites = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Save an account's schedule and (re)create its alarm
+ */
+async function saveSchedule(account = 'default', schedule) {
+    try {
+        const schedules = await updateSchedules(all => {
+            const existing = all[account] || {};
+
+            // Run history is owned by the background; keep it across edits
+            all[account] = {
+                ...DEFAULT_SCHEDULE,
+                ...schedule,
+                lastRun: existing.lastRun || null,
+                runs: existing.runs || []
+            };
+        });
+        await syncScheduleAlarm(account, schedules[account]);
+
+        log('Saved schedule for account:', account);
+        return { success: true, ...(await getScheduleStatus(account)) };
+    } catch (error) {
+        logError('Error saving schedule:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Create or clear the alarm backing a schedule
+ */
+async function syncScheduleAlarm(account, schedule) {
+    const name = ALARM_PREFIX + account;
+    await chrome.alarms.clear(name);
+
+    if (schedule?.enabled && schedule.intervalMinutes > 0) {
+        chrome.alarms.create(name, {
+            delayInMinutes: schedule.intervalMinutes,
+            periodInMinutes: schedule.intervalMinutes
+        });
+        log('Scheduled', account, 'every', schedule.intervalMinutes, 'minutes');
+    }
+}
+
+/**
+ * Recreate alarms for all stored schedules (alarms may not survive updates)
+ */
+async function restoreScheduleAlarms() {
+    const schedules = await getSchedules();
+    for (const [account, schedule] of Object.entries(schedules)) {
+        const existing = await chrome.alarms.get(ALARM_PREFIX + account);
+        if (schedule.enabled && !existing) {
+            await syncScheduleAlarm(account, schedule);
+        }
+    }
+}
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseTimeOfDay(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : fallback;
+}
+
+/**
+ * Check if a time falls inside the schedule's working days/hours
+ * Hours ending before they start run overnight (22:00–06:00); the part after midnight
+ * belongs to the day the hours started on
+ */
+function isWithinSchedule(schedule, date = new Date()) {
+    let day = date.getDay();
+
+    if (schedule.workingHoursOnly) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const start = parseTimeOfDay(schedule.startTime, 9 * 60);
+        const end = parseTimeOfDay(schedule.endTime, 17 * 60);
+
+        if (start <= end) {
+            if (minutes < start || minutes >= end) return false;
+        } else if (minutes < end) {
+            day = (day + 6) % 7;
+        } else if (minutes < start) {
+            return false;
+        }
+    }
+    return !(schedule.weekdaysOnly && (day === 0 || day === 6));
+}
+
+/**
+ * Get the next time the schedule will actually run (skipping alarms outside working hours)
+ */
+async function getNextRunTime(account, schedule) {
+    if (!schedule?.enabled) return null;
+
+    const alarm = await chrome.alarms.get(ALARM_PREFIX + account);
+    if (!alarm) return null;
+
+    const period = schedule.intervalMinutes * 60 * 1000;
+    const maxSteps = Math.ceil((7 * 24 * 60) / schedule.intervalMinutes);
+    let time = alarm.scheduledTime;
+
+    for (let step = 0; step <= maxSteps; step++) {
+        if (isWithinSchedule(schedule, new Date(time))) return time;
+        time += period;
+    }
+    return null;
+}
+
+/**
+ * Get a schedule plus its next run time (for the popup)
+ */
+async function getScheduleStatus(account = 'default') {
+    const schedule = await getSchedule(account);
+    return { schedule, nextRunAt: await getNextRunTime(account, schedule) };
+}
+
+/**
+ * Record the outcome of a scheduled run
+ */
+async function recordScheduledRun(account, result) {
+    const run = { at: Date.now(), success: result.success, message: result.message };
+
+    await updateSchedules(schedules => {
+        const schedule = { ...DEFAULT_SCHEDULE, ...schedules[account] };
+        schedule.lastRun = run;
+        schedule.runs = [run, ...(schedule.runs || [])].slice(0, MAX_SCHEDULED_RUNS);
+        schedules[account] = schedule;
+    });
+}
+
+/**
+ * Ask a tab which account is signed in
+ */
+async function getTabAccount(tab) {
+    try {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'getAccountInfo' });
+        return response?.account || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find a Tuta tab signed in to the given account ('default' = any Tuta tab)
+ */
+async function findTutaTabForAccount(account) {
+    if (account === 'default') return findTutaTab();
+
+    const allTabs = await chrome.tabs.query({});
+    for (const tab of allTabs.filter(t => isTutaUrl(t.url))) {
+        if (await getTabAccount(tab) === account) return tab;
+    }
+    return null;
+}
+
+/**
+ * Run an account's rules from its schedule alarm
+ */
+async function runScheduledRules(account) {
+    const schedule = await getSchedule(account);
+    if (!schedule.enabled) return;
+
+    if (!isWithinSchedule(schedule)) {
+        log('Skipping scheduled run outside working hours for', account);
+        return;
+    }
+
+    let result;
+    try {
+        const tab = await findTutaTabForAccount(account);
+        result = tab
+            ? await runRulesInTab(tab, account, 'schedule')
+            : { success: false, message: `No open Tuta Mail tab for ${account}` };
+    } catch (error) {
+        logError('Error running scheduled rules:', error);
+        result = { success: false, message: 'Error: ' + error.message };
+    }
+
+    log('Scheduled run for', account, ':', result.message);
+    await recordScheduledRun(account, result);
+}
+
 // ============================================
 // Initialization
 // ============================================
@@ -255,20 +437,26 @@ async function initializeDefaultRules() {
     const defaultRules = [{
         id: Date.now().toString(),
         name: 'Example: Archive Newsletters',
-        matchType: 'subject-contains',
-        matchValue: 'Newsletter',
-        action: 'archive',
+        conditions: createGroup('any', [createCondition('subject', 'contains', 'Newsletter')]),
+        exceptions: [],
+        actions: [{ type: 'archive' }],
+        priority: DEFAULT_RULE_PRIORITY,
+        stopProcessing: false,
+        sourceFolders: [],
         enabled: false,
-        account: 'default'
+        account: GLOBAL_RULES_ACCOUNT,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
     }];
 
     const payload = { 
-        [STORAGE_KEYS.LEGACY_RULES]: defaultRules,
-        [`${STORAGE_KEYS.RULES_PREFIX}default`]: defaultRules 
+        [`${STORAGE_KEYS.RULES_PREFIX}${GLOBAL_RULES_ACCOUNT}`]: createRuleSet(defaultRules)
     };
 
     await chrome.storage.local.set(payload);
     await chrome.storage.sync.set(payload);
+    // A new install has no default account copy of older saves to clean up
+    await chrome.storage.local.set({ [STORAGE_KEYS.DEFAULT_RULES_CHECKED]: true });
     
     log('Default rules initialized');
 }
@@ -283,7 +471,15 @@ chrome.runtime.onInstalled.addListener((details) => {
     
     if (details.reason === 'install') {
         initializeDefaultRules();
+    } else if (details.reason === 'update') {
+        storage.migrateDefaultRules().catch(error => logError('Error cleaning up default account rules:', error));
     }
+    restoreScheduleAlarms();
+});
+
+// Browser startup - make sure schedule alarms exist
+chrome.runtime.onStartup.addListener(() => {
+    restoreScheduleAlarms();
 });
 
 // Message handling
@@ -292,12 +488,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     switch (request.action) {
         case 'getRules':
-            getRules(request.account).then(sendResponse);
+            storage.getRules(request.account).then(sendResponse);
             return true;
             
         case 'saveRules':
             saveRules(request.rules, request.account).then(sendResponse);
             return true;
+
+        case 'getEffectiveRules':
+            loadEffectiveRules(request.account).then(sendResponse);
+            return true;
             
         case 'findTutaTab':
             findTutaTab().then(tab => sendResponse({ tab }));
@@ -306,6 +506,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         case 'runRulesBackground':
             runRulesViaShortcut().then(() => sendResponse({ success: true }));
             return true;
+            
+        case 'getSchedule':
+            getScheduleStatus(request.account).then(sendResponse);
+            return true;
+            
+        case 'saveSchedule':
+            saveSchedule(request.account, request.schedule).then(sendResponse);
+            return true;
     }
 });
 
@@ -318,17 +526,29 @@ chrome.commands.onCommand.addListener((command) => {
     }
 });
 
+// Schedule alarms
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name.startsWith(ALARM_PREFIX)) {
+        runScheduledRules(alarm.name.slice(ALARM_PREFIX.length));
+    }
+});
+
 // Storage changes (for badge updates)
 chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName === 'sync' || areaName === 'local') {
-        const hasRuleChanges = Object.keys(changes).some(key => 
+        const ruleKeys = Object.keys(changes).filter(key => 
             key.startsWith(STORAGE_KEYS.RULES_PREFIX)
         );
         
-        if (hasRuleChanges) {
+        if (ruleKeys.length) {
             log('Rules changed, updating badge');
             updateBadge();
         }
+
+        // Rules saved on another device: merge them into this device's copy
+        if (areaName === 'sync') {
+            ruleKeys.forEach(key => storage.getRules(key.slice(STORAGE_KEYS.RULES_PREFIX.length)));
+        }
     }
 });
 
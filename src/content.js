@@ -25,7 +25,30 @@ const SELECTORS = {
     // Folder related selectors
     moveButton: 'button[data-testid="btn:move_action"]',
     folderDropdown: '[data-testid="dropdown:menu"]',
-    folderButton: 'button[data-testid^="btn:dropdown-folder:"]'
+    folderButton: 'button[data-testid^="btn:dropdown-folder:"]',
+    // Sidebar folder navigation
+    folderLink: '.folder-column a[href*="/mail/"], nav a[href*="/mail/"]',
+    selectedFolder: '[aria-current="page"], .selected, .active',
+    // Row state (flags conditions)
+    unreadIndicator: '[data-testid="list-row:mail:unread"], .unread',
+    // Reading pane (sender address lookup)
+    mailViewer: '[data-testid="mail-viewer"], .mail-viewer',
+    mailViewerHeader: '[data-testid="mail-viewer:header"], .mail-viewer-header, .header'
+};
+
+// System folders that trash/archive move emails into
+const SYSTEM_FOLDERS = {
+    trash: 'Trash',
+    archive: 'Archive',
+    inbox: 'Inbox'
+};
+
+// Title/aria-label text of the icons a row shows, per flag (case-insensitive, partial)
+const ROW_ICON_TITLES = {
+    attachment: ['Attachment'],
+    replied: ['Replied'],
+    forwarded: ['Forwarded'],
+    confidential: ['Confidential', 'Encrypted']
 };
 
 const BUTTON_TITLES = {
@@ -42,9 +65,84 @@ const TIMING = {
     folderDelay: 2000,      // wait after selecting a folder in Move dropdown
     indicatorTimeout: 4000,
     rowSettleTimeout: 2000, // max wait for moved/deleted rows to disappear
-    scrollResetDelay: 500   // wait after forcing scroll-to-top before reading rows
+    scrollResetDelay: 500,  // wait after forcing scroll-to-top before reading rows
+    scrollPageDelay: 800,   // wait for the virtual list to render rows after scrolling a page
+    folderOpenDelay: 1500,  // wait for a folder's list to render after navigating to it
+    readingPaneDelay: 1000, // wait for an opened email to render in the reading pane
+    undoIndicatorTimeout: 10000
+};
+
+// Full-folder runs: scan at most this many emails unless the popup sends a limit
+const DEFAULT_FULL_FOLDER_LIMIT = 500;
+
+const SETTINGS_KEY = 'settings';
+
+// Emails acted on by the most recent run that acted on anything (see undoLastRun)
+const LAST_RUN_KEY = 'lastRun';
+
+// Undo looks for restored emails at most this many pages down each folder
+const UNDO_MAX_PAGES = 20;
+
+// Run history (audit log), kept as a ring buffer in local storage
+const HISTORY_KEY = 'runHistory';
+const HISTORY = {
+    maxEntries: 200,
+    maxMatchesPerRule: 50
+};
+
+// Actions that move rows out of the current folder
+const MOVING_ACTIONS = ['trash', 'archive', 'move-to-folder'];
+
+// Outline colors for preview highlights (one per rule, cycled)
+const PREVIEW_COLORS = ['#840b2a', '#0366d6', '#28a745', '#e36209', '#6f42c1', '#17a2b8'];
+
+// Auto-run on new mail (opt-in via settings.autoRunOnNewMail)
+const NEW_MAIL = {
+    debounceDelay: 1500,    // wait for a burst of new rows to settle
+    interactionPause: 5000, // don't run within this long of the user touching the list
+    attachInterval: 2000,   // re-check the list container (Tuta re-renders it on navigation)
+    topThreshold: 50,       // rows only count as new mail while the list is scrolled to the top
+    navigationSettle: 3000  // rows rendered this long after opening another folder are not new mail
+};
+
+// Rules without a priority sort here (lower runs first)
+const DEFAULT_RULE_PRIORITY = 100;
+
+// Actions that undo each other; an email never gets both
+const CONFLICTING_ACTIONS = {
+    'mark-read': 'mark-unread',
+    'mark-unread': 'mark-read'
+};
+
+const REGEX_FLAGS = 'imsu';
+
+// Legacy match types mapped onto condition fields/operators
+const LEGACY_MATCH_TYPES = {
+    'subject': { field: 'subject', operator: 'equals' },
+    'subject-contains': { field: 'subject', operator: 'contains' },
+    'sender': { field: 'sender', operator: 'equals' },
+    'sender-contains': { field: 'sender', operator: 'contains' },
+    'subject-regex': { field: 'subject', operator: 'regex' },
+    'sender-regex': { field: 'sender', operator: 'regex' }
 };
 
+// Operators of the flags field (value = flag key, e.g. 'unread')
+const FLAG_OPERATORS = ['is', 'is-not'];
+
+// Condition fields that need the sender's real address (see resolveSenderAddresses)
+const SENDER_ADDRESS_FIELDS = ['sender-address', 'sender-domain'];
+
+// Age conditions compare whole calendar days against the date shown in the row
+const AGE_OPERATORS = ['older-than', 'newer-than'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const EMAIL_ADDRESS_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/i;
+
 const TUTA_EMAIL_DOMAINS = [
     'tuta.com', 'tutanota.com', 'tuta.io',
     'keemail.me', 'tutamail.com', 'tutanota.de'
@@ -62,8 +160,28 @@ const logWarn = (...args) => console.warn(LOG_PREFIX, ...args);
 // ============================================
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+function getListContainer() {
+    return $(SELECTORS.listContainer) || $('.list-container.overflow-y-scroll');
+}
+
+/**
+ * Find the element that actually scrolls the email list
+ * (the list itself or its nearest scrollable ancestor)
+ */
+function getScrollContainer() {
+    let el = getListContainer();
+    while (el && el !== document.body) {
+        if (el.scrollHeight > el.clientHeight + 1) {
+            const overflowY = getComputedStyle(el).overflowY;
+            if (overflowY === 'auto' || overflowY === 'scroll') return el;
+        }
+        el = el.parentElement;
+    }
+    return getListContainer();
+}
+
 async function resetScrollBeforeCollect() {
-    const list = $(SELECTORS.listContainer) || document.querySelector('.list-container.overflow-y-scroll');
+    const list = getScrollContainer();
     if (list) {
         log('Resetting list scroll to top');
         if (typeof list.scrollTo === 'function') {
@@ -77,6 +195,21 @@ async function resetScrollBeforeCollect() {
     await sleep(TIMING.scrollResetDelay);
 }
 
+/**
+ * Scroll the email list down by most of a page so the virtual list renders more rows
+ * @returns {Promise<boolean>} - False once the end of the list is reached
+ */
+async function scrollListDown() {
+    const list = getScrollContainer();
+    if (!list) return false;
+
+    const before = list.scrollTop;
+    list.scrollTop = before + Math.max(list.clientHeight * 0.8, 100);
+    await sleep(TIMING.scrollPageDelay);
+
+    return list.scrollTop > before;
+}
+
 /**
  * Wait until all given rows are gone/hidden, or timeout reached.
  */
@@ -138,16 +271,62 @@ function getValuesArray(value) {
 }
 
 /**
- * Check if text matches any of the values (case-insensitive contains)
+ * Compare text against a single condition value
+ * Text operators are case-insensitive; regex uses the condition's flags
  */
-function matchesAnyValue(text, values, exact = false) {
-    if (!text || !values.length) return false;
+function matchesText(text, operator, value, flags = '') {
+    if (!text || !value) return false;
+
+    if (operator === 'regex') {
+        const safeFlags = [...(flags || '')].filter(f => REGEX_FLAGS.includes(f)).join('');
+        try {
+            return new RegExp(value, safeFlags).test(text);
+        } catch (error) {
+            logWarn(`Invalid regex "${value}": ${error.message}`);
+            return false;
+        }
+    }
+
     const lowerText = text.toLowerCase();
-    
-    return values.some(value => {
-        const lowerValue = value.toLowerCase();
-        return exact ? lowerText === lowerValue : lowerText.includes(lowerValue);
-    });
+    const lowerValue = value.toLowerCase();
+
+    switch (operator) {
+        case 'equals': return lowerText === lowerValue;
+        case 'contains': return lowerText.includes(lowerValue);
+        case 'starts-with': return lowerText.startsWith(lowerValue);
+        case 'ends-with': return lowerText.endsWith(lowerValue);
+        default: return false;
+    }
+}
+
+/**
+ * Whole calendar days between a date and today (today = 0)
+ */
+function getAgeInDays(timestamp, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    const day = new Date(timestamp);
+    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+    // Rounded, since a day across a DST change isn't exactly 24h
+    return Math.round((today - start) / DAY_MS);
+}
+
+/**
+ * Check a row flag (value = flag key, e.g. 'unread' or 'attachment')
+ */
+function matchesFlag(flags, operator, value) {
+    if (!flags || !(value in flags)) return false;
+    return operator === 'is-not' ? !flags[value] : flags[value];
+}
+
+/**
+ * Compare an email's date against an age condition (value = number of days)
+ */
+function matchesAge(timestamp, operator, value) {
+    const days = parseInt(value, 10);
+    if (timestamp == null || !Number.isFinite(days)) return false;
+
+    const age = getAgeInDays(timestamp);
+    return operator === 'older-than' ? age > days : age < days;
 }
 
 // ============================================
@@ -251,6 +430,89 @@ async function fetchFoldersFromDropdown() {
     return folders;
 }
 
+// ============================================
+// Folder Navigation (via the sidebar)
+// ============================================
+function getFolderLinks() {
+    return [...$$(SELECTORS.folderLink)];
+}
+
+function getFolderLinkName(link) {
+    const name = link.getAttribute('title') ||
+                 $(SELECTORS.textEllipsis, link)?.textContent ||
+                 link.textContent || '';
+    return name.trim();
+}
+
+/**
+ * Name of the folder currently open in the list, or null if it can't be told
+ */
+function getCurrentFolderName() {
+    const links = getFolderLinks();
+    const current = links.find(link => link.matches(SELECTORS.selectedFolder)) ||
+        links.find(link => {
+            const path = new URL(link.href, window.location.href).pathname;
+            return window.location.pathname === path || window.location.pathname.startsWith(`${path}/`);
+        });
+
+    return current ? getFolderLinkName(current) : null;
+}
+
+/**
+ * Get a rule's source folders (empty = whichever folder is open)
+ */
+function getSourceFolders(rule) {
+    return Array.isArray(rule.sourceFolders) ? rule.sourceFolders : [];
+}
+
+/**
+ * Whether a rule runs in a folder (names compare case-insensitively)
+ * Scoped rules never run when the open folder can't be told
+ */
+function ruleAppliesToFolder(rule, folderName) {
+    const folders = getSourceFolders(rule);
+    if (folders.length === 0) return true;
+    if (!folderName) return false;
+
+    const name = folderName.toLowerCase();
+    return folders.some(folder => folder.toLowerCase() === name);
+}
+
+/**
+ * Keep the rules that run in the open folder
+ */
+function getRulesForCurrentFolder(rules) {
+    const folder = getCurrentFolderName();
+    const applicable = rules.filter(rule => ruleAppliesToFolder(rule, folder));
+
+    if (applicable.length < rules.length) {
+        log(`Skipping ${rules.length - applicable.length} rule(s) limited to other folders (open: ${folder || 'unknown'})`);
+    }
+    return applicable;
+}
+
+/**
+ * Open a folder from the sidebar (no-op if it is already open)
+ * @returns {Promise<boolean>} - False if the folder link was not found
+ */
+async function openFolder(folderName) {
+    if (!folderName || getCurrentFolderName() === folderName) return true;
+
+    const links = getFolderLinks();
+    const link = links.find(l => getFolderLinkName(l) === folderName) ||
+                 links.find(l => getFolderLinkName(l).toLowerCase() === folderName.toLowerCase());
+
+    if (!link) {
+        logWarn(`Folder "${folderName}" not found in sidebar`);
+        return false;
+    }
+
+    log(`Opening folder: ${folderName}`);
+    link.click();
+    await sleep(TIMING.folderOpenDelay);
+    return true;
+}
+
 // ============================================
 // Email Extraction
 // ============================================
@@ -283,11 +545,289 @@ function extractSenderFromRow(row) {
     return '';
 }
 
+/**
+ * Find a month or weekday by its full name or an abbreviation of at least 3 letters
+ * @returns {number} - Index in names, or -1
+ */
+function findNameIndex(names, word) {
+    if (!word || word.length < 3) return -1;
+    return names.findIndex(name => name.startsWith(word));
+}
+
+/**
+ * Parse the date text Tuta shows in a row into a timestamp (local midnight)
+ * Handles "Today"/"Yesterday", times (today), weekday names (within the last week),
+ * month-day ("Jan 5", "5 Jan", optionally with a year) and numeric dates
+ * @param {string} text - Date text
+ * @param {Date} now - Reference time
+ * @returns {number|null} - Timestamp, or null if the text isn't a date
+ */
+function parseRowDate(text, now = new Date()) {
+    const value = (text || '').toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!value || value.length > 30) return null;
+
+    const dayFromToday = (offset) =>
+        new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset).getTime();
+    const time = /^\d{1,2}:\d{2}(?::\d{2})?(?: ?[ap]\.?m\.?)?$/;
+
+    if (time.test(value)) return dayFromToday(0);
+    if (/^today\b/.test(value)) return dayFromToday(0);
+    if (/^yesterday\b/.test(value)) return dayFromToday(1);
+
+    const weekday = value.match(/^([a-z]+)\.?(?: \d{1,2}:\d{2}.*)?$/);
+    const weekdayIndex = findNameIndex(WEEKDAY_NAMES, weekday?.[1]);
+    if (weekdayIndex !== -1) {
+        const back = (now.getDay() - weekdayIndex + 7) % 7 || 7;
+        return dayFromToday(back);
+    }
+
+    // Drop a trailing time from full dates ("Jan 5 14:05")
+    const date = value.replace(/ \d{1,2}:\d{2}.*$/, '');
+    let year = null;
+    let month = -1;
+    let day = null;
+    let match;
+
+    if ((match = date.match(/^([a-z]+)\.? (\d{1,2})\.?(?: (\d{4}))?$/))) {
+        [month, day, year] = [findNameIndex(MONTH_NAMES, match[1]), match[2], match[3]];
+    } else if ((match = date.match(/^(\d{1,2})\.? ([a-z]+)\.?(?: (\d{4}))?$/))) {
+        [day, month, year] = [match[1], findNameIndex(MONTH_NAMES, match[2]), match[3]];
+    } else if ((match = date.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+        [year, month, day] = [match[1], match[2] - 1, match[3]];
+    } else if ((match = date.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})?$/))) {
+        [day, month, year] = [match[1], match[2] - 1, match[3]];
+    } else if ((match = date.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/))) {
+        [month, day, year] = [match[1] - 1, match[2], match[3]];
+    } else {
+        return null;
+    }
+
+    if (month < 0 || month > 11) return null;
+    if (year && year.length === 2) year = `20${year}`;
+
+    const parsed = new Date(year ? Number(year) : now.getFullYear(), month, Number(day));
+    if (parsed.getMonth() !== month) return null; // e.g. Feb 30
+
+    // Dates without a year are in the past year when they'd otherwise be in the future
+    if (!year && parsed.getTime() > dayFromToday(0)) {
+        parsed.setFullYear(parsed.getFullYear() - 1);
+    }
+    return parsed.getTime();
+}
+
+/**
+ * Find the element showing the row's date
+ * @returns {Object|null} - { element, date (timestamp) }, or null if no date was found
+ */
+function findRowDate(row) {
+    const scope = $(SELECTORS.badgeLine, row) || row;
+
+    for (const el of $$('*', scope)) {
+        if (el.children.length > 0 || el.closest(SELECTORS.subject)) continue;
+        const date = parseRowDate(el.textContent);
+        if (date !== null) return { element: el, date };
+    }
+    return null;
+}
+
+/**
+ * Find the row's date text and parse it
+ * @returns {number|null} - Timestamp, or null if no date was found
+ */
+function extractDateFromRow(row) {
+    return findRowDate(row)?.date ?? null;
+}
+
+/**
+ * Whether the row is styled as unread (indicator element, or a bold subject)
+ */
+function isRowUnread(row) {
+    if ($(SELECTORS.unreadIndicator, row)) return true;
+
+    const subject = $(SELECTORS.subject, row);
+    if (!subject) return false;
+    const weight = parseInt(getComputedStyle(subject).fontWeight, 10);
+    return weight >= 600;
+}
+
+/**
+ * Whether the row shows an icon whose title/aria-label contains one of the given texts
+ */
+function rowHasIcon(row, titles) {
+    return [...$$('[title], [aria-label]', row)].some(el => {
+        if (el.closest(SELECTORS.subject)) return false;
+        const label = `${el.getAttribute('title') || ''} ${el.getAttribute('aria-label') || ''}`.toLowerCase();
+        return titles.some(title => label.includes(title.toLowerCase()));
+    });
+}
+
+/**
+ * Read the state flags a row shows (read state, icons, badges)
+ * @returns {Object} - { unread, read, attachment, replied, forwarded, confidential, 'tuta-team' }
+ */
+function extractFlagsFromRow(row) {
+    const unread = isRowUnread(row);
+    const flags = { unread, read: !unread };
+
+    Object.entries(ROW_ICON_TITLES).forEach(([flag, titles]) => {
+        flags[flag] = rowHasIcon(row, titles);
+    });
+    flags['tuta-team'] = !!$(SELECTORS.teamLabel, row);
+
+    return flags;
+}
+
 function extractSubjectFromRow(row) {
     const subjectEl = $(SELECTORS.subject, row);
     return subjectEl?.textContent?.trim() || '';
 }
 
+/**
+ * Identify a row by its text (sender, subject, date, preview)
+ * Row elements are recycled by the virtual list, so the element itself is not an identity
+ */
+function getRowKey(row) {
+    let text = row.textContent || '';
+    const previewLabel = $('.tutorg-preview-label', row);
+    if (previewLabel) text = text.replace(previewLabel.textContent, '');
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Identify a row across re-renders for the new-mail watcher
+ * Like getRowKey, but without the date label, which changes while the row stays the same
+ * ("10:15" becomes "Yesterday")
+ */
+function getRowIdentity(row) {
+    const key = getRowKey(row);
+    const dateText = (findRowDate(row)?.element.textContent || '').replace(/\s+/g, ' ').trim();
+    return dateText ? key.replace(dateText, '').replace(/\s+/g, ' ').trim() : key;
+}
+
+// ============================================
+// Sender Address Lookup
+// ============================================
+
+// Addresses resolved during the current run, keyed by row key (null = not found)
+let senderAddressCache = new Map();
+
+// Open emails in the reading pane when the list doesn't show the address (settings.openMailForSender)
+let openMailForSender = false;
+
+/**
+ * Whether a rule tests the sender's address or domain
+ */
+function ruleUsesSenderAddress(rule) {
+    const fields = getRuleFields(rule);
+    return SENDER_ADDRESS_FIELDS.some(field => fields.has(field));
+}
+
+/**
+ * Find an email address in an element's own text, title or aria-label
+ */
+function findAddressInElements(elements) {
+    for (const el of elements) {
+        const text = [el.getAttribute('title'), el.getAttribute('aria-label')].filter(Boolean).join(' ');
+        const match = text.match(EMAIL_ADDRESS_PATTERN);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+/**
+ * Read the sender address from the list row
+ * Tuta shows the address instead of a name when there is none, and some rows carry it in a tooltip
+ */
+function findAddressInRow(row) {
+    const shown = extractSenderFromRow(row).match(EMAIL_ADDRESS_PATTERN);
+    if (shown) return shown[0];
+
+    const badgeLine = $(SELECTORS.badgeLine, row);
+    const elements = badgeLine ? [badgeLine, ...$$('[title], [aria-label]', badgeLine)] : [];
+    return findAddressInElements([...elements, row]);
+}
+
+/**
+ * Open an email in the reading pane and read the sender address from its header
+ * The header lists the sender first, so the first address found is taken
+ * @returns {Promise<string|null>}
+ */
+async function readAddressFromReadingPane(email) {
+    const target = $(SELECTORS.subject, email.row) || email.row;
+    target.click();
+    await sleep(TIMING.readingPaneDelay);
+
+    try {
+        const viewer = $(SELECTORS.mailViewer);
+        // Don't read a different email's header if the click didn't open this one
+        if (!viewer || (email.subject && !viewer.textContent.includes(email.subject))) {
+            logWarn(`Could not open "${email.subject}" to read the sender address`);
+            return null;
+        }
+
+        const header = $(SELECTORS.mailViewerHeader, viewer) || viewer;
+        const fromAttributes = findAddressInElements([header, ...$$('[title], [aria-label]', header)]);
+        if (fromAttributes) return fromAttributes;
+
+        return header.textContent.match(EMAIL_ADDRESS_PATTERN)?.[0] || null;
+    } finally {
+        await restoreUnread(email);
+    }
+}
+
+/**
+ * Mark an email unread again if opening it marked it read
+ * Rules and undo work from the flags collected before the lookup, so those must stay true;
+ * if the email can't be marked unread, its flags are read again instead
+ */
+async function restoreUnread(email) {
+    if (!email.flags?.unread || resolveRows([email]).length === 0 || isRowUnread(email.row)) return;
+
+    if (!(await performAction('mark-unread', 1)) || !isRowUnread(email.row)) {
+        logWarn(`Could not mark "${email.subject}" unread again after reading its sender address`);
+        email.flags = extractFlagsFromRow(email.row);
+    }
+}
+
+/**
+ * Add the sender's address and domain to collected emails
+ * Each row is looked up once per run; emails without a known address get null values
+ * and are skipped by rules that test the address (see assignEmailsToRules)
+ * @param {Array} emailsData - Collected emails (updated in place)
+ */
+async function resolveSenderAddresses(emailsData) {
+    let opened = 0;
+
+    for (const email of emailsData) {
+        let address = senderAddressCache.get(email.key);
+
+        if (address === undefined) {
+            address = findAddressInRow(email.row);
+            if (!address && openMailForSender) {
+                address = await readAddressFromReadingPane(email);
+                opened++;
+            }
+            senderAddressCache.set(email.key, address || null);
+        }
+
+        const normalized = address ? address.toLowerCase() : null;
+        email['sender-address'] = normalized;
+        email['sender-domain'] = normalized ? normalized.split('@')[1] : null;
+    }
+
+    if (opened > 0) log(`Opened ${opened} email(s) to read sender addresses`);
+}
+
+/**
+ * Collect email data the rules need beyond what the row shows
+ */
+async function prepareEmails(rules, emailsData) {
+    if (rules.some(ruleUsesSenderAddress)) {
+        await resolveSenderAddresses(emailsData);
+    }
+    return emailsData;
+}
+
 // ============================================
 // Rule Matching (with multi-value support)
 // ============================================
@@ -306,9 +846,11 @@ function collectAllEmails() {
         emails.push({
             row,
             index,
+            key: getRowKey(row),
             sender: extractSenderFromRow(row),
             subject: extractSubjectFromRow(row),
-            processed: false // Track if already processed by a rule
+            date: extractDateFromRow(row),
+            flags: extractFlagsFromRow(row)
         });
     });
     
@@ -316,63 +858,194 @@ function collectAllEmails() {
 }
 
 /**
- * Find matching emails from pre-collected data
+ * Get a rule's priority (lower runs first)
  */
-function findMatchingEmails(rule, emailsData) {
-    const matches = [];
-    
+function getRulePriority(rule) {
+    return Number.isFinite(rule.priority) ? rule.priority : DEFAULT_RULE_PRIORITY;
+}
+
+/**
+ * Sort rules into evaluation order; ties keep their list order
+ */
+function sortRulesByPriority(rules) {
+    return rules
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => getRulePriority(a.rule) - getRulePriority(b.rule) || a.index - b.index)
+        .map(({ rule }) => rule);
+}
+
+/**
+ * Decide which rules act on which emails before anything is executed
+ * Each email walks the rules in priority order and is claimed by every rule it matches, until
+ * a rule with stopProcessing matches or a rule moves it out of the folder.
+ * A rule whose actions conflict with a higher-priority claim (read vs unread) is skipped for that email,
+ * as is a rule that tests a field that couldn't be read for it (sender address, date).
+ * @param {Array} rules - Rules in priority order
+ * @param {Array} emailsData - Pre-collected email data
+ * @returns {Map} - rule -> matched emails, in priority order
+ */
+function assignEmailsToRules(rules, emailsData) {
+    const assignments = new Map(rules.map(rule => [rule, []]));
+    const ruleFields = new Map(rules.map(rule => [rule, [...getRuleFields(rule)]]));
+
     emailsData.forEach(email => {
-        // Skip already processed emails
-        if (email.processed) return;
-        
-        if (matchesRuleWithData(email, rule)) {
-            matches.push(email);
-            log(`Match found: "${email.subject}" from "${email.sender}"`);
+        const claimed = new Set(); // action types earlier rules will apply to this email
+
+        for (const rule of rules) {
+            // An unknown value must not satisfy a NONE group or slip past an exception
+            if (ruleFields.get(rule).some(field => email[field] == null)) continue;
+            if (!matchesRuleWithData(email, rule)) continue;
+
+            const exception = findMatchingException(email, rule);
+            if (exception) {
+                log(`Skipped by exception (${describeConditions(exception)}): "${email.subject}"`);
+                continue;
+            }
+
+            const types = getRuleActions(rule).map(step => step.type);
+            if (types.some(type => claimed.has(CONFLICTING_ACTIONS[type]))) {
+                log(`Skipped "${rule.name}" for "${email.subject}": conflicts with a higher-priority rule`);
+                continue;
+            }
+
+            assignments.get(rule).push(email);
+            types.forEach(type => claimed.add(type));
+            log(`Match found for "${rule.name}": "${email.subject}" from "${email.sender}"`);
+
+            if (rule.stopProcessing || types.some(type => MOVING_ACTIONS.includes(type))) break;
         }
     });
-    
-    return matches;
+
+    return assignments;
 }
 
 /**
- * Match rule against pre-extracted email data
- * Uses array format: matchValues, senderValues, subjectValues
+ * Get a rule's condition tree
+ * Rules saved before condition trees are converted on the fly
  */
-function matchesRuleWithData(email, rule) {
-    const { sender, subject } = email;
-    
-    switch (rule.matchType) {
-        case 'subject': {
-            return matchesAnyValue(subject, getValuesArray(rule.matchValues), true);
-        }
-        case 'subject-contains': {
-            return matchesAnyValue(subject, getValuesArray(rule.matchValues), false);
-        }
-        case 'sender': {
-            return matchesAnyValue(sender, getValuesArray(rule.matchValues), true);
-        }
-        case 'sender-contains': {
-            return matchesAnyValue(sender, getValuesArray(rule.matchValues), false);
-        }
-        case 'sender-and-subject': {
-            return matchesAnyValue(sender, getValuesArray(rule.senderValues), false) && 
-                   matchesAnyValue(subject, getValuesArray(rule.subjectValues), false);
-        }
-        default:
-            return false;
+function getRuleConditions(rule) {
+    if (rule.conditions) return rule.conditions;
+
+    const condition = (field, operator, value, flags = '') =>
+        ({ type: 'condition', field, operator, value, flags });
+
+    if (rule.matchType === 'sender-and-subject') {
+        return {
+            type: 'group',
+            mode: 'all',
+            children: [
+                { type: 'group', mode: 'any', children: getValuesArray(rule.senderValues).map(v => condition('sender', 'contains', v)) },
+                { type: 'group', mode: 'any', children: getValuesArray(rule.subjectValues).map(v => condition('subject', 'contains', v)) }
+            ]
+        };
     }
+
+    const legacy = LEGACY_MATCH_TYPES[rule.matchType];
+    if (!legacy) return null;
+
+    return {
+        type: 'group',
+        mode: 'any',
+        children: getValuesArray(rule.matchValues).map(v =>
+            condition(legacy.field, legacy.operator, v, rule.matchFlags)
+        )
+    };
 }
 
-// ============================================
-// Email Selection
-// ============================================
-function selectEmails(rows) {
-    log(`Selecting ${rows.length} emails`);
-    
-    rows.forEach((row, index) => {
-        let checkbox = null;
-        for (const selector of SELECTORS.checkbox) {
-            checkbox = $(selector, row);
+/**
+ * Collect the fields a rule's conditions and exceptions test
+ * @returns {Set<string>}
+ */
+function getRuleFields(rule) {
+    const fields = new Set();
+    const collect = (node) => {
+        if (node?.type === 'group') {
+            (node.children || []).forEach(collect);
+        } else if (node?.field) {
+            fields.add(node.field);
+        }
+    };
+
+    collect(getRuleConditions(rule));
+    (Array.isArray(rule.exceptions) ? rule.exceptions : []).forEach(collect);
+    return fields;
+}
+
+/**
+ * Get a rule's ordered action steps
+ * Rules saved with a single action/targetFolder are converted on the fly
+ */
+function getRuleActions(rule) {
+    if (Array.isArray(rule.actions)) return rule.actions;
+    if (!rule.action) return [];
+    return [{ type: rule.action, targetFolder: rule.targetFolder || null }];
+}
+
+/**
+ * Evaluate a condition tree against pre-extracted email data
+ * Empty groups never match
+ */
+function evaluateConditions(node, email) {
+    if (!node) return false;
+
+    if (node.type === 'group') {
+        const children = node.children || [];
+        if (children.length === 0) return false;
+
+        switch (node.mode) {
+            case 'any': return children.some(child => evaluateConditions(child, email));
+            case 'none': return !children.some(child => evaluateConditions(child, email));
+            default: return children.every(child => evaluateConditions(child, email));
+        }
+    }
+
+    if (AGE_OPERATORS.includes(node.operator)) {
+        return matchesAge(email[node.field], node.operator, node.value);
+    }
+    if (FLAG_OPERATORS.includes(node.operator)) {
+        return matchesFlag(email[node.field], node.operator, node.value);
+    }
+    return matchesText(email[node.field], node.operator, node.value, node.flags);
+}
+
+/**
+ * Match rule against pre-extracted email data
+ */
+function matchesRuleWithData(email, rule) {
+    return evaluateConditions(getRuleConditions(rule), email);
+}
+
+/**
+ * Find the first exception ("unless" condition) the email matches
+ */
+function findMatchingException(email, rule) {
+    const exceptions = Array.isArray(rule.exceptions) ? rule.exceptions : [];
+    return exceptions.find(exception => evaluateConditions(exception, email)) || null;
+}
+
+/**
+ * Describe a condition tree for the log, groups included (mirrors lib/conditions.js)
+ */
+function describeConditions(node) {
+    if (!node) return '';
+    if (node.type !== 'group') return `${node.field} ${node.operator} "${node.value}"`;
+
+    const children = (node.children || []).map(child => describeConditions(child));
+    if (node.mode !== 'none' && children.length === 1) return children[0];
+
+    return `${String(node.mode).toUpperCase()} of (${children.join(', ')})`;
+}
+
+// ============================================
+// Email Selection
+// ============================================
+function selectEmails(rows) {
+    log(`Selecting ${rows.length} emails`);
+    
+    rows.forEach((row, index) => {
+        let checkbox = null;
+        for (const selector of SELECTORS.checkbox) {
+            checkbox = $(selector, row);
             if (checkbox) break;
         }
         
@@ -458,7 +1131,7 @@ async function moveToFolder(folderName) {
     return true;
 }
 
-async function performAction(action, count, rule = {}) {
+async function performAction(action, count, step = {}) {
     log(`Performing action: ${action} on ${count} email(s)`);
     
     const actions = {
@@ -481,8 +1154,8 @@ async function performAction(action, count, rule = {}) {
             return false;
         },
         'move-to-folder': async () => {
-            if (rule.targetFolder) {
-                return await moveToFolder(rule.targetFolder);
+            if (step.targetFolder) {
+                return await moveToFolder(step.targetFolder);
             }
             return false;
         },
@@ -518,25 +1191,39 @@ async function performAction(action, count, rule = {}) {
 // ============================================
 
 /**
- * Process a single rule against pre-collected emails
+ * Create the log a run fills in as rules act (used for undo and run history)
+ * Matches are kept by rule id, so rules sharing a name are told apart
+ * @returns {Object} - { undo: [], matches: Map(rule id -> [{ sender, subject }]), failures: [] }
+ */
+function createRunLog() {
+    return { undo: [], matches: new Map(), failures: [] };
+}
+
+/**
+ * Add to a rule's count in a run's results
+ * @param {Map} counts - Map(rule id -> { ruleId, rule (name, for display), count })
+ * @param {Object} result - { ruleId, rule, count }
+ */
+function addRuleCount(counts, { ruleId, rule, count }) {
+    const entry = counts.get(ruleId) || { ruleId, rule, count: 0 };
+    entry.count += count;
+    counts.set(ruleId, entry);
+}
+
+/**
+ * Run a rule's actions on the emails assigned to it
  * @param {Object} rule - The rule to process
- * @param {Array} emailsData - Pre-collected email data
+ * @param {Array} assigned - Emails assigned to this rule (see assignEmailsToRules)
+ * @param {Object} runLog - Run log to record matches, undo entries and failures in
  * @returns {Promise<number>} - Number of emails processed
  */
-async function processRule(rule, emailsData) {
+async function processRule(rule, assigned, runLog = createRunLog()) {
     log(`Processing rule: ${rule.name}`);
     
-    if (rule.matchType === 'sender-and-subject') {
-        const senders = getValuesArray(rule.senderValues);
-        const subjects = getValuesArray(rule.subjectValues);
-        log(`  Sender values: ${senders.join(' | ') || '(none)'}, Subject values: ${subjects.join(' | ') || '(none)'}`);
-    } else {
-        const matches = getValuesArray(rule.matchValues);
-        log(`  Match values: ${matches.join(' | ') || '(none)'}`);
-    }
+    log(`  Conditions: ${JSON.stringify(getRuleConditions(rule))}`);
     
-    // Find matches from pre-collected data
-    const matches = findMatchingEmails(rule, emailsData);
+    // Earlier rules may have moved rows around; drop emails whose row is gone
+    const matches = resolveRows(assigned);
     
     if (matches.length === 0) {
         log(`  No matches found`);
@@ -545,21 +1232,45 @@ async function processRule(rule, emailsData) {
     
     log(`  Found ${matches.length} match(es)`);
     log(`  Rule "${rule.name}", Matches:`, matches.map(m => `${m.sender} | ${m.subject}`));
+
+    const matched = runLog.matches.get(rule.id) || [];
+    matched.push(...matches.map(({ sender, subject }) => ({ sender, subject })));
+    runLog.matches.set(rule.id, matched);
+    
+    const steps = getRuleActions(rule).filter(step => step.type !== 'select-only');
+    log(`  Actions: ${steps.map(step => step.type).join(' → ') || 'select only'}`);
     
     // Get actual row elements
-    const rows = matches.map(m => m.row);
+    let rows = matches.map(m => m.row);
     
     selectEmails(rows);
     await sleep(TIMING.actionDelay);
     
-    if (rule.action !== 'select-only') {
-        const actionOk = await performAction(rule.action, matches.length, rule);
-        
-        // Mark these emails as processed (they've been moved/deleted)
-        matches.forEach(m => m.processed = true);
+    if (steps.length === 0) return matches.length;
+
+    for (const [index, step] of steps.entries()) {
+        if (index > 0) {
+            // Steps like mark-read keep rows in place but can clear the selection
+            rows = resolveRows(matches).map(m => m.row);
+            selectEmails(rows);
+            await sleep(TIMING.actionDelay);
+        }
+
+        const actionOk = await performAction(step.type, rows.length, step);
+
+        if (!actionOk) {
+            runLog.failures.push({
+                ruleId: rule.id,
+                rule: rule.name,
+                message: `Action "${step.type}" failed on ${matches.length} email(s)`
+            });
+            break;
+        }
+
+        runLog.undo.push(...createUndoEntries(rule, step, matches));
 
         // Wait for the selected rows to disappear/clear to ensure the move/trash finished
-        if (actionOk && ['trash', 'archive', 'move-to-folder'].includes(rule.action)) {
+        if (MOVING_ACTIONS.includes(step.type)) {
             await waitForRowsToDisappear(rows);
         }
     }
@@ -567,55 +1278,848 @@ async function processRule(rule, emailsData) {
     return matches.length;
 }
 
+/**
+ * Point emails at their current rows (the virtual list may have re-rendered them)
+ * Emails whose row is gone are dropped
+ */
+function resolveRows(emails) {
+    const rows = [...$$(SELECTORS.emailRow)];
+
+    return emails.filter(email => {
+        if (email.row.isConnected && getRowKey(email.row) === email.key) return true;
+        email.row = rows.find(row => getRowKey(row) === email.key);
+        return !!email.row;
+    });
+}
+
+/**
+ * Assign a batch of emails to rules, then run each rule's actions in priority order
+ * @param {Array} rules - Enabled rules
+ * @param {Array} emailsData - Pre-collected email data
+ * @param {Object} runLog - Run log shared by the whole run
+ * @returns {Promise<Object>} - { counts: Map(rule id -> { ruleId, rule, count }), error }
+ */
+async function processEmails(rules, emailsData, runLog) {
+    const counts = new Map();
+    await prepareEmails(rules, emailsData);
+    const assignments = assignEmailsToRules(sortRulesByPriority(rules), emailsData);
+
+    for (const [rule, assigned] of assignments) {
+        addRuleCount(counts, { ruleId: rule.id, rule: rule.name, count: 0 });
+        if (assigned.length === 0) continue;
+
+        const okRule = await ensureNoSelectionBeforeRun();
+        if (!okRule) {
+            return { counts, error: `Selections present before rule "${rule.name}". Clear selection and retry.` };
+        }
+
+        addRuleCount(counts, { ruleId: rule.id, rule: rule.name, count: await processRule(rule, assigned, runLog) });
+    }
+
+    return { counts, error: null };
+}
+
+let isRunningRules = false;
+
 /**
  * Run all rules on current page
- * Collects emails fresh before each rule to avoid stale/stale-reused rows
+ * Only one run at a time; the new-mail watcher treats rows rendered meanwhile as seen
+ * Emails acted on are saved as the last run so they can be undone, and every
+ * run except previews is added to the run history
+ * Rules limited to source folders only run while one of those folders is open
+ * @param {Array} rules - Enabled rules
+ * @param {Object} options - { mode: 'visible' | 'full-folder' | 'rule-folders', limit, preview, trigger }
  */
-async function runRulesOnPage(rules) {
-    log(`Starting rule execution with ${rules.length} rules`);
-    
+async function runRulesOnPage(rules, options = {}) {
+    log(`Starting rule execution with ${rules.length} rules (mode: ${options.mode || 'visible'})`);
+
+    if (isRunningRules) {
+        return { success: false, message: 'Rules are already running' };
+    }
+
+    isRunningRules = true;
+    senderAddressCache = new Map();
+    const runLog = createRunLog();
+    let result = null;
     try {
-        let totalProcessed = 0;
-        const results = [];
-        
-        for (const rule of rules) {
-            const okRule = await ensureNoSelectionBeforeRun();
-            if (!okRule) {
-                return { success: false, message: `Selections present before rule "${rule.name}". Clear selection and retry.` };
-            }
-            // Reset scroll so we collect the full visible list (UI may have scrolled down)
-            await resetScrollBeforeCollect();
+        clearPreviewHighlights();
 
-            const emailsData = collectAllEmails();
-            log(`Collected ${emailsData.length} emails for rule "${rule.name}"`);
+        if (options.preview) {
+            return await previewRulesOnVisibleRows(getRulesForCurrentFolder(rules));
+        }
 
-            if (emailsData.length === 0) {
-                log('No emails visible; stopping rule execution');
-                break;
-            }
+        if (options.mode === 'rule-folders') {
+            result = await runRulesOnRuleFolders(rules, options, runLog);
+        } else if (options.mode === 'full-folder') {
+            result = await runRulesOnFullFolder(getRulesForCurrentFolder(rules), options, runLog);
+        } else {
+            result = await runRulesOnVisibleRows(getRulesForCurrentFolder(rules), runLog);
+        }
+        return result;
+    } finally {
+        isRunningRules = false;
+        rememberVisibleRows();
+        if (!options.preview) {
+            await saveLastRun(runLog.undo);
+            await recordRunHistory(runLog, result, options);
+        }
+    }
+}
+
+/**
+ * Run all rules on the visible rows
+ * Emails are collected once and assigned to rules up front; rows are re-resolved
+ * by key before each rule acts, since earlier rules can re-render the list
+ */
+async function runRulesOnVisibleRows(rules, runLog = createRunLog()) {
+    try {
+        // Reset scroll so we collect the full visible list (UI may have scrolled down)
+        await resetScrollBeforeCollect();
+
+        const emailsData = collectAllEmails();
+        log(`Collected ${emailsData.length} emails`);
 
-            const count = await processRule(rule, emailsData);
-            totalProcessed += count;
-            results.push({ rule: rule.name, count });
+        const { counts, error } = await processEmails(rules, emailsData, runLog);
+        if (error) {
+            return { success: false, message: error };
         }
+
+        const results = [...counts.values()];
+        const totalProcessed = results.reduce((sum, result) => sum + result.count, 0);
         
         const message = totalProcessed > 0
             ? `Processed ${totalProcessed} email(s)`
             : 'No emails matched';
         
-        showIndicator(message);
+        showIndicator(message, { undo: runLog.undo.length > 0 });
         
-        return { success: true, message, results };
+        return { success: true, message, results, undoable: runLog.undo.length };
     } catch (error) {
         logError('Error running rules:', error);
         return { success: false, message: error.message };
     }
 }
 
+/**
+ * Run all rules over the whole folder by paging through the virtual list
+ * Newly rendered rows are collected, de-duplicated and processed batch by batch
+ * until the end of the list or the scan limit is reached
+ * @param {Array} rules - Enabled rules
+ * @param {Object} options - { limit }
+ * @param {Object} runLog - Run log to record matches, undo entries and failures in
+ */
+async function runRulesOnFullFolder(rules, { limit = DEFAULT_FULL_FOLDER_LIMIT } = {}, runLog = createRunLog()) {
+    try {
+        const seen = new Set();
+        const counts = new Map();
+        sortRulesByPriority(rules).forEach(rule => addRuleCount(counts, { ruleId: rule.id, rule: rule.name, count: 0 }));
+        let scanned = 0;
+        let totalProcessed = 0;
+        let batch = 0;
+        let reachedEnd = false;
+
+        await resetScrollBeforeCollect();
+
+        while (scanned < limit) {
+            const fresh = collectAllEmails().filter(email => email.key && !seen.has(email.key));
+
+            if (fresh.length === 0) {
+                // Nothing new rendered here; page down (stop once the list no longer scrolls)
+                if (!(await scrollListDown())) {
+                    reachedEnd = true;
+                    break;
+                }
+                continue;
+            }
+
+            const batchEmails = fresh.slice(0, limit - scanned);
+            batchEmails.forEach(email => seen.add(email.key));
+            scanned += batchEmails.length;
+            batch++;
+            log(`Full-folder batch ${batch}: ${batchEmails.length} new email(s), ${scanned} scanned`);
+
+            const { counts: batchCounts, error } = await processEmails(rules, batchEmails, runLog);
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            batchCounts.forEach(result => {
+                addRuleCount(counts, result);
+                totalProcessed += result.count;
+            });
+
+            reportProgress({ batch, scanned, processed: totalProcessed, limit });
+            // Moved rows make room for unseen ones, so re-collect before scrolling further
+        }
+
+        const results = [...counts.values()];
+        const scope = reachedEnd ? 'whole folder' : `first ${scanned}`;
+        const message = totalProcessed > 0
+            ? `Processed ${totalProcessed} of ${scanned} email(s) (${scope})`
+            : `No emails matched in ${scanned} scanned (${scope})`;
+
+        showIndicator(message, { undo: runLog.undo.length > 0 });
+
+        return { success: true, message, results, scanned, undoable: runLog.undo.length };
+    } catch (error) {
+        logError('Error running rules on full folder:', error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Open each folder the rules are limited to, in turn, and run that folder's rules over
+ * the whole folder; rules without source folders don't run in this mode
+ * The tab goes back to the folder it started in afterwards
+ * @param {Array} rules - Enabled rules
+ * @param {Object} options - { limit } (per folder)
+ * @param {Object} runLog - Run log shared by all folders
+ */
+async function runRulesOnRuleFolders(rules, options = {}, runLog = createRunLog()) {
+    const folders = [];
+    rules.forEach(rule => getSourceFolders(rule).forEach(folder => {
+        if (!folders.some(known => known.toLowerCase() === folder.toLowerCase())) folders.push(folder);
+    }));
+
+    if (folders.length === 0) {
+        return { success: false, message: 'No enabled rule is limited to folders' };
+    }
+
+    const startFolder = getCurrentFolderName();
+    const counts = new Map();
+    const visited = [];
+    let error = null;
+
+    try {
+        for (const folder of folders) {
+            if (!(await openFolder(folder))) {
+                runLog.failures.push({ rule: null, message: `Folder "${folder}" not found in the sidebar` });
+                continue;
+            }
+
+            const folderRules = rules.filter(rule => getSourceFolders(rule).length > 0 && ruleAppliesToFolder(rule, folder));
+            log(`Folder "${folder}": running ${folderRules.length} rule(s)`);
+
+            const result = await runRulesOnFullFolder(folderRules, options, runLog);
+            if (!result.success) {
+                error = `${folder}: ${result.message}`;
+                break;
+            }
+
+            result.results.forEach(ruleResult => addRuleCount(counts, ruleResult));
+            visited.push(folder);
+        }
+    } catch (err) {
+        logError('Error running rules on rule folders:', err);
+        error = err.message;
+    } finally {
+        if (startFolder && !(await openFolder(startFolder))) {
+            logWarn(`Could not return to "${startFolder}"`);
+        }
+    }
+
+    const results = [...counts.values()];
+    if (error) {
+        return { success: false, message: error, results };
+    }
+
+    const totalProcessed = results.reduce((sum, result) => sum + result.count, 0);
+    const message = totalProcessed > 0
+        ? `Processed ${totalProcessed} email(s) in ${visited.length} folder(s)`
+        : `No emails matched in ${visited.length} folder(s)`;
+
+    showIndicator(message, { undo: runLog.undo.length > 0 });
+
+    return { success: true, message, results, folders: visited, undoable: runLog.undo.length };
+}
+
+/**
+ * Send run progress to the popup (ignored if no popup is open)
+ */
+function reportProgress(progress) {
+    try {
+        chrome.runtime.sendMessage({ action: 'runProgress', progress })?.catch?.(() => {});
+    } catch {
+        // Popup closed or extension reloaded
+    }
+}
+
+// ============================================
+// Run History
+// ============================================
+
+/**
+ * Append a run to the history ring buffer (oldest entries are dropped)
+ * @param {Object} runLog - The run's log (matches and failures)
+ * @param {Object|null} result - Run result ({ success, message, results }), null if the run threw
+ * @param {Object} options - Run options ({ trigger, mode })
+ */
+async function recordRunHistory(runLog, result, options = {}) {
+    const success = !!result?.success;
+    const message = result?.message || 'Run failed';
+    const failures = [...runLog.failures];
+    if (!success) failures.push({ rule: null, message });
+
+    const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+        at: Date.now(),
+        account: detectCurrentAccount() || 'default',
+        trigger: options.trigger || 'popup',
+        mode: options.mode || 'visible',
+        success,
+        message,
+        results: (result?.results || []).map(({ ruleId, rule, count }) => ({
+            ruleId,
+            rule,
+            count,
+            matches: (runLog.matches.get(ruleId) || []).slice(0, HISTORY.maxMatchesPerRule)
+        })),
+        failures
+    };
+
+    try {
+        const stored = (await chrome.storage.local.get(HISTORY_KEY))[HISTORY_KEY];
+        const history = Array.isArray(stored) ? stored : [];
+        history.push(entry);
+        await chrome.storage.local.set({ [HISTORY_KEY]: history.slice(-HISTORY.maxEntries) });
+    } catch (error) {
+        logWarn('Could not save run history:', error.message);
+    }
+}
+
+// ============================================
+// Undo Last Run
+// ============================================
+
+/**
+ * Describe the emails an action step just acted on, with the folders needed to reverse it
+ * and whether each email was unread before the run
+ * @returns {Array} - [{ rule, sender, subject, action, from, to, unread }]
+ */
+function createUndoEntries(rule, step, matches) {
+    const from = getCurrentFolderName();
+    const destinations = {
+        trash: SYSTEM_FOLDERS.trash,
+        archive: SYSTEM_FOLDERS.archive,
+        'move-to-folder': step.targetFolder
+    };
+    const to = destinations[step.type] || from;
+
+    return matches.map(({ sender, subject, flags }) => ({
+        rule: rule.name,
+        sender,
+        subject,
+        action: step.type,
+        from,
+        to,
+        unread: !!flags?.unread
+    }));
+}
+
+/**
+ * Save the emails a run acted on as the last run (runs that acted on nothing keep the previous one)
+ */
+async function saveLastRun(undoLog) {
+    if (undoLog.length === 0) return;
+
+    try {
+        await chrome.storage.local.set({
+            [LAST_RUN_KEY]: {
+                account: detectCurrentAccount() || 'default',
+                at: Date.now(),
+                entries: undoLog
+            }
+        });
+    } catch (error) {
+        logWarn('Could not save last run for undo:', error.message);
+    }
+}
+
+/**
+ * Work out how to reverse an entry: which folder to open and which action to apply there
+ * Marking an email read that already was read changed nothing, so there is nothing to reverse
+ * @returns {Object|null} - { folder, action, targetFolder }, or null if nothing needs reversing
+ */
+function getUndoStep(entry) {
+    switch (entry.action) {
+        case 'trash':
+        case 'archive':
+        case 'move-to-folder':
+            return {
+                folder: entry.to,
+                action: 'move-to-folder',
+                targetFolder: entry.from || SYSTEM_FOLDERS.inbox
+            };
+        case 'mark-read':
+            return entry.unread === false ? null : { folder: entry.from, action: 'mark-unread' };
+        case 'mark-unread':
+            return entry.unread === true ? null : { folder: entry.from, action: 'mark-read' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find the recorded emails in the open folder and apply an action to them, page by page
+ * Emails are matched on sender and subject; each entry matches at most one row
+ * @returns {Promise<Array>} - The entries that could not be restored
+ */
+async function restoreEntries(entries, action, targetFolder) {
+    const entryId = ({ sender, subject }) => `${sender}\n${subject}`;
+    const remaining = new Map();
+    entries.forEach(entry => remaining.set(entryId(entry), (remaining.get(entryId(entry)) || 0) + 1));
+
+    // Rows that stay in the folder (read/unread) must not be matched twice
+    const handled = new Set();
+    let restored = 0;
+    let pages = 0;
+
+    await resetScrollBeforeCollect();
+
+    while (restored < entries.length && pages <= UNDO_MAX_PAGES) {
+        const matches = collectAllEmails().filter(email => {
+            const id = entryId(email);
+            if (handled.has(email.key) || !remaining.get(id)) return false;
+            remaining.set(id, remaining.get(id) - 1);
+            return true;
+        });
+
+        if (matches.length === 0) {
+            if (!(await scrollListDown())) break;
+            pages++;
+            continue;
+        }
+
+        // Matches count as restored once the action worked; otherwise their entries are left over
+        const release = () => matches.forEach(m => remaining.set(entryId(m), remaining.get(entryId(m)) + 1));
+
+        if (!(await ensureNoSelectionBeforeRun())) {
+            release();
+            break;
+        }
+
+        const rows = matches.map(m => m.row);
+        selectEmails(rows);
+        await sleep(TIMING.actionDelay);
+
+        if (!(await performAction(action, rows.length, { targetFolder }))) {
+            logWarn(`Undo action "${action}" failed`);
+            release();
+            break;
+        }
+
+        matches.forEach(m => handled.add(m.key));
+        restored += matches.length;
+
+        if (action === 'move-to-folder') {
+            await waitForRowsToDisappear(rows);
+        }
+    }
+
+    return entries.filter(entry => {
+        const id = entryId(entry);
+        if (!remaining.get(id)) return false;
+        remaining.set(id, remaining.get(id) - 1);
+        return true;
+    });
+}
+
+/**
+ * Reverse the last run: move emails back to the folder they came from and
+ * toggle read/unread back, then return to the folder that was open
+ */
+async function undoLastRun() {
+    if (isRunningRules) {
+        return { success: false, message: 'Rules are running; try again when they finish' };
+    }
+
+    const record = (await chrome.storage.local.get(LAST_RUN_KEY))[LAST_RUN_KEY];
+    if (!record?.entries?.length) {
+        return { success: false, message: 'Nothing to undo' };
+    }
+
+    const account = detectCurrentAccount() || 'default';
+    if (record.account !== account) {
+        return { success: false, message: `Last run was on ${record.account}` };
+    }
+
+    isRunningRules = true;
+    try {
+        clearPreviewHighlights();
+        const startFolder = getCurrentFolderName();
+
+        // One pass per folder/action pair, e.g. everything trashed from the Inbox.
+        // Latest steps are reversed first (move back, then restore read state)
+        const steps = new Map();
+        [...record.entries].reverse().forEach(entry => {
+            const step = getUndoStep(entry);
+            if (!step) return;
+
+            const id = `${step.folder}|${step.action}|${step.targetFolder || ''}`;
+            if (!steps.has(id)) steps.set(id, { ...step, entries: [] });
+            steps.get(id).entries.push(entry);
+        });
+
+        // Entries not restored stay in the last run so undo can be tried again
+        const left = new Set();
+        let total = 0;
+        for (const step of steps.values()) {
+            total += step.entries.length;
+            log(`Undo: ${step.action} ${step.entries.length} email(s) in ${step.folder || 'current folder'}`);
+            const failed = (await openFolder(step.folder))
+                ? await restoreEntries(step.entries, step.action, step.targetFolder)
+                : step.entries;
+            failed.forEach(entry => left.add(entry));
+        }
+        const restored = total - left.size;
+
+        await openFolder(startFolder);
+        if (restored === total) {
+            await chrome.storage.local.remove(LAST_RUN_KEY);
+        } else {
+            await chrome.storage.local.set({
+                [LAST_RUN_KEY]: { ...record, entries: record.entries.filter(entry => left.has(entry)) }
+            });
+        }
+
+        const message = restored === total
+            ? `Undo: restored ${restored} email(s)`
+            : `Undo: restored ${restored} of ${total} email(s)`;
+
+        showIndicator(message);
+        return { success: restored > 0, message };
+    } catch (error) {
+        logError('Error undoing last run:', error);
+        return { success: false, message: error.message };
+    } finally {
+        isRunningRules = false;
+        rememberVisibleRows();
+    }
+}
+
+// ============================================
+// Preview (dry run)
+// ============================================
+
+/**
+ * Match rules against the visible rows without selecting or acting
+ * Matched rows get an outline labelled with the rule name
+ * Emails are assigned exactly as a real run would (priority, stop processing, conflicts)
+ */
+async function previewRulesOnVisibleRows(rules) {
+    try {
+        await resetScrollBeforeCollect();
+
+        const emailsData = resolveRows(await prepareEmails(rules, collectAllEmails()));
+        const assignments = assignEmailsToRules(sortRulesByPriority(rules), emailsData);
+        const results = [];
+
+        [...assignments].forEach(([rule, matches], index) => {
+            const color = PREVIEW_COLORS[index % PREVIEW_COLORS.length];
+
+            matches.forEach(email => highlightRow(email.row, rule.name, color));
+
+            results.push({
+                rule: rule.name,
+                actions: getRuleActions(rule),
+                color,
+                count: matches.length,
+                matches: matches.map(({ sender, subject }) => ({ sender, subject }))
+            });
+        });
+
+        // Highlights are tied to row elements, which the virtual list recycles on scroll
+        const list = getScrollContainer();
+        if (list) {
+            list.addEventListener('scroll', clearPreviewHighlights, { once: true, passive: true });
+        }
+
+        const total = results.reduce((sum, result) => sum + result.count, 0);
+        const message = total > 0
+            ? `Preview: ${total} match(es) in ${emailsData.length} visible email(s)`
+            : 'Preview: no emails matched';
+
+        showIndicator(message);
+
+        return { success: true, preview: true, message, results };
+    } catch (error) {
+        logError('Error previewing rules:', error);
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Outline a row and label it with the rule name(s) that matched it
+ */
+function highlightRow(row, ruleName, color) {
+    ensureStyles();
+
+    let label = $('.tutorg-preview-label', row);
+    if (!label) {
+        row.classList.add('tutorg-preview-row');
+        row.style.setProperty('--tutorg-color', color);
+
+        label = document.createElement('span');
+        label.className = 'tutorg-preview-label';
+        row.appendChild(label);
+    }
+
+    label.textContent = label.textContent ? `${label.textContent} + ${ruleName}` : ruleName;
+}
+
+/**
+ * Remove all preview outlines and labels
+ */
+function clearPreviewHighlights() {
+    $$('.tutorg-preview-label').forEach(label => label.remove());
+    $$('.tutorg-preview-row').forEach(row => {
+        row.classList.remove('tutorg-preview-row');
+        row.style.removeProperty('--tutorg-color');
+    });
+}
+
+// ============================================
+// New Mail Watcher
+// ============================================
+const watcherState = {
+    enabled: false,
+    observer: null,
+    container: null,
+    knownKeys: new Set(),
+    pendingKeys: new Set(),
+    debounceTimer: null,
+    attachTimer: null,
+    settleTimer: null,
+    listPath: null,
+    navigatedAt: 0,
+    lastInteraction: 0
+};
+
+/**
+ * Start watching the list for new mail
+ */
+function startNewMailWatcher() {
+    if (watcherState.enabled) return;
+    watcherState.enabled = true;
+    watcherState.listPath = getListPath();
+
+    attachNewMailObserver();
+    watcherState.attachTimer = setInterval(attachNewMailObserver, NEW_MAIL.attachInterval);
+
+    ['pointerdown', 'keydown', 'wheel', 'scroll'].forEach(type => {
+        document.addEventListener(type, markListInteraction, { capture: true, passive: true });
+    });
+    log('New-mail watcher started');
+}
+
+/**
+ * Stop watching the list for new mail
+ */
+function stopNewMailWatcher() {
+    if (!watcherState.enabled) return;
+    watcherState.enabled = false;
+
+    watcherState.observer?.disconnect();
+    watcherState.observer = null;
+    watcherState.container = null;
+    clearInterval(watcherState.attachTimer);
+    clearTimeout(watcherState.debounceTimer);
+    clearTimeout(watcherState.settleTimer);
+    watcherState.pendingKeys.clear();
+
+    ['pointerdown', 'keydown', 'wheel', 'scroll'].forEach(type => {
+        document.removeEventListener(type, markListInteraction, { capture: true });
+    });
+    log('New-mail watcher stopped');
+}
+
+/**
+ * (Re)attach the observer when the list container appears or is replaced
+ */
+function attachNewMailObserver() {
+    checkListNavigation();
+    const container = $(SELECTORS.listContainer);
+    if (!container || container === watcherState.container) return;
+
+    watcherState.observer?.disconnect();
+    watcherState.container = container;
+    rememberVisibleRows();
+
+    watcherState.observer = new MutationObserver(handleListMutations);
+    watcherState.observer.observe(container, { childList: true, subtree: true });
+    log('New-mail watcher attached to list');
+}
+
+/**
+ * Treat all currently rendered rows as already seen
+ */
+function rememberVisibleRows() {
+    $$(SELECTORS.emailRow).forEach(row => watcherState.knownKeys.add(getRowIdentity(row)));
+}
+
+/**
+ * Get the part of the URL naming the open list (/mail/<list>), without the open email
+ */
+function getListPath() {
+    return window.location.pathname.split('/').slice(0, 3).join('/');
+}
+
+/**
+ * Notice when another folder was opened: its rows aren't new mail, so everything rendered
+ * until the list settles is remembered as seen
+ * @returns {boolean} - Whether the list is still settling after a folder switch
+ */
+function checkListNavigation() {
+    const path = getListPath();
+    if (path !== watcherState.listPath) {
+        watcherState.listPath = path;
+        watcherState.navigatedAt = Date.now();
+        watcherState.pendingKeys.clear();
+        clearTimeout(watcherState.settleTimer);
+        watcherState.settleTimer = setTimeout(rememberVisibleRows, NEW_MAIL.navigationSettle);
+    }
+    return Date.now() - watcherState.navigatedAt < NEW_MAIL.navigationSettle;
+}
+
+function markListInteraction(event) {
+    const list = watcherState.container;
+    const target = event.target;
+    if (!list || !(target instanceof Node)) return;
+
+    // Opening a folder from the sidebar fills the list just like touching it
+    const inFolderLink = target instanceof Element && target.closest(SELECTORS.folderLink);
+    if (list.contains(target) || target.contains(list) || inFolderLink) {
+        watcherState.lastInteraction = Date.now();
+    }
+}
+
+function isUserInteracting() {
+    return Date.now() - watcherState.lastInteraction < NEW_MAIL.interactionPause;
+}
+
+/**
+ * Queue newly inserted rows; rows rendered by our own runs or by scrolling are just remembered
+ */
+function handleListMutations(mutations) {
+    const addedRows = [];
+    mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+            if (!(node instanceof Element)) return;
+            if (node.matches(SELECTORS.emailRow)) addedRows.push(node);
+            addedRows.push(...$$(SELECTORS.emailRow, node));
+        });
+    });
+    if (addedRows.length === 0) return;
+
+    const navigating = checkListNavigation();
+    const scrolledDown = (getScrollContainer()?.scrollTop || 0) > NEW_MAIL.topThreshold;
+    const countAsSeen = isRunningRules || isUserInteracting() || scrolledDown || navigating;
+
+    addedRows.forEach(row => {
+        const key = getRowIdentity(row);
+        if (!key || watcherState.knownKeys.has(key)) return;
+
+        if (countAsSeen) {
+            watcherState.knownKeys.add(key);
+        } else {
+            watcherState.pendingKeys.add(key);
+        }
+    });
+
+    if (watcherState.pendingKeys.size > 0) {
+        scheduleNewMailRun(NEW_MAIL.debounceDelay);
+    }
+}
+
+function scheduleNewMailRun(delay) {
+    clearTimeout(watcherState.debounceTimer);
+    watcherState.debounceTimer = setTimeout(runRulesOnNewMail, delay);
+}
+
+/**
+ * Run enabled rules against the queued new rows only
+ */
+async function runRulesOnNewMail() {
+    if (!watcherState.enabled || watcherState.pendingKeys.size === 0) return;
+
+    // Wait for the user (or a manual run) to finish, and never touch a manual selection
+    const hasSelection = $$(`${SELECTORS.emailRow} input[type="checkbox"]:checked`).length > 0;
+    if (isRunningRules || isUserInteracting() || hasSelection) {
+        scheduleNewMailRun(NEW_MAIL.interactionPause);
+        return;
+    }
+
+    const keys = new Set(watcherState.pendingKeys);
+    watcherState.pendingKeys.clear();
+    keys.forEach(key => watcherState.knownKeys.add(key));
+
+    let rules = [];
+    try {
+        const account = detectCurrentAccount() || 'default';
+        // Global rules included, minus the ones this account switched off
+        const stored = await chrome.runtime.sendMessage({ action: 'getEffectiveRules', account });
+        rules = (Array.isArray(stored) ? stored : []).filter(rule => rule.enabled);
+    } catch (error) {
+        logWarn('Could not load rules for new mail:', error.message);
+        return;
+    }
+    if (rules.length === 0) return;
+
+    log(`New mail: running ${rules.length} rule(s) on ${keys.size} new row(s)`);
+
+    isRunningRules = true;
+    senderAddressCache = new Map();
+    const runLog = createRunLog();
+    let result = null;
+    try {
+        const emailsData = collectAllEmails().filter(email => keys.has(getRowIdentity(email.row)));
+        const { counts, error } = await processEmails(getRulesForCurrentFolder(rules), emailsData, runLog);
+
+        const results = [...counts.values()];
+        const totalProcessed = results.reduce((sum, r) => sum + r.count, 0);
+
+        if (error) {
+            result = { success: false, message: error, results };
+        } else if (totalProcessed > 0) {
+            const message = `Auto-run: processed ${totalProcessed} new email(s)`;
+            showIndicator(message, { undo: runLog.undo.length > 0 });
+            result = { success: true, message, results };
+        }
+    } catch (error) {
+        logError('Error running rules on new mail:', error);
+        result = { success: false, message: error.message };
+    } finally {
+        isRunningRules = false;
+        rememberVisibleRows();
+        await saveLastRun(runLog.undo);
+        // Only auto-runs that did something (or failed) are worth a history entry
+        if (result) {
+            await recordRunHistory(runLog, result, { trigger: 'new-mail' });
+        }
+    }
+}
+
+/**
+ * Start or stop the watcher from the stored settings
+ */
+function applyWatcherSettings(settings) {
+    if (settings?.autoRunOnNewMail) {
+        startNewMailWatcher();
+    } else {
+        stopNewMailWatcher();
+    }
+}
+
 // ============================================
 // Visual Indicator
 // ============================================
-function showIndicator(message) {
+
+/**
+ * Show a toast in the page
+ * @param {string} message - Text to show
+ * @param {Object} options - { undo: show an Undo button for the last run }
+ */
+function showIndicator(message, { undo = false } = {}) {
     const existing = $('#tuta-organizer-indicator');
     if (existing) existing.remove();
 
@@ -637,19 +2141,21 @@ function showIndicator(message) {
         animation: tutorg-slide 0.3s ease;
     `;
     indicator.textContent = '📧 ' + message;
-    
-    if (!$('#tutorg-styles')) {
-        const style = document.createElement('style');
-        style.id = 'tutorg-styles';
-        style.textContent = `
-            @keyframes tutorg-slide {
-                from { transform: translateX(100%); opacity: 0; }
-                to { transform: translateX(0); opacity: 1; }
-            }
-        `;
-        document.head.appendChild(style);
+
+    if (undo) {
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'tutorg-undo';
+        undoBtn.textContent = 'Undo';
+        undoBtn.addEventListener('click', () => {
+            indicator.remove();
+            undoLastRun().then(result => {
+                if (!result.success) showIndicator(result.message);
+            });
+        });
+        indicator.appendChild(undoBtn);
     }
     
+    ensureStyles();
     document.body.appendChild(indicator);
 
     setTimeout(() => {
@@ -657,7 +2163,61 @@ function showIndicator(message) {
             indicator.style.animation = 'tutorg-slide 0.3s ease reverse';
             setTimeout(() => indicator.remove(), 300);
         }
-    }, TIMING.indicatorTimeout);
+    }, undo ? TIMING.undoIndicatorTimeout : TIMING.indicatorTimeout);
+}
+
+/**
+ * Inject the extension's page styles once
+ */
+function ensureStyles() {
+    if ($('#tutorg-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'tutorg-styles';
+    style.textContent = `
+        @keyframes tutorg-slide {
+            from { transform: translateX(100%); opacity: 0; }
+            to { transform: translateX(0); opacity: 1; }
+        }
+        .tutorg-undo {
+            margin-left: 12px;
+            background: rgba(255, 255, 255, 0.2);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.6);
+            border-radius: 6px;
+            padding: 2px 10px;
+            font: inherit;
+            font-size: 13px;
+            cursor: pointer;
+        }
+        .tutorg-undo:hover {
+            background: rgba(255, 255, 255, 0.35);
+        }
+        .tutorg-preview-row {
+            position: relative;
+            outline: 2px solid var(--tutorg-color);
+            outline-offset: -2px;
+        }
+        .tutorg-preview-label {
+            position: absolute;
+            top: 2px;
+            right: 8px;
+            z-index: 5;
+            max-width: 60%;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            background: var(--tutorg-color);
+            color: white;
+            padding: 1px 8px;
+            border-radius: 8px;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            font-size: 10px;
+            font-weight: 600;
+            pointer-events: none;
+        }
+    `;
+    document.head.appendChild(style);
 }
 
 // ============================================
@@ -668,7 +2228,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     switch (request.action) {
         case 'runRules':
-            runRulesOnPage(request.rules)
+            runRulesOnPage(request.rules, request.options)
                 .then(sendResponse)
                 .catch(error => sendResponse({ success: false, message: error.message }));
             return true;
@@ -683,13 +2243,47 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 .catch(error => sendResponse({ folders: [], error: error.message }));
             return true;
             
+        case 'getFolderNames':
+            sendResponse({ folders: [...new Set(getFolderLinks().map(getFolderLinkName).filter(Boolean))] });
+            return true;
+
+        case 'undoLastRun':
+            undoLastRun()
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, message: error.message }));
+            return true;
+            
+        case 'clearPreview':
+            clearPreviewHighlights();
+            sendResponse({ success: true });
+            return true;
+            
         case 'ping':
             sendResponse({ pong: true });
             return true;
     }
 });
 
+/**
+ * Apply the stored settings the content script acts on
+ */
+function applySettings(settings) {
+    openMailForSender = !!settings?.openMailForSender;
+    applyWatcherSettings(settings);
+}
+
+// Settings changes (auto-run and sender lookup toggles)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[SETTINGS_KEY]) {
+        applySettings(changes[SETTINGS_KEY].newValue);
+    }
+});
+
 // ============================================
 // Initialization
 // ============================================
 log('Content script loaded on:', window.location.href);
+
+chrome.storage.sync.get(SETTINGS_KEY)
+    .then(result => applySettings(result[SETTINGS_KEY]))
+    .catch(error => logWarn('Could not load settings:', error.message));
@@ -0,0 +1,88 @@
+/**
+ * TutOrg - Rule Actions
+ * Builds, validates, describes and migrates a rule's ordered action steps
+ *
+ * A rule runs its steps in order on the same selection:
+ *   [{ type: 'mark-read' }, { type: 'move-to-folder', targetFolder: 'Newsletters' }]
+ */
+
+import { ACTION_TYPES, MOVING_ACTIONS } from './constants.js';
+
+/**
+ * Create an action step
+ * @param {string} type - Action key from ACTION_TYPES
+ * @param {string|null} targetFolder - Folder for move-to-folder
+ * @returns {Object} - Action step
+ */
+export function createAction(type = 'select-only', targetFolder = null) {
+    return type === 'move-to-folder' ? { type, targetFolder } : { type };
+}
+
+/**
+ * Get a rule's action steps (legacy single-action rules are converted on the fly)
+ * @param {Object} rule - Rule
+ * @returns {Array} - Action steps
+ */
+export function getRuleActions(rule) {
+    if (Array.isArray(rule?.actions)) return rule.actions;
+    if (!rule?.action) return [];
+    return [createAction(rule.action, rule.targetFolder || null)];
+}
+
+/**
+ * Migrate a rule to the action-list format
+ * The legacy action/targetFolder fields are dropped once converted
+ * @param {Object} rule - Stored or imported rule
+ * @returns {Object} - Rule with an actions list (unchanged if already migrated)
+ */
+export function migrateRuleActions(rule) {
+    if (!rule || Array.isArray(rule.actions) || !rule.action) return rule;
+
+    const { action, targetFolder, ...rest } = rule;
+    return { ...rest, actions: getRuleActions(rule) };
+}
+
+/**
+ * Validate a rule's action steps
+ * @param {Array} actions - Action steps
+ * @returns {string|null} - First error found, or null if valid
+ */
+export function validateActions(actions) {
+    if (!Array.isArray(actions) || actions.length === 0) return 'Add at least one action';
+
+    for (const [index, step] of actions.entries()) {
+        if (!ACTION_TYPES[step?.type]) return `Unknown action "${step?.type}"`;
+
+        if (step.type === 'select-only' && actions.length > 1) {
+            return `${ACTION_TYPES['select-only']} can't be combined with other actions`;
+        }
+        if (step.type === 'move-to-folder' && !step.targetFolder) {
+            return `Step ${index + 1}: select a target folder`;
+        }
+        if (MOVING_ACTIONS.includes(step.type) && index < actions.length - 1) {
+            return `${ACTION_TYPES[step.type]} moves emails away, so it must be the last step`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe a single action step in plain text
+ * @param {Object} step - Action step
+ * @returns {string}
+ */
+export function describeAction(step) {
+    if (step.type === 'move-to-folder' && step.targetFolder) {
+        return `📁 ${step.targetFolder}`;
+    }
+    return ACTION_TYPES[step.type] || step.type;
+}
+
+/**
+ * Describe a rule's action steps in plain text
+ * @param {Array} actions - Action steps
+ * @returns {string} - e.g. "Mark as Read → 📁 Newsletters"
+ */
+export function describeActions(actions) {
+    return (actions || []).map(describeAction).join(' → ');
+}
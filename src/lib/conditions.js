@@ -0,0 +1,189 @@
+/**
+ * TutOrg - Condition Trees
+ * Builds, validates, describes and migrates rule condition trees
+ *
+ * A tree is made of groups and conditions:
+ *   { type: 'group', mode: 'all' | 'any' | 'none', children: [...] }
+ *   { type: 'condition', field: 'sender' | 'sender-address' | 'sender-domain' | 'subject' | 'date' | 'flags', operator, value, flags }
+ *
+ * Rule exceptions ("unless") are a flat list of conditions; any match excludes the email.
+ */
+
+import { MATCH_TYPES, CONDITION_FIELDS, CONDITION_OPERATORS, GROUP_MODES } from './constants.js';
+import { validateRegex } from './utils.js';
+
+/**
+ * Create a leaf condition
+ * @param {string} field - Field key from CONDITION_FIELDS
+ * @param {string} operator - Operator key from CONDITION_OPERATORS
+ * @param {string} value - Value to compare against
+ * @param {string} flags - Regex flags (regex operator only)
+ * @returns {Object} - Condition node
+ */
+export function createCondition(field = 'subject', operator = 'contains', value = '', flags = '') {
+    return { type: 'condition', field, operator, value, flags };
+}
+
+/**
+ * Create a condition group
+ * @param {string} mode - 'all', 'any' or 'none'
+ * @param {Array} children - Child nodes
+ * @returns {Object} - Group node
+ */
+export function createGroup(mode = 'all', children = []) {
+    return { type: 'group', mode, children };
+}
+
+/**
+ * Deep copy a condition tree
+ * @param {Object} node - Tree to copy
+ * @returns {Object} - Independent copy
+ */
+export function cloneConditions(node) {
+    return node ? JSON.parse(JSON.stringify(node)) : node;
+}
+
+/**
+ * Build a condition tree from the legacy matchType/matchValues fields
+ * @param {Object} rule - Rule with legacy fields
+ * @returns {Object|null} - Root group, or null if the match type is unknown
+ */
+export function conditionsFromLegacy(rule) {
+    const values = (list) => (Array.isArray(list) ? list.filter(v => v) : []);
+
+    if (rule.matchType === 'sender-and-subject') {
+        return createGroup('all', [
+            createGroup('any', values(rule.senderValues).map(v => createCondition('sender', 'contains', v))),
+            createGroup('any', values(rule.subjectValues).map(v => createCondition('subject', 'contains', v)))
+        ]);
+    }
+
+    const type = MATCH_TYPES[rule.matchType];
+    if (!type?.field) return null;
+
+    const flags = type.operator === 'regex' ? (rule.matchFlags || '') : '';
+    return createGroup('any', values(rule.matchValues).map(v =>
+        createCondition(type.field, type.operator, v, flags)
+    ));
+}
+
+/**
+ * Migrate a rule to the condition-tree format
+ * Legacy match fields are dropped once converted
+ * @param {Object} rule - Stored or imported rule
+ * @returns {Object} - Rule with a conditions tree (unchanged if already migrated)
+ */
+export function migrateRuleConditions(rule) {
+    if (!rule || rule.conditions) return rule;
+
+    const {
+        matchType, matchValues, senderValues, subjectValues, matchFlags,
+        ...rest
+    } = rule;
+
+    const conditions = conditionsFromLegacy(rule);
+    if (!conditions) return rule;
+
+    return { ...rest, conditions };
+}
+
+/**
+ * Validate a condition tree
+ * @param {Object} node - Tree to validate
+ * @returns {string|null} - First error found, or null if valid
+ */
+export function validateConditions(node) {
+    if (!node || typeof node !== 'object') return 'Missing conditions';
+
+    if (node.type === 'group') {
+        if (!GROUP_MODES[node.mode]) return `Unknown group mode "${node.mode}"`;
+        if (!Array.isArray(node.children) || node.children.length === 0) {
+            return 'Every group needs at least one condition';
+        }
+        for (const child of node.children) {
+            const error = validateConditions(child);
+            if (error) return error;
+        }
+        return null;
+    }
+
+    if (node.type !== 'condition') return `Unknown node type "${node.type}"`;
+
+    const field = CONDITION_FIELDS[node.field];
+    if (!field) return `Unknown field "${node.field}"`;
+    if (!field.operators.includes(node.operator)) {
+        return `Operator "${node.operator}" is not supported for ${field.label}`;
+    }
+    if (!node.value || !String(node.value).trim()) {
+        return `${field.label} condition needs a value`;
+    }
+
+    if (CONDITION_OPERATORS[node.operator]?.isRegex) {
+        const error = validateRegex(node.value, node.flags || '');
+        if (error) return `Invalid regex /${node.value}/: ${error}`;
+    }
+
+    if (field.options && !field.options[node.value]) {
+        return `Unknown ${field.label} value "${node.value}"`;
+    }
+
+    const unit = CONDITION_OPERATORS[node.operator]?.unit;
+    if (unit && !/^\d+$/.test(String(node.value).trim())) {
+        return `${field.label} condition needs a whole number of ${unit}`;
+    }
+
+    return null;
+}
+
+/**
+ * Validate a rule's exception list
+ * @param {Array|undefined} exceptions - Exception conditions
+ * @returns {string|null} - First error found, or null if valid
+ */
+export function validateExceptions(exceptions) {
+    if (exceptions === undefined) return null;
+    if (!Array.isArray(exceptions)) return 'Exceptions must be a list';
+
+    for (const exception of exceptions) {
+        if (exception?.type !== 'condition') return 'Exceptions can only contain conditions';
+        const error = validateConditions(exception);
+        if (error) return `Exception: ${error}`;
+    }
+    return null;
+}
+
+/**
+ * Describe a single condition in plain text
+ * @param {Object} condition - Condition node
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+    const field = CONDITION_FIELDS[condition.field]?.label || condition.field;
+    const options = CONDITION_FIELDS[condition.field]?.options;
+
+    if (CONDITION_OPERATORS[condition.operator]?.isRegex) {
+        return `${field} matches /${condition.value}/${condition.flags || ''}`;
+    }
+
+    const operator = CONDITION_OPERATORS[condition.operator]?.label || condition.operator;
+    const unit = CONDITION_OPERATORS[condition.operator]?.unit;
+    if (unit) return `${field} ${operator} ${condition.value} ${unit}`;
+    if (options) return `${field} ${operator} ${(options[condition.value] || condition.value).toLowerCase()}`;
+
+    return `${field} ${operator} "${condition.value}"`;
+}
+
+/**
+ * Describe a condition tree in plain text
+ * @param {Object} node - Tree to describe
+ * @returns {string}
+ */
+export function describeConditions(node) {
+    if (!node) return '';
+    if (node.type !== 'group') return describeCondition(node);
+
+    const children = (node.children || []).map(child => describeConditions(child));
+    if (node.mode !== 'none' && children.length === 1) return children[0];
+
+    return `${GROUP_MODES[node.mode] || node.mode} of (${children.join(', ')})`;
+}
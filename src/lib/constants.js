@@ -28,43 +28,178 @@ export const STORAGE_KEYS = {
     RULES_PREFIX: 'emailRules_',
     LEGACY_RULES: 'emailRules',
     TARGET_TAB: 'targetTabId',
-    SETTINGS: 'settings'
+    SETTINGS: 'settings',
+    SCHEDULES: 'schedules',
+    LAST_RUN: 'lastRun',
+    RUN_HISTORY: 'runHistory',
+    // Sync copies of rule sets are split into <prefix><account>_<n> keys
+    RULES_CHUNK_PREFIX: 'emailRulesChunk_',
+    // Accounts whose rules couldn't be synced: { [account]: { error, at } }
+    SYNC_STATUS: 'rulesSyncStatus',
+    // Rules edited on this device and another one since they last synced: { [account]: [conflict] }
+    RULE_CONFLICTS: 'ruleConflicts',
+    // Snapshots of an account's rules after each save (local only), oldest first
+    RULE_REVISIONS_PREFIX: 'ruleRevisions_',
+    // Folder names last seen in each account's Tuta tab (local only): { [account]: { folders, at } }
+    ACCOUNT_FOLDERS: 'accountFolders',
+    // Set once the default rules copy older versions kept has been cleaned up (see findDefaultRulesMirror)
+    DEFAULT_RULES_CHECKED: 'defaultRulesChecked'
 };
 
-// Match types with display names and help text
+// Rule set snapshots kept per account for restoring
+export const MAX_RULE_REVISIONS = 20;
+
+// chrome.storage.sync allows 8 KB per item (key + JSON value); rule chunks stay below this
+export const SYNC_CHUNK_BYTES = 8000;
+
+// Wait before writing rules to sync again after the browser rate-limited a save
+export const SYNC_RETRY_DELAY = 60 * 1000;
+
+// Reserved account name the global rules (applied to every account) are stored under
+export const GLOBAL_RULES_ACCOUNT = 'global';
+
+// Where a rule listed for an account comes from
+export const RULE_LAYERS = {
+    global: 'All accounts',
+    account: 'This account'
+};
+
+// Days a deleted rule's tombstone is kept so other devices learn about the deletion
+export const RULE_TOMBSTONE_DAYS = 30;
+
+// Schema version of stored rule sets ({ schemaVersion, rules, ... }); see migrations.js
+export const RULES_SCHEMA_VERSION = 4;
+
+// Legacy single-field match types (pre condition-tree rules)
+// Each maps onto a condition field/operator so stored and imported rules can be migrated
 export const MATCH_TYPES = {
     'subject': {
         label: 'Subject (exact match)',
-        displayName: 'Subject',
-        help: 'Matches the exact email subject line.',
-        isComplex: false
+        field: 'subject',
+        operator: 'equals'
     },
     'subject-contains': {
         label: 'Subject Contains',
-        displayName: 'Subject Contains',
-        help: 'Matches if the subject contains this text (case-insensitive).',
-        isComplex: false
+        field: 'subject',
+        operator: 'contains'
     },
     'sender': {
         label: 'Sender Name (exact match)',
-        displayName: 'Sender Name',
-        help: '⚠️ Matches the sender\'s display name (e.g., "John Doe"), not their email address.',
-        isComplex: false
+        field: 'sender',
+        operator: 'equals'
     },
     'sender-contains': {
         label: 'Sender Name Contains',
-        displayName: 'Sender Name Contains',
-        help: '⚠️ Matches if sender\'s display name contains this text (case-insensitive). Note: This is the name shown, not the email address.',
-        isComplex: false
+        field: 'sender',
+        operator: 'contains'
     },
     'sender-and-subject': {
         label: 'Sender + Subject (both must match)',
-        displayName: 'Sender + Subject',
-        help: '🔗 Complex rule: Both sender name AND subject must match (case-insensitive contains).',
         isComplex: true
+    },
+    'subject-regex': {
+        label: 'Subject Regex',
+        field: 'subject',
+        operator: 'regex'
+    },
+    'sender-regex': {
+        label: 'Sender Name Regex',
+        field: 'sender',
+        operator: 'regex'
+    }
+};
+
+// Email fields a condition can test
+export const CONDITION_FIELDS = {
+    'sender': {
+        label: 'Sender Name',
+        help: '⚠️ Matches the sender\'s display name (e.g., "John Doe"), not their email address.',
+        operators: ['equals', 'contains', 'starts-with', 'regex']
+    },
+    'sender-address': {
+        label: 'Sender Address',
+        help: 'The real address, e.g. news@example.com. Read from the list, or by opening the email if enabled under Run options.',
+        operators: ['equals', 'contains', 'starts-with', 'ends-with', 'regex']
+    },
+    'sender-domain': {
+        label: 'Sender Domain',
+        help: 'The part after "@", e.g. paypal.com. Use "ends with .paypal.com" to match subdomains.',
+        operators: ['equals', 'ends-with', 'contains', 'regex']
+    },
+    'subject': {
+        label: 'Subject',
+        help: '',
+        operators: ['equals', 'contains', 'starts-with', 'regex']
+    },
+    'date': {
+        label: 'Received',
+        help: 'Age in whole days from the date shown in the list (today = 0).',
+        operators: ['older-than', 'newer-than']
+    },
+    'flags': {
+        label: 'Email',
+        help: 'Read state and the icons/badges shown in the list row.',
+        operators: ['is', 'is-not'],
+        options: {
+            'unread': 'Unread',
+            'read': 'Read',
+            'attachment': 'With attachment',
+            'replied': 'Replied to',
+            'forwarded': 'Forwarded',
+            'confidential': 'Confidential',
+            'tuta-team': 'From Tuta team'
+        }
+    }
+};
+
+// Condition operators (text comparisons are case-insensitive; age operators take a number of days)
+export const CONDITION_OPERATORS = {
+    'equals': {
+        label: 'equals'
+    },
+    'contains': {
+        label: 'contains'
+    },
+    'starts-with': {
+        label: 'starts with'
+    },
+    'ends-with': {
+        label: 'ends with'
+    },
+    'regex': {
+        label: 'matches regex',
+        help: 'Regular expression, e.g. \\[JIRA-\\d+\\]. Optional flags: i, m, s, u.',
+        isRegex: true
+    },
+    'older-than': {
+        label: 'older than',
+        unit: 'days'
+    },
+    'newer-than': {
+        label: 'newer than',
+        unit: 'days'
+    },
+    'is': {
+        label: 'is'
+    },
+    'is-not': {
+        label: 'is not'
     }
 };
 
+// How a condition group combines its children
+export const GROUP_MODES = {
+    all: 'ALL',
+    any: 'ANY',
+    none: 'NONE'
+};
+
+// Maximum nesting of condition groups in the rule editor
+export const MAX_CONDITION_DEPTH = 3;
+
+// Flags accepted for regex conditions ('g' and 'y' are stateful, so excluded)
+export const REGEX_FLAGS = 'imsu';
+
 // Action types with display names
 export const ACTION_TYPES = {
     'trash': 'Move to Trash',
@@ -75,6 +210,71 @@ export const ACTION_TYPES = {
     'select-only': 'Select Only'
 };
 
+// Rule priority: lower numbers are evaluated first
+export const DEFAULT_RULE_PRIORITY = 100;
+export const MIN_RULE_PRIORITY = 1;
+export const MAX_RULE_PRIORITY = 999;
+
+// Actions that move emails out of the current folder (so they must be a rule's last step)
+export const MOVING_ACTIONS = ['trash', 'archive', 'move-to-folder'];
+
+// Run modes: visible rows only, page through the whole folder by scrolling,
+// or open each folder rules are scoped to and run that folder's rules there
+export const RUN_MODES = {
+    'visible': 'Visible emails',
+    'full-folder': 'Full folder',
+    'rule-folders': 'Each rule\'s folders'
+};
+
+// Most source folders a rule can be scoped to
+export const MAX_SOURCE_FOLDERS = 20;
+
+// Default extension settings (merged under stored settings)
+export const DEFAULT_SETTINGS = {
+    runMode: 'visible',
+    fullFolderLimit: 500,
+    autoRunOnNewMail: false,
+    openMailForSender: false
+};
+
+// What started a run (recorded in the run history)
+export const RUN_TRIGGERS = {
+    'popup': 'Popup',
+    'shortcut': 'Shortcut',
+    'schedule': 'Schedule',
+    'new-mail': 'New mail'
+};
+
+// Scheduled run intervals (minutes) offered in the schedule editor
+export const SCHEDULE_INTERVALS = {
+    5: 'Every 5 minutes',
+    15: 'Every 15 minutes',
+    30: 'Every 30 minutes',
+    60: 'Every hour',
+    120: 'Every 2 hours',
+    240: 'Every 4 hours',
+    1440: 'Once a day'
+};
+
+// Default per-account schedule
+export const DEFAULT_SCHEDULE = {
+    enabled: false,
+    intervalMinutes: 60,
+    workingHoursOnly: false,
+    startTime: '09:00',
+    endTime: '17:00',
+    weekdaysOnly: false,
+    lastRun: null,
+    runs: []
+};
+
+// Tuta's system folders that trash/archive move emails into
+export const SYSTEM_FOLDERS = {
+    trash: 'Trash',
+    archive: 'Archive',
+    inbox: 'Inbox'
+};
+
 // Button titles for finding action buttons in Tuta
 export const BUTTON_TITLES = {
     trash: ['Trash', 'Delete', 'Move to trash'],
@@ -0,0 +1,504 @@
+/**
+ * TutOrg - Gmail/Thunderbird Filter Import
+ * Maps Gmail's mailFilters.xml and Thunderbird's msgFilterRules.dat onto rules
+ *
+ * Every source filter becomes one preview entry:
+ *   { name, source, rule, notes, error }
+ * rule is null (and error says why) when a filter can't be imported. A filter is only
+ * imported if all of its conditions map, since dropping one would widen what it matches;
+ * actions that don't map are skipped with a note.
+ */
+
+import { DEFAULT_RULE_PRIORITY, MOVING_ACTIONS, SYSTEM_FOLDERS } from './constants.js';
+import { createCondition, createGroup, validateConditions } from './conditions.js';
+import { createAction, describeAction, validateActions } from './actions.js';
+
+export const FILTER_FORMATS = {
+    gmail: 'Gmail',
+    thunderbird: 'Thunderbird'
+};
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const GMAIL_NS = 'http://schemas.google.com/apps/2006';
+
+// Gmail search operators that can't be mapped when they appear inside a from/subject value
+const GMAIL_SEARCH_OPERATOR = /^-?(from|to|cc|bcc|subject|label|has|is|in|after|before|older_than|newer_than|list|filename|category|size|larger|smaller|deliveredto):/i;
+
+// Gmail properties that don't affect matching
+const GMAIL_IGNORED = ['excludeChats', 'sizeUnit'];
+
+const GMAIL_SKIPPED_ACTIONS = {
+    shouldStar: 'Star it',
+    shouldNeverSpam: 'Never send it to Spam',
+    shouldAlwaysMarkAsImportant: 'Always mark it as important',
+    shouldNeverMarkAsImportant: 'Never mark it as important',
+    smartLabelToApply: 'Categorize',
+    forwardTo: 'Forward',
+    cannedResponse: 'Send template'
+};
+
+// Thunderbird text operators: [operator, negated]
+const THUNDERBIRD_TEXT_OPERATORS = {
+    'contains': ['contains', false],
+    "doesn't contain": ['contains', true],
+    'is': ['equals', false],
+    "isn't": ['equals', true],
+    'begins with': ['starts-with', false],
+    'ends with': ['ends-with', false]
+};
+
+const THUNDERBIRD_STATUS = {
+    read: 'read',
+    replied: 'replied',
+    forwarded: 'forwarded'
+};
+
+const EMAIL_ADDRESS = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * A filter condition that has no TutOrg equivalent
+ */
+class UnsupportedError extends Error {}
+
+/**
+ * Detect a Gmail or Thunderbird filter file
+ * @param {string} fileName - Picked file's name
+ * @param {string} text - File contents
+ * @returns {string|null} - Key from FILTER_FORMATS, or null for other files
+ */
+export function detectFilterFormat(fileName, text) {
+    if (text.includes(GMAIL_NS) && /<feed[\s>]/.test(text)) return 'gmail';
+    if (/msgFilterRules\.dat$/i.test(fileName) || /^\s*version="\d+"\s*$/m.test(text) && /^name="/m.test(text)) {
+        return 'thunderbird';
+    }
+    return null;
+}
+
+/**
+ * Map a filter file onto rules for the import preview
+ * @param {string} format - Key from FILTER_FORMATS
+ * @param {string} text - File contents
+ * @returns {Array} - Preview entries, in file order
+ * @throws {Error} - If the file can't be read
+ */
+export function importMailFilters(format, text) {
+    const filters = format === 'gmail' ? readGmailFilters(text) : readThunderbirdFilters(text);
+    return filters.map(filter => buildEntry(filter));
+}
+
+// ============================================
+// Shared mapping
+// ============================================
+
+/**
+ * Pick the field for a sender value: addresses and domains match the address, anything else the name
+ */
+function createSenderCondition(operator, value) {
+    const isAddress = value.includes('@') || (value.includes('.') && !/\s/.test(value));
+    return createCondition(isAddress ? 'sender-address' : 'sender', operator, value);
+}
+
+function anyOf(conditions) {
+    return conditions.length === 1 ? conditions[0] : createGroup('any', conditions);
+}
+
+/**
+ * Map a folder name onto a moving step (null for the inbox, where mail already is)
+ */
+function createMoveAction(folder) {
+    const lower = folder.toLowerCase();
+    if (lower === SYSTEM_FOLDERS.inbox.toLowerCase()) return null;
+    if (lower === SYSTEM_FOLDERS.trash.toLowerCase()) return createAction('trash');
+    if (lower === SYSTEM_FOLDERS.archive.toLowerCase() || lower === 'archives') return createAction('archive');
+    return createAction('move-to-folder', folder);
+}
+
+/**
+ * Validate a mapped filter and wrap it in a preview entry
+ * @param {Object} filter - { name, source, conditions, steps, stopProcessing, enabled, notes, error }
+ */
+function buildEntry(filter) {
+    const { name, source, notes } = filter;
+    if (filter.error) return { name, source, rule: null, notes, error: filter.error };
+
+    // Non-moving steps run first; only one step can move the email away
+    const moving = filter.steps.filter(step => MOVING_ACTIONS.includes(step.type));
+    moving.slice(1).forEach(step => notes.push(`Only one move is possible; "${describeAction(step)}" was skipped`));
+    const actions = [...filter.steps.filter(step => !MOVING_ACTIONS.includes(step.type)), ...moving.slice(0, 1)];
+
+    const error = validateConditions(filter.conditions) ||
+        (actions.length ? validateActions(actions) : 'No supported actions');
+    if (error) return { name, source, rule: null, notes, error };
+
+    return {
+        name,
+        source,
+        notes,
+        error: null,
+        rule: {
+            name,
+            conditions: filter.conditions,
+            exceptions: [],
+            actions,
+            priority: DEFAULT_RULE_PRIORITY,
+            stopProcessing: Boolean(filter.stopProcessing),
+            sourceFolders: [],
+            enabled: filter.enabled !== false
+        }
+    };
+}
+
+// ============================================
+// Gmail (mailFilters.xml)
+// ============================================
+
+/**
+ * Split a Gmail from/subject value into alternatives
+ * Handles "a OR b", "a | b", "{a b}" and quoted phrases; other search syntax is unsupported
+ * @returns {Array<string>}
+ */
+function parseSearchTerms(value) {
+    const text = value.trim().replace(/^\((.*)\)$/, '$1');
+    const tokens = text.match(/"[^"]*"|[{}()|]|[^\s{}()|"]+/g) || [];
+    const terms = [];
+    let phrase = [];
+    let inBraces = false;
+
+    const flush = () => {
+        if (phrase.length) terms.push(phrase.join(' '));
+        phrase = [];
+    };
+
+    for (const token of tokens) {
+        if (token === '{' || token === '}') {
+            flush();
+            inBraces = token === '{';
+        } else if (token === 'OR' || token === '|') {
+            flush();
+        } else if (token === '(' || token === ')' || token === 'AND' || token.startsWith('-') || GMAIL_SEARCH_OPERATOR.test(token)) {
+            throw new UnsupportedError(`Search "${value}" is too complex to convert`);
+        } else {
+            phrase.push(token.startsWith('"') ? token.slice(1, -1) : token);
+            if (inBraces) flush();
+        }
+    }
+    flush();
+
+    const result = terms.map(term => term.trim()).filter(Boolean);
+    if (result.length === 0) throw new UnsupportedError(`Search "${value}" has nothing to match`);
+    return result;
+}
+
+function convertGmailSender(term) {
+    if (term.startsWith('@')) return createCondition('sender-domain', 'equals', term.slice(1));
+    if (EMAIL_ADDRESS.test(term)) return createCondition('sender-address', 'equals', term);
+    return createSenderCondition('contains', term);
+}
+
+/**
+ * Read the filters from a Gmail Atom export
+ */
+function readGmailFilters(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Not a valid Gmail filter file');
+    }
+
+    return [...doc.getElementsByTagNameNS(ATOM_NS, 'entry')].map((entry, index) => {
+        const properties = [...entry.getElementsByTagNameNS(GMAIL_NS, 'property')]
+            .map(property => [property.getAttribute('name'), property.getAttribute('value') ?? ''])
+            .filter(([name]) => name && !GMAIL_IGNORED.includes(name));
+
+        const filter = {
+            name: `Gmail filter ${index + 1}`,
+            source: properties.map(([name, value]) => (value === 'true' ? name : `${name}: ${value}`)).join(', '),
+            notes: []
+        };
+
+        try {
+            return { ...filter, ...convertGmailFilter(new Map(properties), filter.notes) };
+        } catch (error) {
+            if (!(error instanceof UnsupportedError)) throw error;
+            return { ...filter, error: error.message };
+        }
+    });
+}
+
+/**
+ * Convert one Gmail filter's properties into conditions and steps
+ * @throws {UnsupportedError}
+ */
+function convertGmailFilter(properties, notes) {
+    const conditions = [];
+    const steps = [];
+    let folder = null;
+    let archive = false;
+    let trash = false;
+
+    for (const [name, value] of properties) {
+        switch (name) {
+            case 'from':
+                conditions.push(anyOf(parseSearchTerms(value).map(convertGmailSender)));
+                break;
+            case 'subject':
+                conditions.push(anyOf(parseSearchTerms(value).map(term => createCondition('subject', 'contains', term))));
+                break;
+            case 'hasAttachment':
+                if (value === 'true') conditions.push(createCondition('flags', 'is', 'attachment'));
+                break;
+            case 'label':
+                folder = value;
+                break;
+            case 'shouldArchive':
+                archive = value === 'true';
+                break;
+            case 'shouldTrash':
+                trash = value === 'true';
+                break;
+            case 'shouldMarkAsRead':
+                if (value === 'true') steps.push(createAction('mark-read'));
+                break;
+            default:
+                if (GMAIL_SKIPPED_ACTIONS[name]) {
+                    notes.push(`"${GMAIL_SKIPPED_ACTIONS[name]}" is not supported and was skipped`);
+                    break;
+                }
+                // Anything else narrows what the filter matches (to, hasTheWord, size...)
+                throw new UnsupportedError(`Gmail criterion "${name}" is not supported`);
+        }
+    }
+
+    if (conditions.length === 0) throw new UnsupportedError('No criteria that TutOrg can check');
+
+    if (trash) {
+        steps.push(createAction('trash'));
+    } else if (folder) {
+        const step = createMoveAction(folder);
+        if (step) steps.push(step);
+        if (!archive) notes.push(`Gmail keeps labelled mail in the inbox; this rule moves it to "${folder}"`);
+    } else if (archive) {
+        steps.push(createAction('archive'));
+    }
+
+    return {
+        conditions: conditions.length === 1 && conditions[0].type === 'group' ? conditions[0] : createGroup('all', conditions),
+        steps
+    };
+}
+
+// ============================================
+// Thunderbird (msgFilterRules.dat)
+// ============================================
+
+/**
+ * Undo Thunderbird's backslash escaping
+ */
+function unescapeValue(value) {
+    return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Read the filters from a msgFilterRules.dat file
+ */
+function readThunderbirdFilters(text) {
+    const filters = [];
+    let current = null;
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+
+        const match = /^\s*(\w+)="((?:[^"\\]|\\.)*)"\s*$/.exec(line);
+        if (!match) throw new Error(`Line ${index + 1}: not a Thunderbird filter file`);
+
+        const [, key, raw] = match;
+        const value = unescapeValue(raw);
+
+        if (key === 'name') {
+            current = { name: value || `Thunderbird filter ${filters.length + 1}`, enabled: true, actions: [], condition: '' };
+            filters.push(current);
+            return;
+        }
+        if (!current) return; // version, logging
+
+        if (key === 'enabled') current.enabled = value === 'yes';
+        else if (key === 'action') current.actions.push({ action: value, value: '' });
+        else if (key === 'actionValue' && current.actions.length) current.actions[current.actions.length - 1].value = value;
+        else if (key === 'condition') current.condition = value;
+    });
+
+    return filters.map(filter => {
+        const actions = filter.actions.map(({ action, value }) => (value ? `${action} "${value}"` : action));
+        const entry = {
+            name: filter.name,
+            source: `${filter.condition || 'No condition'} → ${actions.join(', ') || 'No actions'}`,
+            enabled: filter.enabled,
+            notes: []
+        };
+
+        try {
+            return {
+                ...entry,
+                conditions: convertThunderbirdCondition(filter.condition),
+                ...convertThunderbirdActions(filter.actions, entry.notes)
+            };
+        } catch (error) {
+            if (!(error instanceof UnsupportedError)) throw error;
+            return { ...entry, error: error.message };
+        }
+    });
+}
+
+/**
+ * Split a condition string like 'AND (from,contains,x) AND (subject,is,"a, b")' into terms
+ * @returns {Array} - [{ join, attribute, operator, value }]
+ * @throws {UnsupportedError}
+ */
+function parseThunderbirdTerms(text) {
+    const terms = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        let value = '';
+        for (i++; i < text.length && text[i] !== '"'; i++) {
+            value += text[i] === '\\' ? text[++i] : text[i];
+        }
+        i++;
+        return value;
+    };
+    const readUntil = (stop) => {
+        if (text[i] === '"') return readQuoted();
+        const end = text.indexOf(stop, i);
+        if (end === -1) throw new UnsupportedError(`Condition "${text}" is not understood`);
+        const value = text.slice(i, end);
+        i = end;
+        return value.trim();
+    };
+    const expect = (char) => {
+        if (text[i] !== char) throw new UnsupportedError(`Condition "${text}" is not understood`);
+        i++;
+    };
+
+    const start = /\s*(AND|OR)\s*\(/y;
+    while (text.slice(i).trim()) {
+        start.lastIndex = i;
+        const match = start.exec(text);
+        if (!match) throw new UnsupportedError(`Condition "${text}" is not understood`);
+        i = start.lastIndex;
+        if (text[i] === '(') throw new UnsupportedError('Grouped conditions are not supported');
+
+        const attribute = readUntil(',');
+        expect(',');
+        const operator = readUntil(',');
+        expect(',');
+        const value = readUntil(')');
+        expect(')');
+        terms.push({ join: match[1], attribute: attribute.toLowerCase(), operator: operator.toLowerCase(), value });
+    }
+    return terms;
+}
+
+/**
+ * Convert a Thunderbird condition string into a condition tree
+ * @throws {UnsupportedError}
+ */
+function convertThunderbirdCondition(text) {
+    if (!text || text.trim() === 'ALL') throw new UnsupportedError('Matches every email');
+
+    const terms = parseThunderbirdTerms(text);
+    if (terms.length === 0) throw new UnsupportedError('No conditions');
+    if (new Set(terms.map(term => term.join)).size > 1) {
+        throw new UnsupportedError('Mixed AND/OR conditions are not supported');
+    }
+
+    return createGroup(terms[0].join === 'OR' ? 'any' : 'all', terms.map(convertThunderbirdTerm));
+}
+
+function convertThunderbirdTerm({ attribute, operator, value }) {
+    const unsupported = () => new UnsupportedError(`"${attribute} ${operator}" is not supported`);
+
+    if (attribute === 'from' || attribute === 'subject') {
+        const mapped = THUNDERBIRD_TEXT_OPERATORS[operator];
+        if (!mapped) throw unsupported();
+
+        const [op, negated] = mapped;
+        const condition = attribute === 'from'
+            ? createSenderCondition(op, value)
+            : createCondition('subject', op, value);
+        return negated ? createGroup('none', [condition]) : condition;
+    }
+
+    if (attribute === 'age in days') {
+        if (operator === 'is greater than') return createCondition('date', 'older-than', value);
+        if (operator === 'is less than') return createCondition('date', 'newer-than', value);
+        throw unsupported();
+    }
+
+    if (attribute === 'status') {
+        const flag = THUNDERBIRD_STATUS[value.toLowerCase()];
+        if (!flag || (operator !== 'is' && operator !== "isn't")) throw unsupported();
+        return createCondition('flags', operator === 'is' ? 'is' : 'is-not', flag);
+    }
+
+    if (attribute === 'has attachment status') {
+        const has = /^(true|yes)$/i.test(value) === (operator === 'is');
+        return createCondition('flags', has ? 'is' : 'is-not', 'attachment');
+    }
+
+    throw new UnsupportedError(`Condition on "${attribute}" is not supported`);
+}
+
+/**
+ * Decode one segment of a Thunderbird folder URI
+ * A malformed escape (a stray "%") is kept as written rather than failing the import
+ * @param {string} segment - URI-encoded folder name
+ * @returns {string}
+ */
+function decodeFolderName(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * Convert a Thunderbird filter's actions into steps
+ * @returns {Object} - { steps, stopProcessing }
+ */
+function convertThunderbirdActions(actions, notes) {
+    const steps = [];
+    let stopProcessing = false;
+
+    actions.forEach(({ action, value }) => {
+        switch (action) {
+            case 'Move to folder': {
+                // Folder URIs look like imap://user@host/INBOX/Newsletters
+                const path = value.replace(/^[a-z]+:\/\/[^/]*\/?/i, '').split('/').filter(Boolean).map(decodeFolderName);
+                const folder = path.pop() || '';
+                const parents = path.filter(name => name.toUpperCase() !== 'INBOX');
+                if (folder && parents.length) {
+                    notes.push(`Folder "${[...parents, folder].join('/')}" is nested; TutOrg moves mail to a folder named "${folder}"`);
+                }
+                const step = folder ? createMoveAction(folder) : null;
+                if (step) steps.push(step);
+                break;
+            }
+            case 'Mark read':
+                steps.push(createAction('mark-read'));
+                break;
+            case 'Mark unread':
+                steps.push(createAction('mark-unread'));
+                break;
+            case 'Delete':
+                steps.push(createAction('trash'));
+                break;
+            case 'Stop execution':
+                stopProcessing = true;
+                break;
+            default:
+                notes.push(`"${action}" is not supported and was skipped`);
+        }
+    });
+
+    return { steps, stopProcessing };
+}
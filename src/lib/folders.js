@@ -0,0 +1,54 @@
+/**
+ * TutOrg - Rule Source Folders
+ * Scopes rules to the folders they run in; rules without source folders run in any folder
+ */
+
+import { MAX_SOURCE_FOLDERS } from './constants.js';
+
+/**
+ * Get a rule's source folders
+ * @param {Object} rule - Rule
+ * @returns {Array<string>} - Folder names (empty = any folder)
+ */
+export function getSourceFolders(rule) {
+    return Array.isArray(rule?.sourceFolders) ? rule.sourceFolders : [];
+}
+
+/**
+ * Whether a rule runs in a folder (names compare case-insensitively)
+ * @param {Object} rule - Rule
+ * @param {string|null} folderName - Open folder, or null if unknown
+ * @returns {boolean}
+ */
+export function ruleAppliesToFolder(rule, folderName) {
+    const folders = getSourceFolders(rule);
+    if (folders.length === 0) return true;
+    if (!folderName) return false;
+
+    const name = folderName.toLowerCase();
+    return folders.some(folder => folder.toLowerCase() === name);
+}
+
+/**
+ * Validate a rule's source folders
+ * @param {*} folders - Source folders to check
+ * @returns {string|null} - Error, or null if valid (missing counts as valid)
+ */
+export function validateSourceFolders(folders) {
+    if (folders === undefined) return null;
+    if (!Array.isArray(folders)) return 'Source folders must be a list';
+    if (folders.length > MAX_SOURCE_FOLDERS) return `A rule can be limited to at most ${MAX_SOURCE_FOLDERS} folders`;
+    if (folders.some(folder => typeof folder !== 'string' || !folder.trim())) {
+        return 'Source folder names must be non-empty text';
+    }
+    return null;
+}
+
+/**
+ * Describe a rule's source folders in plain text
+ * @param {Object} rule - Rule
+ * @returns {string} - e.g. "Spam, Archive" (empty for any folder)
+ */
+export function describeSourceFolders(rule) {
+    return getSourceFolders(rule).join(', ');
+}
@@ -0,0 +1,294 @@
+/**
+ * TutOrg - Import Check
+ * Validates incoming rules one by one, suggests fixes and previews the result of an import
+ *
+ * Every incoming rule (already run through the schema migrations) gets an entry:
+ *   { index, name, status, problems, fixes, warnings, duplicateOf, rule, fixedRule }
+ * status is 'accepted' (valid as is), 'fixable' (valid once fixedRule is used) or 'rejected'.
+ *
+ * Merging recognises rules it already has by fingerprint (conditions, actions and target
+ * folders): a match is updated in place, or skipped if nothing else differs either.
+ */
+
+import { MIN_RULE_PRIORITY, MAX_RULE_PRIORITY } from './constants.js';
+import { validateConditions, validateExceptions } from './conditions.js';
+import { getRuleActions, validateActions } from './actions.js';
+import { getRulePriority, validatePriority } from './priority.js';
+import { getSourceFolders, validateSourceFolders } from './folders.js';
+
+export const IMPORT_STATUS = {
+    accepted: 'Accepted',
+    fixable: 'Needs fixes',
+    rejected: 'Rejected'
+};
+
+// Rule fields compared for duplicates and changes (id, name, account and timestamps are not)
+const DEFINITION_FIELDS = {
+    conditions: 'conditions',
+    exceptions: 'exceptions',
+    actions: 'actions',
+    priority: 'priority',
+    stopProcessing: 'stop processing',
+    sourceFolders: 'folders',
+    enabled: 'enabled'
+};
+
+/**
+ * Get a rule's definition in comparable form
+ * @param {Object} rule - Rule
+ * @returns {Object} - Definition fields with defaults filled in
+ */
+function getDefinition(rule) {
+    return {
+        conditions: rule.conditions || null,
+        exceptions: rule.exceptions || [],
+        actions: getRuleActions(rule),
+        priority: getRulePriority(rule),
+        stopProcessing: !!rule.stopProcessing,
+        sourceFolders: [...getSourceFolders(rule)].sort(),
+        enabled: rule.enabled !== false
+    };
+}
+
+/**
+ * Get a string that is equal for rules that do the same thing
+ * @param {Object} rule - Rule
+ * @returns {string}
+ */
+export function getRuleSignature(rule) {
+    const { enabled, ...definition } = getDefinition(rule);
+    return JSON.stringify(definition);
+}
+
+/**
+ * Get a string that is equal for rules that match the same emails and do the same to them
+ * Unlike the signature it leaves out settings such as priority and exceptions
+ * @param {Object} rule - Rule
+ * @returns {string}
+ */
+export function getRuleFingerprint(rule) {
+    return JSON.stringify({ conditions: rule.conditions || null, actions: getRuleActions(rule) });
+}
+
+/**
+ * List the definition fields (and name) that differ between two rules
+ * @param {Object} before - Current rule
+ * @param {Object} after - Incoming rule
+ * @returns {Array<string>} - Field labels
+ */
+export function getChangedFields(before, after) {
+    const a = getDefinition(before);
+    const b = getDefinition(after);
+    const fields = Object.entries(DEFINITION_FIELDS)
+        .filter(([field]) => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+        .map(([, label]) => label);
+    return before.name === after.name ? fields : ['name', ...fields];
+}
+
+/**
+ * Plan a merge of incoming rules into the current ones
+ * Fingerprint matches are updated in place (keeping id and creation time) or skipped when
+ * identical; everything else is added. Incoming rules are matched in order, so a file
+ * repeating a rule adds it once.
+ * @param {Array} rules - Incoming rules
+ * @param {Array} existingRules - Current rules
+ * @returns {Object} - { rules: merged list, added: [rule], updated: [{ rule, existing, fields }], skipped: [{ rule, existing }] }
+ */
+export function planMerge(rules, existingRules) {
+    const plan = { rules: [...existingRules], added: [], updated: [], skipped: [] };
+    const fingerprints = existingRules.map(getRuleFingerprint);
+    const added = new Set();
+
+    rules.forEach(rule => {
+        const fingerprint = getRuleFingerprint(rule);
+        const index = fingerprints.indexOf(fingerprint);
+        const existing = plan.rules[index];
+        const fields = index === -1 ? [] : getChangedFields(existing, rule);
+
+        if (index !== -1 && fields.length === 0) {
+            plan.skipped.push({ rule, existing });
+        } else if (index !== -1 && !added.has(existing)) {
+            const { id, account, createdAt, ...incoming } = rule;
+            plan.rules[index] = { ...existing, ...incoming, updatedAt: Date.now() };
+            plan.updated.push({ rule, existing, fields });
+        } else {
+            plan.rules.push(rule);
+            fingerprints.push(fingerprint);
+            added.add(rule);
+            plan.added.push(rule);
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Remove conditions without a value and groups left empty
+ * @param {Object} node - Condition tree
+ * @returns {Object|null} - Pruned tree, or null if nothing is left
+ */
+function pruneEmptyConditions(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    if (node.type === 'group') {
+        const children = (Array.isArray(node.children) ? node.children : [])
+            .map(pruneEmptyConditions)
+            .filter(Boolean);
+        return children.length ? { ...node, children } : null;
+    }
+
+    return String(node.value ?? '').trim() ? node : null;
+}
+
+/**
+ * Check one incoming rule
+ * @param {Object} rule - Incoming rule
+ * @param {number} index - Position in the file
+ * @param {Object} context - { folders, signatures: Map(signature → name of the rule that has it) }
+ * @returns {Object} - Import entry
+ */
+function checkRule(rule, index, { folders, signatures }) {
+    const problems = [];
+    const fixes = [];
+    const warnings = [];
+    const fixedRule = { ...rule };
+
+    if (!String(rule.name ?? '').trim()) {
+        fixedRule.name = `Imported rule ${index + 1}`;
+        fixes.push(`Missing name: will be named "${fixedRule.name}"`);
+    }
+
+    if (!rule.conditions) {
+        problems.push(rule.matchType ? `Unknown match type "${rule.matchType}"` : 'Missing conditions');
+    } else {
+        const pruned = pruneEmptyConditions(rule.conditions);
+        if (!pruned) {
+            problems.push('All condition values are empty');
+        } else {
+            if (JSON.stringify(pruned) !== JSON.stringify(rule.conditions)) {
+                fixedRule.conditions = pruned;
+                fixes.push('Empty condition values will be removed');
+            }
+            const error = validateConditions(pruned);
+            if (error) problems.push(error);
+        }
+    }
+
+    if (Array.isArray(rule.exceptions)) {
+        const exceptions = rule.exceptions.filter(exception => String(exception?.value ?? '').trim());
+        if (exceptions.length !== rule.exceptions.length) {
+            fixedRule.exceptions = exceptions;
+            fixes.push('Empty exceptions will be removed');
+        }
+    }
+    const exceptionError = validateExceptions(fixedRule.exceptions);
+    if (exceptionError) problems.push(exceptionError);
+
+    const actionError = validateActions(rule.actions);
+    if (actionError) problems.push(actionError);
+
+    const folderError = validateSourceFolders(rule.sourceFolders);
+    if (folderError) problems.push(folderError);
+
+    if (validatePriority(rule.priority)) {
+        const priority = Math.round(Number(rule.priority));
+        if (Number.isFinite(priority)) {
+            fixedRule.priority = Math.min(MAX_RULE_PRIORITY, Math.max(MIN_RULE_PRIORITY, priority));
+            fixes.push(`Priority ${rule.priority} will be changed to ${fixedRule.priority}`);
+        } else {
+            problems.push(`Priority "${rule.priority}" is not a number`);
+        }
+    }
+
+    // Folders can only be checked when the account's folder list is known
+    if (folders.length && !actionError && !folderError) {
+        const known = new Set(folders.map(folder => folder.toLowerCase()));
+        getRuleActions(rule)
+            .filter(step => step.type === 'move-to-folder' && !known.has(step.targetFolder.toLowerCase()))
+            .forEach(step => warnings.push(`Unknown folder "${step.targetFolder}": create it before running the rule`));
+        getSourceFolders(rule)
+            .filter(folder => !known.has(folder.toLowerCase()))
+            .forEach(folder => warnings.push(`Unknown folder "${folder}": the rule won't run there until it exists`));
+    }
+
+    const status = problems.length ? 'rejected' : fixes.length ? 'fixable' : 'accepted';
+
+    let duplicateOf = null;
+    if (status !== 'rejected') {
+        const signature = getRuleSignature(fixedRule);
+        duplicateOf = signatures.get(signature) || null;
+        if (!duplicateOf) signatures.set(signature, `"${fixedRule.name}" earlier in this file`);
+    }
+
+    return { index, name: fixedRule.name, status, problems, fixes, warnings, duplicateOf, rule, fixedRule };
+}
+
+/**
+ * Check incoming rules against the validators and the current rules
+ * @param {Array} rules - Incoming rules (migrated)
+ * @param {Object} options - { existingRules, folders: folder names in the account ([] if unknown) }
+ * @returns {Array} - Import entries, in file order
+ */
+export function checkImport(rules, { existingRules = [], folders = [] } = {}) {
+    const signatures = new Map();
+    existingRules.forEach(rule => {
+        const signature = getRuleSignature(rule);
+        if (!signatures.has(signature)) signatures.set(signature, `existing rule "${rule.name}"`);
+    });
+
+    return rules.map((rule, index) => checkRule(rule, index, { folders, signatures }));
+}
+
+/**
+ * Get the rule an entry would import
+ * @param {Object} entry - Import entry
+ * @param {boolean} applyFixes - Whether suggested fixes are applied
+ * @returns {Object|null} - Rule, or null if the entry can't be imported
+ */
+export function getImportRule(entry, applyFixes) {
+    if (entry.status === 'accepted') return entry.rule;
+    if (entry.status === 'fixable' && applyFixes) return entry.fixedRule;
+    return null;
+}
+
+/**
+ * Preview what an import would change
+ * Merge follows planMerge; replace matches rules by name to tell changed from added
+ * @param {Array} rules - Rules that would be imported
+ * @param {Array} existingRules - Current rules
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} - { added, changed: [{ name, fields }], unchanged, removed, kept } (names)
+ */
+export function diffImport(rules, existingRules, mode) {
+    if (mode !== 'replace') {
+        const plan = planMerge(rules, existingRules);
+        const touched = new Set([...plan.updated, ...plan.skipped].map(item => item.existing));
+        return {
+            added: plan.added.map(rule => rule.name),
+            changed: plan.updated.map(({ existing, fields }) => ({ name: existing.name, fields })),
+            unchanged: plan.skipped.map(({ rule }) => rule.name),
+            removed: [],
+            kept: existingRules.filter(rule => !touched.has(rule)).map(rule => rule.name)
+        };
+    }
+
+    const diff = { added: [], changed: [], unchanged: [], removed: [], kept: [] };
+    const remaining = [...existingRules];
+
+    rules.forEach(rule => {
+        const index = remaining.findIndex(existing => existing.name?.toLowerCase() === rule.name.toLowerCase());
+        if (index === -1) {
+            diff.added.push(rule.name);
+            return;
+        }
+
+        const [existing] = remaining.splice(index, 1);
+        const fields = getChangedFields(existing, rule).filter(field => field !== 'name');
+
+        if (fields.length) diff.changed.push({ name: rule.name, fields });
+        else diff.unchanged.push(rule.name);
+    });
+
+    diff.removed = remaining.map(rule => rule.name);
+    return diff;
+}
@@ -0,0 +1,145 @@
+/**
+ * TutOrg - Rule Schema Migrations
+ * Upgrades stored and imported rule sets to the current schema, one version at a time
+ *
+ * Rule sets are stored as { schemaVersion, rules, updatedAt, tombstones, globalOverrides }
+ * (see rule-sync.js and rule-layers.js).
+ * Bare arrays and exports without a schemaVersion count as version 0. Every step leaves rules already in its shape unchanged,
+ * so a set can safely be run through steps it has partly seen.
+ */
+
+import { RULES_SCHEMA_VERSION, DEFAULT_RULE_PRIORITY } from './constants.js';
+import { migrateRuleConditions } from './conditions.js';
+import { migrateRuleActions } from './actions.js';
+
+/**
+ * Migration steps; each upgrades a rule (at its position in the set) from version - 1 to version
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        // Early rules stored a single matchValue string
+        migrate(rule) {
+            if (typeof rule.matchValue !== 'string' || Array.isArray(rule.matchValues)) return rule;
+            const { matchValue, ...rest } = rule;
+            return { ...rest, matchValues: [matchValue] };
+        }
+    },
+    {
+        version: 2,
+        // matchType/matchValues become condition trees, action/targetFolder an action list
+        migrate(rule) {
+            return migrateRuleActions(migrateRuleConditions(rule));
+        }
+    },
+    {
+        version: 3,
+        // Fields added after condition trees get their defaults
+        migrate(rule) {
+            return {
+                ...rule,
+                exceptions: Array.isArray(rule.exceptions) ? rule.exceptions : [],
+                priority: rule.priority ?? DEFAULT_RULE_PRIORITY,
+                stopProcessing: !!rule.stopProcessing,
+                sourceFolders: Array.isArray(rule.sourceFolders) ? rule.sourceFolders : []
+            };
+        }
+    },
+    {
+        version: 4,
+        // Rules are merged with the synced copy by id and updatedAt revision. Missing ids are
+        // derived from the position so copies of the same old set on two devices still match.
+        migrate(rule, index) {
+            return {
+                ...rule,
+                id: rule.id ?? `legacy-${index}`,
+                updatedAt: rule.updatedAt ?? rule.importedAt ?? rule.createdAt ?? 0
+            };
+        }
+    }
+];
+
+/**
+ * Read a stored value or imported file as a rule set
+ * @param {*} stored - Bare rules array, a stored rule set or an export file
+ * @returns {Object|null} - { schemaVersion, rules, updatedAt, tombstones, globalOverrides, syncBase }, or null if it holds no rules list
+ */
+export function readRuleSet(stored) {
+    if (Array.isArray(stored)) stored = { rules: stored };
+    if (!stored || !Array.isArray(stored.rules)) return null;
+
+    return {
+        schemaVersion: Number.isInteger(stored.schemaVersion) ? stored.schemaVersion : 0,
+        rules: stored.rules,
+        updatedAt: Number(stored.updatedAt) || 0,
+        tombstones: { ...stored.tombstones },
+        globalOverrides: { ...stored.globalOverrides },
+        syncBase: { ...stored.syncBase }
+    };
+}
+
+/**
+ * Upgrade rules from a schema version to the current one
+ * Entries that aren't objects are dropped; rules from a newer schema are returned unchanged
+ * @param {Array} rules - Rules at fromVersion
+ * @param {number} fromVersion - Schema version the rules were written with
+ * @returns {Array} - Upgraded rules
+ */
+export function migrateRules(rules, fromVersion = 0) {
+    const steps = MIGRATIONS.filter(step => step.version > fromVersion);
+    return rules
+        .filter(rule => rule && typeof rule === 'object')
+        .map((rule, index) => steps.reduce((current, step) => step.migrate(current, index), rule));
+}
+
+/**
+ * Upgrade a stored rule set
+ * @param {*} stored - Stored value (see readRuleSet)
+ * @returns {Object} - The rule set plus upgraded (whether it should be written back)
+ */
+export function upgradeRuleSet(stored) {
+    const ruleSet = readRuleSet(stored);
+    if (!ruleSet) return { ...readRuleSet([]), upgraded: false };
+
+    if (ruleSet.schemaVersion >= RULES_SCHEMA_VERSION) {
+        return { ...ruleSet, upgraded: false };
+    }
+    return { ...ruleSet, rules: migrateRules(ruleSet.rules, ruleSet.schemaVersion), upgraded: true };
+}
+
+/**
+ * Wrap rules for storage at the current schema version
+ * @param {Array} rules - Rules
+ * @param {Object} meta - { updatedAt, tombstones, globalOverrides, syncBase } (syncBase is only kept locally)
+ * @returns {Object} - Rule set
+ */
+export function createRuleSet(rules, { updatedAt = Date.now(), tombstones = {}, globalOverrides = {}, syncBase = null } = {}) {
+    const ruleSet = { schemaVersion: RULES_SCHEMA_VERSION, rules, updatedAt, tombstones, globalOverrides };
+    return syncBase ? { ...ruleSet, syncBase } : ruleSet;
+}
+
+/**
+ * Work out what to do with the rules stored for the default account
+ * Versions before global rules copied every save into emailRules_default as well, so that set
+ * is usually a stale copy of another account's rules rather than rules of its own. It is one
+ * if it matches an account's rules, or if all its rules were created for the same other account.
+ * @param {*} stored - Stored default rule set
+ * @param {Object} accountSets - { [account]: stored rule set } for the other accounts
+ * @returns {Object|null} - { remove: true } if another account has the rules, { moveTo: account } if
+ *   the account they were created for has no rules stored, or null if they are the default account's own
+ */
+export function findDefaultRulesMirror(stored, accountSets) {
+    const { rules } = upgradeRuleSet(stored);
+    if (rules.length === 0) return { remove: true };
+
+    const content = JSON.stringify(rules);
+    if (Object.values(accountSets).some(set => JSON.stringify(upgradeRuleSet(set).rules) === content)) {
+        return { remove: true };
+    }
+
+    const owners = new Set(rules.map(rule => rule.account));
+    const [owner] = owners;
+    if (owners.size !== 1 || !owner || owner === 'default') return null;
+
+    return accountSets[owner] ? { remove: true } : { moveTo: owner };
+}
@@ -0,0 +1,40 @@
+/**
+ * TutOrg - Rule Priority
+ * Orders rules for evaluation: lower priority numbers run first, ties keep list order
+ */
+
+import { DEFAULT_RULE_PRIORITY, MIN_RULE_PRIORITY, MAX_RULE_PRIORITY } from './constants.js';
+
+/**
+ * Get a rule's priority (rules saved before priorities get the default)
+ * @param {Object} rule - Rule
+ * @returns {number}
+ */
+export function getRulePriority(rule) {
+    return Number.isFinite(rule?.priority) ? rule.priority : DEFAULT_RULE_PRIORITY;
+}
+
+/**
+ * Sort rules into evaluation order without changing the input
+ * @param {Array} rules - Rules
+ * @returns {Array} - Rules, highest priority (lowest number) first
+ */
+export function sortRulesByPriority(rules) {
+    return rules
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => getRulePriority(a.rule) - getRulePriority(b.rule) || a.index - b.index)
+        .map(({ rule }) => rule);
+}
+
+/**
+ * Validate a priority value
+ * @param {*} priority - Priority to check
+ * @returns {string|null} - Error, or null if valid (missing counts as valid)
+ */
+export function validatePriority(priority) {
+    if (priority === undefined) return null;
+    if (!Number.isInteger(priority) || priority < MIN_RULE_PRIORITY || priority > MAX_RULE_PRIORITY) {
+        return `Priority must be a whole number from ${MIN_RULE_PRIORITY} to ${MAX_RULE_PRIORITY}`;
+    }
+    return null;
+}
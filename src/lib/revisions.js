@@ -0,0 +1,71 @@
+/**
+ * TutOrg - Rule Revisions
+ * Compares snapshots of a rule set and describes what changed between them
+ *
+ * Storage keeps a snapshot of an account's rules after every save:
+ *   { id, at, description, rules }
+ * Rules are matched by id, so a renamed rule counts as edited rather than deleted and added.
+ */
+
+import { getChangedFields } from './import-check.js';
+
+/**
+ * Compare two versions of a rule set
+ * @param {Array} before - Earlier rules
+ * @param {Array} after - Later rules
+ * @returns {Object} - { added, deleted: [name], edited: [{ name, fields }], toggled: [{ name, enabled }] }
+ */
+export function diffRuleSets(before, after) {
+    const earlier = new Map(before.map(rule => [rule.id, rule]));
+    const ids = new Set(after.map(rule => rule.id));
+    const diff = { added: [], deleted: [], edited: [], toggled: [] };
+
+    after.forEach(rule => {
+        const previous = earlier.get(rule.id);
+        if (!previous) {
+            diff.added.push(rule.name);
+            return;
+        }
+
+        const fields = getChangedFields(previous, rule);
+        if (fields.length === 1 && fields[0] === 'enabled') {
+            diff.toggled.push({ name: rule.name, enabled: rule.enabled !== false });
+        } else if (fields.length) {
+            diff.edited.push({ name: rule.name, fields });
+        }
+    });
+
+    diff.deleted = before.filter(rule => !ids.has(rule.id)).map(rule => rule.name);
+    return diff;
+}
+
+/**
+ * Whether a diff holds any change
+ * @param {Object} diff - Result of diffRuleSets
+ * @returns {boolean}
+ */
+export function hasRuleChanges(diff) {
+    return Object.values(diff).some(list => list.length > 0);
+}
+
+/**
+ * Describe a diff in one short line
+ * @param {Object} diff - Result of diffRuleSets
+ * @returns {string} - e.g. 'Deleted rule "Newsletters"' or 'Added 3 rules, disabled rule "Spam"'
+ */
+export function describeRuleChanges(diff) {
+    const groups = [
+        ['Added', diff.added],
+        ['Edited', diff.edited.map(change => change.name)],
+        ['Deleted', diff.deleted],
+        ['Enabled', diff.toggled.filter(change => change.enabled).map(change => change.name)],
+        ['Disabled', diff.toggled.filter(change => !change.enabled).map(change => change.name)]
+    ];
+
+    const parts = groups
+        .filter(([, names]) => names.length)
+        .map(([verb, names]) => (names.length === 1 ? `${verb} rule "${names[0]}"` : `${verb} ${names.length} rules`));
+
+    if (!parts.length) return 'No changes';
+    return parts.map((part, index) => (index === 0 ? part : part[0].toLowerCase() + part.slice(1))).join(', ');
+}
@@ -0,0 +1,43 @@
+/**
+ * TutOrg - Rule Layers
+ * Combines the global rules, which apply to every account, with an account's own rules
+ *
+ * Global rules are stored as the rule set of GLOBAL_RULES_ACCOUNT. An account's rule set adds
+ * its own rules and can switch off single global rules for that account only:
+ *   globalOverrides: { [globalRuleId]: { disabled, updatedAt } }
+ */
+
+/**
+ * Get the global rules an account has switched off
+ * @param {Object} overrides - The account's globalOverrides
+ * @returns {Set<string>} - Global rule ids
+ */
+export function getDisabledGlobalRules(overrides = {}) {
+    return new Set(Object.keys(overrides).filter(id => overrides[id]?.disabled));
+}
+
+/**
+ * Whether a global rule runs for an account
+ * @param {Object} rule - Global rule
+ * @param {Set<string>} disabled - Global rule ids the account switched off
+ * @returns {boolean}
+ */
+export function isGlobalRuleActive(rule, disabled) {
+    return rule.enabled && !disabled.has(rule.id);
+}
+
+/**
+ * Build the list of rules that apply to an account
+ * Global rules the account switched off are kept but disabled. At equal priority global rules
+ * come first.
+ * @param {Array} globalRules - Global rules
+ * @param {Array} accountRules - The account's own rules
+ * @param {Set<string>} disabled - Global rule ids the account switched off
+ * @returns {Array} - Effective rules
+ */
+export function getEffectiveRules(globalRules, accountRules, disabled = new Set()) {
+    return [
+        ...globalRules.map(rule => (disabled.has(rule.id) ? { ...rule, enabled: false } : rule)),
+        ...accountRules
+    ];
+}
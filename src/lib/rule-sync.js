@@ -0,0 +1,253 @@
+/**
+ * TutOrg - Rule Sync
+ * Merges this device's rule set with the copy in browser sync
+ *
+ * Every rule carries an updatedAt revision, and a set keeps tombstones ({ [id]: deletedAt })
+ * for rules deleted from it. Merging keeps, rule by rule, whichever side wrote last; a
+ * deletion counts as a write at deletedAt. The local copy also remembers each rule's revision
+ * at the last merge (syncBase), so a rule changed on both sides since then is reported as a
+ * conflict instead of one change disappearing unnoticed.
+ *
+ * An account's switches for global rules (globalOverrides) carry their own updatedAt and are
+ * merged the same way, without conflicts.
+ */
+
+import { RULE_TOMBSTONE_DAYS } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a rule's revision
+ * @param {Object} rule - Rule
+ * @returns {number} - updatedAt, or 0 if it has none
+ */
+export function getRuleRevision(rule) {
+    return Number(rule?.updatedAt) || 0;
+}
+
+/**
+ * Get a rule's content in comparable form (everything but its revision)
+ * @param {Object} rule - Rule
+ * @returns {string}
+ */
+function getContent(rule) {
+    const { updatedAt, ...content } = rule;
+    return JSON.stringify(content);
+}
+
+/**
+ * Map rule ids to their revisions
+ * @param {Array} rules - Rules
+ * @returns {Object} - { [id]: updatedAt }
+ */
+export function getSyncBase(rules) {
+    return Object.fromEntries(rules.map(rule => [rule.id, getRuleRevision(rule)]));
+}
+
+/**
+ * Order an object's entries by id, so equal maps serialize equally
+ * @param {Object} map - { [id]: value }
+ * @returns {Object}
+ */
+function sortById(map) {
+    return Object.fromEntries(Object.entries(map).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Drop tombstones of rules that exist again or were deleted long ago
+ * @param {Object} tombstones - { [id]: deletedAt }
+ * @param {Set<string>} ruleIds - Ids of the rules in the set
+ * @param {number} now - Current time
+ * @returns {Object} - Tombstones, sorted by id
+ */
+function pruneTombstones(tombstones, ruleIds, now) {
+    const cutoff = now - RULE_TOMBSTONE_DAYS * DAY_MS;
+    return sortById(Object.fromEntries(Object.entries(tombstones)
+        .filter(([id, deletedAt]) => !ruleIds.has(id) && deletedAt >= cutoff)));
+}
+
+/**
+ * Whether two rule lists hold the same rules at the same revisions (in any order)
+ * @param {Array} a - Rules
+ * @param {Array} b - Rules
+ * @returns {boolean}
+ */
+function sameRules(a, b) {
+    if (a.length !== b.length) return false;
+    const byId = new Map(b.map(rule => [rule.id, rule]));
+    return a.every(rule => {
+        const other = byId.get(rule.id);
+        return other && getRuleRevision(other) === getRuleRevision(rule) && getContent(other) === getContent(rule);
+    });
+}
+
+/**
+ * Record the edits made since the stored set: changed and new rules get a new revision,
+ * removed rules a tombstone
+ * @param {Array} rules - Rules about to be saved
+ * @param {Object|null} previous - Stored set (see readRuleSet), or null if there is none
+ * @param {number} now - Current time
+ * @returns {Object} - { rules, tombstones }
+ */
+export function reviseRules(rules, previous, now = Date.now()) {
+    const before = new Map((previous?.rules || []).map(rule => [rule.id, rule]));
+    const ids = new Set(rules.map(rule => rule.id));
+
+    const revised = rules.map(rule => {
+        const stored = before.get(rule.id);
+        return stored && getContent(stored) === getContent(rule)
+            ? { ...rule, updatedAt: getRuleRevision(stored) }
+            : { ...rule, updatedAt: now };
+    });
+
+    const tombstones = { ...previous?.tombstones };
+    before.forEach((rule, id) => {
+        if (!ids.has(id)) tombstones[id] = now;
+    });
+
+    return { rules: revised, tombstones: pruneTombstones(tombstones, ids, now) };
+}
+
+/**
+ * Record which global rules an account disables: switches that changed get a new revision
+ * @param {Array<string>} disabledIds - Global rule ids disabled for the account
+ * @param {Object} previous - Stored overrides ({ [id]: { disabled, updatedAt } })
+ * @param {number} now - Current time
+ * @returns {Object} - Overrides, sorted by id
+ */
+export function reviseOverrides(disabledIds, previous = {}, now = Date.now()) {
+    const disabled = new Set(disabledIds);
+    const overrides = { ...previous };
+
+    new Set([...Object.keys(previous), ...disabled]).forEach(id => {
+        if (!!previous[id]?.disabled !== disabled.has(id)) {
+            overrides[id] = { disabled: disabled.has(id), updatedAt: now };
+        }
+    });
+
+    return sortById(overrides);
+}
+
+/**
+ * Merge two sides' global rule switches, latest switch wins (ties: disabled)
+ * @param {Object} local - { [id]: { disabled, updatedAt } }
+ * @param {Object} remote - { [id]: { disabled, updatedAt } }
+ * @returns {Object} - Overrides, sorted by id
+ */
+function mergeOverrides(local = {}, remote = {}) {
+    const merged = { ...remote };
+    Object.entries(local).forEach(([id, entry]) => {
+        const other = merged[id];
+        if (!other || entry.updatedAt > other.updatedAt || (entry.updatedAt === other.updatedAt && entry.disabled)) {
+            merged[id] = entry;
+        }
+    });
+    return sortById(merged);
+}
+
+/**
+ * Get one side's version of a rule
+ * @param {Map} rules - Rules by id
+ * @param {Object} tombstones - { [id]: deletedAt }
+ * @param {string} id - Rule id
+ * @param {string} source - 'local' or 'sync'
+ * @returns {Object|null} - { rule (null if deleted), revision, source }, or null if the side never had it
+ */
+function getVersion(rules, tombstones, id, source) {
+    if (rules.has(id)) {
+        const rule = rules.get(id);
+        return { rule, revision: getRuleRevision(rule), source };
+    }
+    return id in tombstones ? { rule: null, revision: tombstones[id], source } : null;
+}
+
+/**
+ * Pick the version that was written last
+ * Ties go to the rule over the deletion, then to the larger content, so every device picks
+ * the same one.
+ * @returns {Array} - [winner, loser]
+ */
+function pickLatest(mine, theirs) {
+    if (mine.revision !== theirs.revision) {
+        return mine.revision > theirs.revision ? [mine, theirs] : [theirs, mine];
+    }
+    const a = mine.rule ? getContent(mine.rule) : '';
+    const b = theirs.rule ? getContent(theirs.rule) : '';
+    return a >= b ? [mine, theirs] : [theirs, mine];
+}
+
+/**
+ * Merge this device's rule set with the synced one
+ * @param {Object} local - Local set ({ rules, tombstones, globalOverrides, syncBase }, see readRuleSet)
+ * @param {Object} remote - Synced set ({ rules, tombstones, globalOverrides })
+ * @param {number} now - Current time
+ * @returns {Object} - { rules, tombstones, globalOverrides, updatedAt, syncBase, conflicts, localChanged, remoteChanged }
+ *   conflicts: [{ id, name, kept, other, keptFrom, at }] (kept/other are rules, or null for a deletion)
+ */
+export function mergeRuleSets(local, remote, now = Date.now()) {
+    const base = local.syncBase || {};
+    const localTombstones = local.tombstones || {};
+    const remoteTombstones = remote.tombstones || {};
+    const localRules = new Map(local.rules.map(rule => [rule.id, rule]));
+    const remoteRules = new Map(remote.rules.map(rule => [rule.id, rule]));
+
+    const ids = new Set([
+        ...localRules.keys(), ...remoteRules.keys(),
+        ...Object.keys(localTombstones), ...Object.keys(remoteTombstones)
+    ]);
+    const rules = [];
+    const deleted = {};
+    const conflicts = [];
+
+    ids.forEach(id => {
+        const mine = getVersion(localRules, localTombstones, id, 'local');
+        const theirs = getVersion(remoteRules, remoteTombstones, id, 'sync');
+        let winner = mine || theirs;
+
+        if (mine && theirs) {
+            const same = mine.rule && theirs.rule
+                ? getContent(mine.rule) === getContent(theirs.rule)
+                : !mine.rule && !theirs.rule;
+            const [latest, other] = pickLatest(mine, theirs);
+            winner = latest;
+
+            // Both sides moved away from the last merged revision in different ways
+            if (!same && mine.revision !== base[id] && theirs.revision !== base[id]) {
+                conflicts.push({
+                    id,
+                    name: (latest.rule || other.rule).name,
+                    kept: latest.rule,
+                    other: other.rule,
+                    keptFrom: latest.source,
+                    at: now
+                });
+            }
+        }
+
+        if (winner.rule) rules.push(winner.rule);
+        else deleted[id] = winner.revision;
+    });
+
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    const tombstones = pruneTombstones(deleted, ruleIds, now);
+    const syncBase = getSyncBase(rules);
+    // Tombstones dropped by pruning alone don't need writing back
+    const hasNewTombstones = (existing) => Object.keys(tombstones).some(id => !(id in existing));
+    const globalOverrides = mergeOverrides(local.globalOverrides, remote.globalOverrides);
+    const overridesChanged = (existing = {}) =>
+        JSON.stringify(globalOverrides) !== JSON.stringify(sortById(existing));
+
+    return {
+        rules,
+        tombstones,
+        globalOverrides,
+        updatedAt: Math.max(local.updatedAt || 0, remote.updatedAt || 0),
+        syncBase,
+        conflicts,
+        localChanged: !sameRules(rules, local.rules) || hasNewTombstones(localTombstones) ||
+            Object.keys(base).length !== rules.length || rules.some(rule => base[rule.id] !== syncBase[rule.id]) ||
+            overridesChanged(local.globalOverrides),
+        remoteChanged: !sameRules(rules, remote.rules) || hasNewTombstones(remoteTombstones) ||
+            overridesChanged(remote.globalOverrides)
+    };
+}
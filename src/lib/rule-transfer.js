@@ -0,0 +1,71 @@
+/**
+ * TutOrg - Rule Transfer
+ * Prepares rules copied or moved to another account
+ *
+ * Move-to-folder steps name the folder they move to, and the other account may not have a
+ * folder by that name. A folder map ({ [folder]: replacement }) renames them on the way.
+ */
+
+import { getRuleActions } from './actions.js';
+import { planMerge } from './import-check.js';
+
+/**
+ * List the folders the rules move emails to
+ * @param {Array} rules - Rules
+ * @returns {Array<string>} - Folder names, in order of first use
+ */
+export function getTargetFolders(rules) {
+    const folders = rules.flatMap(rule => getRuleActions(rule)
+        .filter(step => step.type === 'move-to-folder' && step.targetFolder)
+        .map(step => step.targetFolder));
+    return [...new Set(folders)];
+}
+
+/**
+ * Find the target folders another account lacks
+ * @param {Array} rules - Rules about to be transferred
+ * @param {Array<string>} folders - The other account's folder names
+ * @returns {Array} - [{ folder, suggestion }] (suggestion: same name in other case or spacing, or null)
+ */
+export function findMissingFolders(rules, folders) {
+    const known = new Set(folders);
+    const normalize = (name) => name.trim().toLowerCase();
+
+    return getTargetFolders(rules)
+        .filter(folder => !known.has(folder))
+        .map(folder => ({
+            folder,
+            suggestion: folders.find(name => normalize(name) === normalize(folder)) || null
+        }));
+}
+
+/**
+ * Rename a rule's target folders
+ * @param {Object} rule - Rule
+ * @param {Object} folderMap - { [folder]: replacement } (folders not listed are kept)
+ * @returns {Object} - The rule, or a copy with renamed folders
+ */
+export function remapRuleFolders(rule, folderMap = {}) {
+    const actions = getRuleActions(rule);
+    if (!actions.some(step => step.type === 'move-to-folder' && folderMap[step.targetFolder])) return rule;
+
+    return {
+        ...rule,
+        actions: actions.map(step => (step.type === 'move-to-folder' && folderMap[step.targetFolder]
+            ? { ...step, targetFolder: folderMap[step.targetFolder] }
+            : step))
+    };
+}
+
+/**
+ * Plan adding rules to another account's rules
+ * Folders are renamed first; then, as when importing, rules the account already has (same
+ * conditions and actions) are updated in place or skipped, and the rest are added.
+ * @param {Array} rules - Rules to transfer
+ * @param {Array} targetRules - The other account's rules
+ * @param {Object} folderMap - { [folder]: replacement }
+ * @returns {Object} - Merge plan (see planMerge)
+ */
+export function planTransfer(rules, targetRules, folderMap = {}) {
+    return planMerge(rules.map(rule => remapRuleFolders(rule, folderMap)), targetRules);
+}
@@ -0,0 +1,798 @@
+/**
+ * TutOrg - Sieve Export/Import
+ * Converts rules to and from RFC 5228 Sieve scripts
+ *
+ * Export turns conditions into header/address tests and actions into fileinto,
+ * addflag/removeflag and stop. Import understands the subset TutOrg can express:
+ *   if/elsif/else with allof, anyof and not
+ *   header and address tests on From and Subject (:is, :contains, :matches, :regex)
+ *   fileinto, discard, addflag/setflag/removeflag "\\Seen", keep and stop
+ * Anything else is listed in the returned report instead of being dropped silently.
+ */
+
+import { CONDITION_FIELDS, DEFAULT_RULE_PRIORITY, MOVING_ACTIONS, SYSTEM_FOLDERS } from './constants.js';
+import { validateRegex } from './utils.js';
+import {
+    createCondition,
+    createGroup,
+    cloneConditions,
+    describeCondition,
+    migrateRuleConditions,
+    validateConditions
+} from './conditions.js';
+import { createAction, describeAction, migrateRuleActions, validateActions } from './actions.js';
+import { sortRulesByPriority } from './priority.js';
+import { getSourceFolders } from './folders.js';
+
+const SEEN_FLAG = '\\Seen';
+
+// Exported rules are preceded by this comment; import reads rule names from it
+const RULE_NAME_COMMENT = /^rule:\s*(.+)$/i;
+
+// Comparator for case-sensitive matching; Sieve compares case-insensitively by default
+const CASE_SENSITIVE_COMPARATOR = 'i;octet';
+
+// Sieve match types mapped onto condition operators
+const MATCH_TYPES = {
+    ':is': 'equals',
+    ':contains': 'contains',
+    ':regex': 'regex'
+};
+
+/**
+ * A syntax error in a Sieve script
+ */
+class SieveSyntaxError extends Error {
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'SieveSyntaxError';
+    }
+}
+
+/**
+ * A test or action that has no TutOrg equivalent
+ */
+class UnsupportedError extends Error {
+    constructor(message, line) {
+        super(message);
+        this.line = line;
+    }
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Quote a Sieve string
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function quote(value) {
+    return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Escape :matches wildcards so the value is compared literally
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeWildcards(value) {
+    return value.replace(/[\\*?]/g, '\\$&');
+}
+
+/**
+ * Export a leaf condition as a Sieve test
+ * @returns {string|null} - Test, or null if it has no Sieve equivalent
+ */
+function exportCondition(condition, context) {
+    const { field, operator, value } = condition;
+    const match = {
+        'equals': [':is', value],
+        'contains': [':contains', value],
+        'starts-with': [':matches', `${escapeWildcards(value)}*`],
+        'ends-with': [':matches', `*${escapeWildcards(value)}`],
+        'regex': [':regex', value]
+    }[operator];
+
+    if (!match) {
+        context.note(`"${describeCondition(condition)}" has no Sieve equivalent`);
+        return null;
+    }
+    let [matchType, key] = match;
+    if (operator === 'regex') {
+        context.requires.add('regex');
+        if ((condition.flags || '').replace('i', '')) {
+            context.note(`regex flags "${condition.flags}" are not supported in Sieve and were dropped`);
+        }
+        // Without the i flag the regex is case-sensitive, which Sieve only does with its octet comparator
+        if (!(condition.flags || '').includes('i')) {
+            matchType = `:comparator ${quote(CASE_SENSITIVE_COMPARATOR)} ${matchType}`;
+        }
+    }
+
+    switch (field) {
+        case 'subject':
+            return `header ${matchType} "subject" ${quote(key)}`;
+        case 'sender':
+            // The display name is only part of the From header, so "equals" can only be searched for
+            if (operator === 'equals') {
+                context.note(`"${describeCondition(condition)}" exported as From contains "${value}"`);
+                return `header :contains "from" ${quote(value)}`;
+            }
+            return `header ${matchType} "from" ${quote(key)}`;
+        case 'sender-address':
+            return `address :all ${matchType} "from" ${quote(key)}`;
+        case 'sender-domain':
+            return `address :domain ${matchType} "from" ${quote(key)}`;
+        default:
+            context.note(`"${describeCondition(condition)}" has no Sieve equivalent`);
+            return null;
+    }
+}
+
+/**
+ * Export a condition tree as a Sieve test
+ * @returns {string|null} - Test, or null if any part has no Sieve equivalent
+ */
+function exportNode(node, context, indent) {
+    if (node.type !== 'group') return exportCondition(node, context);
+
+    const children = node.children.map(child => exportNode(child, context, indent + 4));
+    if (children.some(child => child === null)) return null;
+
+    if (node.mode !== 'none' && children.length === 1) return children[0];
+
+    const pad = ' '.repeat(indent + 4);
+    const list = `(\n${children.map(child => pad + child).join(',\n')})`;
+    if (node.mode === 'none') return `not anyof ${list}`;
+    return `${node.mode === 'any' ? 'anyof' : 'allof'} ${list}`;
+}
+
+/**
+ * Export a rule's actions as Sieve commands
+ * @returns {Array<string>|null} - Commands, or null if an action has no Sieve equivalent
+ */
+function exportActions(rule, context) {
+    const commands = [];
+
+    for (const step of rule.actions) {
+        switch (step.type) {
+            case 'trash':
+                commands.push(`fileinto ${quote(SYSTEM_FOLDERS.trash)};`);
+                break;
+            case 'archive':
+                commands.push(`fileinto ${quote(SYSTEM_FOLDERS.archive)};`);
+                break;
+            case 'move-to-folder':
+                commands.push(`fileinto ${quote(step.targetFolder)};`);
+                break;
+            case 'mark-read':
+                commands.push(`addflag ${quote(SEEN_FLAG)};`);
+                break;
+            case 'mark-unread':
+                commands.push(`removeflag ${quote(SEEN_FLAG)};`);
+                break;
+            default:
+                context.note(`action "${describeAction(step)}" has no Sieve equivalent`);
+                return null;
+        }
+        context.requires.add(step.type.startsWith('mark-') ? 'imap4flags' : 'fileinto');
+    }
+
+    // Later Sieve rules would file a second copy of a moved email; TutOrg stops instead
+    if (rule.stopProcessing || rule.actions.some(step => MOVING_ACTIONS.includes(step.type))) {
+        commands.push('stop;');
+    }
+    return commands;
+}
+
+/**
+ * Export rules as a Sieve script, in priority order
+ * Disabled rules are exported commented out; rules that can't be expressed are left out
+ * @param {Array} rules - Rules (legacy formats are converted first)
+ * @returns {Object} - { script, exported, report: [messages] }
+ */
+export function exportSieve(rules) {
+    const requires = new Set();
+    const report = [];
+    const blocks = [];
+
+    sortRulesByPriority(rules.map(rule => migrateRuleActions(migrateRuleConditions(rule)))).forEach(rule => {
+        const notes = [];
+        const context = { requires: new Set(), note: (message) => notes.push(message) };
+
+        const exceptions = (rule.exceptions || []).map(exception => exportCondition(exception, context));
+        const conditions = rule.conditions ? exportNode(rule.conditions, context, exceptions.length ? 4 : 0) : null;
+        const actions = exportActions(rule, context);
+
+        if (!rule.conditions) notes.push('it has no conditions');
+        if (getSourceFolders(rule).length) {
+            notes.push('"Only in folders" was dropped (Sieve filters run on delivery)');
+        }
+
+        if (!conditions || exceptions.some(test => test === null) || !actions) {
+            report.push(`${rule.name}: not exported — ${notes.join('; ')}`);
+            return;
+        }
+        notes.forEach(message => report.push(`${rule.name}: ${message}`));
+
+        const test = exceptions.length
+            ? `allof (\n    ${conditions},\n    not anyof (${exceptions.join(', ')}))`
+            : conditions;
+        const lines = [`# Rule: ${rule.name}`, `if ${test} {`, ...actions.map(command => `    ${command}`), '}'];
+
+        context.requires.forEach(extension => requires.add(extension));
+        blocks.push(rule.enabled === false
+            ? ['# (disabled in TutOrg)', ...lines.map(line => `# ${line}`)].join('\n')
+            : lines.join('\n'));
+    });
+
+    const header = [`# Sieve filter exported from TutOrg on ${new Date().toISOString()}`];
+    if (requires.size) header.push(`require [${[...requires].sort().map(quote).join(', ')}];`);
+
+    return {
+        script: `${header.join('\n')}\n\n${blocks.join('\n\n')}\n`,
+        exported: blocks.length,
+        report
+    };
+}
+
+// ============================================
+// Import: tokenizer and parser
+// ============================================
+
+/**
+ * Split a Sieve script into tokens (strings, tags, numbers, identifiers, punctuation, comments)
+ * @param {string} text - Script
+ * @returns {Array} - [{ type, value, line }]
+ */
+function tokenize(script) {
+    const text = script.replace(/\r\n?/g, '\n');
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+
+    while (i < text.length) {
+        const ch = text[i];
+        const start = line;
+
+        if (ch === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '#') {
+            const end = text.indexOf('\n', i);
+            const stop = end === -1 ? text.length : end;
+            tokens.push({ type: 'comment', value: text.slice(i + 1, stop).trim(), line });
+            i = stop;
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            if (end === -1) throw new SieveSyntaxError('Unterminated comment', line);
+            line += (text.slice(i, end).match(/\n/g) || []).length;
+            i = end + 2;
+        } else if (ch === '"') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                if (text[i] === '\n') line++;
+                value += text[i];
+                i++;
+            }
+            if (i >= text.length) throw new SieveSyntaxError('Unterminated string', start);
+            i++;
+            tokens.push({ type: 'string', value, line: start });
+        } else if (/^text:/i.test(text.slice(i, i + 5))) {
+            // Multi-line string: runs to a line holding a single "."
+            const bodyStart = text.indexOf('\n', i);
+            const end = bodyStart === -1 ? -1 : text.indexOf('\n.\n', bodyStart - 1);
+            if (end === -1) throw new SieveSyntaxError('Unterminated multi-line string', line);
+            const value = text.slice(bodyStart + 1, end + 1).replace(/^\.\./gm, '.');
+            line += (text.slice(i, end + 3).match(/\n/g) || []).length;
+            tokens.push({ type: 'string', value, line: start });
+            i = end + 3;
+        } else if (ch === ':') {
+            const match = text.slice(i).match(/^:[a-z_][a-z0-9_]*/i);
+            if (!match) throw new SieveSyntaxError('Invalid tag', line);
+            tokens.push({ type: 'tag', value: match[0].toLowerCase(), line });
+            i += match[0].length;
+        } else if (/\d/.test(ch)) {
+            const match = text.slice(i).match(/^\d+[kmg]?/i);
+            tokens.push({ type: 'number', value: match[0], line });
+            i += match[0].length;
+        } else if (/[a-z_]/i.test(ch)) {
+            const match = text.slice(i).match(/^[a-z_][a-z0-9_]*/i);
+            tokens.push({ type: 'identifier', value: match[0].toLowerCase(), line });
+            i += match[0].length;
+        } else if ('[](){},;'.includes(ch)) {
+            tokens.push({ type: ch, value: ch, line });
+            i++;
+        } else {
+            throw new SieveSyntaxError(`Unexpected "${ch}"`, line);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser for the RFC 5228 grammar
+ * Commands and tests come out as { name, args, tests, block, line, ruleName };
+ * "# Rule: <name>" comments name the next command
+ */
+class SieveParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.ruleName = null;
+    }
+
+    peek() {
+        while (this.tokens[this.pos]?.type === 'comment') {
+            const match = this.tokens[this.pos].value.match(RULE_NAME_COMMENT);
+            if (match) this.ruleName = match[1].trim();
+            this.pos++;
+        }
+        return this.tokens[this.pos] || null;
+    }
+
+    next() {
+        const token = this.peek();
+        if (token) this.pos++;
+        return token;
+    }
+
+    expect(type) {
+        const token = this.next();
+        if (!token || token.type !== type) {
+            const line = token?.line ?? this.tokens[this.tokens.length - 1]?.line ?? 1;
+            throw new SieveSyntaxError(`Expected "${type}"${token ? ` but found "${token.value}"` : ' before end of script'}`, line);
+        }
+        return token;
+    }
+
+    parseCommands(closing = null) {
+        const commands = [];
+        while (this.peek() && this.peek().type !== closing) {
+            commands.push(this.parseCommand());
+        }
+        return commands;
+    }
+
+    parseCommand() {
+        const token = this.expect('identifier');
+        const ruleName = this.ruleName;
+        this.ruleName = null;
+
+        const command = { name: token.value, line: token.line, ruleName, ...this.parseArguments() };
+
+        if (this.peek()?.type === '{') {
+            this.next();
+            command.block = this.parseCommands('}');
+            this.expect('}');
+        } else {
+            this.expect(';');
+        }
+        return command;
+    }
+
+    parseArguments() {
+        const args = [];
+        let tests = [];
+
+        for (;;) {
+            const token = this.peek();
+            if (!token) break;
+
+            if (token.type === 'string' || token.type === 'number' || token.type === 'tag') {
+                this.next();
+                args.push(token);
+            } else if (token.type === '[') {
+                args.push(this.parseStringList());
+            } else {
+                break;
+            }
+        }
+
+        const token = this.peek();
+        if (token?.type === 'identifier') {
+            tests = [this.parseTest()];
+        } else if (token?.type === '(') {
+            this.next();
+            tests.push(this.parseTest());
+            while (this.peek()?.type === ',') {
+                this.next();
+                tests.push(this.parseTest());
+            }
+            this.expect(')');
+        }
+
+        return { args, tests };
+    }
+
+    parseStringList() {
+        const open = this.expect('[');
+        const values = [this.expect('string').value];
+        while (this.peek()?.type === ',') {
+            this.next();
+            values.push(this.expect('string').value);
+        }
+        this.expect(']');
+        return { type: 'list', value: values, line: open.line };
+    }
+
+    parseTest() {
+        const token = this.expect('identifier');
+        return { name: token.value, line: token.line, ...this.parseArguments() };
+    }
+}
+
+// ============================================
+// Import: conversion to rules
+// ============================================
+
+/**
+ * Split a test's arguments into tags (with their values) and positional string lists
+ * @returns {Object} - { tags: Map(tag -> value|true), lists: Array<Array<string>> }
+ */
+function splitArguments(test) {
+    const tags = new Map();
+    const lists = [];
+
+    for (let i = 0; i < test.args.length; i++) {
+        const arg = test.args[i];
+        if (arg.type === 'tag') {
+            // :comparator takes the following string as its value
+            if (arg.value === ':comparator') {
+                tags.set(arg.value, test.args[++i]?.value);
+            } else {
+                tags.set(arg.value, true);
+            }
+        } else if (arg.type === 'list') {
+            lists.push(arg.value);
+        } else if (arg.type === 'string') {
+            lists.push([arg.value]);
+        } else {
+            throw new UnsupportedError(`${test.name}: numeric argument "${arg.value}" is not supported`, arg.line);
+        }
+    }
+    return { tags, lists };
+}
+
+/**
+ * Get a test's match type tag (default :is)
+ */
+function getMatchType(test, tags, context) {
+    const known = [':is', ':contains', ':matches', ':regex'];
+    const unsupported = [...tags.keys()].find(tag => [':count', ':value'].includes(tag));
+    if (unsupported) throw new UnsupportedError(`${test.name} ${unsupported} (relational) is not supported`, test.line);
+
+    const matchType = known.find(tag => tags.has(tag)) || ':is';
+    const comparator = tags.get(':comparator');
+    // Regexes can be case-sensitive (see createKeyCondition); the other match types can't
+    const caseSensitiveRegex = matchType === ':regex' && comparator === CASE_SENSITIVE_COMPARATOR;
+    if (comparator && comparator !== 'i;ascii-casemap' && !caseSensitiveRegex) {
+        context.note(test.line, `comparator "${comparator}" imported as case-insensitive`);
+    }
+    return matchType;
+}
+
+/**
+ * Convert a :matches wildcard pattern into the closest condition
+ * "abc*" = starts with, "*abc" = ends with, "*abc*" = contains, anything else = regex
+ */
+function convertWildcard(field, pattern) {
+    const parts = [];
+    let literal = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '\\' && i + 1 < pattern.length) {
+            literal += pattern[++i];
+        } else if (ch === '*' || ch === '?') {
+            parts.push(literal, ch);
+            literal = '';
+        } else {
+            literal += ch;
+        }
+    }
+    parts.push(literal);
+
+    const wildcards = parts.filter((_, i) => i % 2 === 1);
+    const literals = parts.filter((_, i) => i % 2 === 0);
+    const operators = CONDITION_FIELDS[field].operators;
+
+    if (wildcards.length === 0) return createCondition(field, 'equals', literals[0]);
+    if (wildcards.every(w => w === '*') && literals.filter(Boolean).length === 1) {
+        const [before, ...rest] = literals;
+        const after = rest[rest.length - 1];
+        const text = literals.find(Boolean);
+        if (!before && !after && wildcards.length === 2) return createCondition(field, 'contains', text);
+        if (before && !after && wildcards.length === 1) return createCondition(field, 'starts-with', text);
+        if (!before && after && wildcards.length === 1 && operators.includes('ends-with')) {
+            return createCondition(field, 'ends-with', text);
+        }
+    }
+
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const source = parts.map((part, i) => {
+        if (i % 2 === 0) return escape(part);
+        return part === '*' ? '.*' : '.';
+    }).join('');
+    return createCondition(field, 'regex', `^${source}$`, 'i');
+}
+
+/**
+ * Build the condition for one header/address key
+ * Regexes are case-insensitive (i flag) unless the test uses the octet comparator
+ */
+function createKeyCondition(field, matchType, key, line, comparator) {
+    if (matchType === ':matches') return convertWildcard(field, key);
+
+    const operator = MATCH_TYPES[matchType];
+    if (operator === 'regex') {
+        const flags = comparator === CASE_SENSITIVE_COMPARATOR ? '' : 'i';
+        const error = validateRegex(key, flags);
+        if (error) throw new UnsupportedError(`regex "${key}" is not valid here: ${error}`, line);
+        return createCondition(field, 'regex', key, flags);
+    }
+    return createCondition(field, operator, key);
+}
+
+/**
+ * Combine alternatives (several headers or keys) into one node
+ */
+function anyOf(conditions) {
+    return conditions.length === 1 ? conditions[0] : createGroup('any', conditions);
+}
+
+/**
+ * Convert a header test on From or Subject
+ */
+function convertHeaderTest(test, context) {
+    const { tags, lists } = splitArguments(test);
+    const matchType = getMatchType(test, tags, context);
+    const comparator = tags.get(':comparator');
+    const [headers, keys] = lists;
+    if (!headers || !keys) throw new UnsupportedError('header test needs header names and keys', test.line);
+
+    const conditions = [];
+    for (const header of headers.map(name => name.toLowerCase())) {
+        for (const key of keys) {
+            if (header === 'subject') {
+                conditions.push(createKeyCondition('subject', matchType, key, test.line, comparator));
+            } else if (header === 'from') {
+                // Keys with an address test the address; anything else the display name
+                const address = key.match(/<([^>]+@[^>]+)>/)?.[1] || (key.includes('@') ? key : null);
+                conditions.push(address
+                    ? createKeyCondition('sender-address', matchType, address, test.line, comparator)
+                    : createKeyCondition('sender', matchType, key, test.line, comparator));
+            } else {
+                throw new UnsupportedError(`header "${header}" is not supported (only From and Subject)`, test.line);
+            }
+        }
+    }
+    return anyOf(conditions);
+}
+
+/**
+ * Convert an address test on From
+ */
+function convertAddressTest(test, context) {
+    const { tags, lists } = splitArguments(test);
+    const matchType = getMatchType(test, tags, context);
+    const comparator = tags.get(':comparator');
+    const [headers, keys] = lists;
+    if (!headers || !keys) throw new UnsupportedError('address test needs header names and keys', test.line);
+
+    const unsupportedHeader = headers.find(header => header.toLowerCase() !== 'from');
+    if (unsupportedHeader) {
+        throw new UnsupportedError(`address "${unsupportedHeader}" is not supported (only From)`, test.line);
+    }
+    if (tags.has(':user') || tags.has(':detail')) {
+        throw new UnsupportedError('address :user/:detail is not supported', test.line);
+    }
+
+    return anyOf(keys.map(key => {
+        if (tags.has(':domain')) return createKeyCondition('sender-domain', matchType, key, test.line, comparator);
+        if (!tags.has(':localpart')) return createKeyCondition('sender-address', matchType, key, test.line, comparator);
+
+        // The local part can only be matched exactly, as the start of the address
+        if (matchType !== ':is') {
+            throw new UnsupportedError(`address :localpart ${matchType} is not supported`, test.line);
+        }
+        return createCondition('sender-address', 'starts-with', `${key}@`);
+    }));
+}
+
+/**
+ * Convert a Sieve test into a condition node
+ * @throws {UnsupportedError}
+ */
+function convertTest(test, context) {
+    switch (test.name) {
+        case 'allof':
+        case 'anyof':
+            return createGroup(test.name === 'allof' ? 'all' : 'any', test.tests.map(child => convertTest(child, context)));
+        case 'not': {
+            const inner = convertTest(test.tests[0], context);
+            return inner.type === 'group' && inner.mode === 'any'
+                ? createGroup('none', inner.children)
+                : createGroup('none', [inner]);
+        }
+        case 'header':
+            return convertHeaderTest(test, context);
+        case 'address':
+            return convertAddressTest(test, context);
+        case 'true':
+            throw new UnsupportedError('"true" would match every email', test.line);
+        default:
+            throw new UnsupportedError(`test "${test.name}" is not supported`, test.line);
+    }
+}
+
+/**
+ * Get the flags named by an addflag/setflag/removeflag command
+ */
+function getFlags(command) {
+    const { lists } = splitArguments(command);
+    if (lists.length !== 1) {
+        throw new UnsupportedError(`${command.name} with a variable name is not supported`, command.line);
+    }
+    return lists[0].flatMap(value => value.split(/\s+/)).filter(Boolean);
+}
+
+/**
+ * Convert a branch's commands into action steps
+ * Supported steps are kept in order (moving steps last); the rest is reported
+ * @returns {Object} - { actions, stopProcessing }
+ */
+function convertBlock(commands, context) {
+    const steps = [];
+    let stopProcessing = false;
+
+    for (const command of commands) {
+        try {
+            switch (command.name) {
+                case 'fileinto': {
+                    const { tags, lists } = splitArguments(command);
+                    if (tags.has(':copy')) throw new UnsupportedError('fileinto :copy (keep a copy) is not supported', command.line);
+                    const folder = lists[0]?.[0];
+                    if (!folder) throw new UnsupportedError('fileinto needs a folder', command.line);
+
+                    const lower = folder.toLowerCase();
+                    if (lower === 'inbox' || lower === SYSTEM_FOLDERS.inbox.toLowerCase()) break; // same as keep
+                    if (lower === SYSTEM_FOLDERS.trash.toLowerCase()) steps.push(createAction('trash'));
+                    else if (lower === SYSTEM_FOLDERS.archive.toLowerCase()) steps.push(createAction('archive'));
+                    else steps.push(createAction('move-to-folder', folder));
+                    break;
+                }
+                case 'discard':
+                    context.note(command.line, 'discard imported as Move to Trash');
+                    steps.push(createAction('trash'));
+                    break;
+                case 'addflag':
+                case 'setflag':
+                case 'removeflag':
+                    getFlags(command).forEach(flag => {
+                        if (flag.toLowerCase() !== SEEN_FLAG.toLowerCase()) {
+                            context.note(command.line, `flag "${flag}" is not supported and was skipped`);
+                            return;
+                        }
+                        steps.push(createAction(command.name === 'removeflag' ? 'mark-unread' : 'mark-read'));
+                    });
+                    break;
+                case 'stop':
+                    stopProcessing = true;
+                    break;
+                case 'keep':
+                    break;
+                default:
+                    throw new UnsupportedError(`action "${command.name}" is not supported and was skipped`, command.line);
+            }
+        } catch (error) {
+            if (!(error instanceof UnsupportedError)) throw error;
+            context.note(error.line, error.message);
+        }
+    }
+
+    const moving = steps.filter(step => MOVING_ACTIONS.includes(step.type));
+    moving.slice(1).forEach(step => context.note(null, `only one move is possible; "${describeAction(step)}" was skipped`));
+
+    return {
+        actions: [...steps.filter(step => !MOVING_ACTIONS.includes(step.type)), ...moving.slice(0, 1)],
+        stopProcessing
+    };
+}
+
+/**
+ * Parse a Sieve script into rules
+ * Every if/elsif/else branch becomes a rule; elsif/else branches exclude the earlier branches' tests
+ * @param {string} text - Sieve script
+ * @returns {Object} - { rules, report: [messages] }
+ */
+export function importSieve(text) {
+    const report = [];
+    const rules = [];
+
+    let commands;
+    try {
+        commands = new SieveParser(tokenize(text)).parseCommands();
+    } catch (error) {
+        if (!(error instanceof SieveSyntaxError)) throw error;
+        return { rules, report: [error.message] };
+    }
+
+    // Tests of the current if/elsif chain's earlier branches; null once a branch couldn't be
+    // converted, undefined outside a chain
+    let chain;
+    let branches = 0;
+
+    for (const command of commands) {
+        if (!['if', 'elsif', 'else'].includes(command.name)) {
+            chain = undefined;
+            if (!['require', 'stop', 'keep'].includes(command.name)) {
+                report.push(`Line ${command.line}: "${command.name}" outside an if applies to every email; skipped`);
+            }
+            continue;
+        }
+
+        if (command.name === 'if') {
+            chain = [];
+        } else if (chain === undefined) {
+            report.push(`Line ${command.line}: ${command.name} without a preceding if; skipped`);
+            continue;
+        }
+
+        branches++;
+        const name = command.ruleName || `Sieve rule ${branches}`;
+        const notes = [];
+        const context = { note: (line, message) => notes.push(line ? `Line ${line}: ${message}` : message) };
+
+        let condition = null;
+        try {
+            if (command.name !== 'else') condition = convertTest(command.tests[0], context);
+        } catch (error) {
+            if (!(error instanceof UnsupportedError)) throw error;
+            report.push(`Line ${error.line}: ${name} not imported — ${error.message}`);
+            chain = null;
+            continue;
+        }
+
+        if (chain === null) {
+            report.push(`Line ${command.line}: ${name} not imported — it depends on an earlier branch that couldn't be imported`);
+            continue;
+        }
+
+        // elsif/else only apply when no earlier branch matched
+        const parts = [
+            ...(condition ? [condition] : []),
+            ...(chain.length ? [createGroup('none', chain.map(cloneConditions))] : [])
+        ];
+        if (condition) chain.push(condition);
+
+        const conditions = parts.length === 1 && parts[0].type === 'group' ? parts[0] : createGroup('all', parts);
+        const { actions, stopProcessing } = convertBlock(command.block || [], context);
+        notes.forEach(message => report.push(`${name}: ${message}`));
+
+        const error = (actions.length ? validateActions(actions) : 'no supported actions') || validateConditions(conditions);
+        if (error) {
+            report.push(`Line ${command.line}: ${name} not imported — ${error}`);
+            continue;
+        }
+
+        rules.push({
+            name,
+            conditions,
+            exceptions: [],
+            actions,
+            priority: DEFAULT_RULE_PRIORITY,
+            stopProcessing,
+            sourceFolders: [],
+            enabled: true
+        });
+    }
+
+    return { rules, report };
+}
@@ -3,81 +3,592 @@
  * Centralized storage operations following Single Responsibility Principle
  */
 
-import { STORAGE_KEYS } from './constants.js';
+import {
+    STORAGE_KEYS, DEFAULT_SETTINGS, DEFAULT_RULE_PRIORITY, SYNC_CHUNK_BYTES, SYNC_RETRY_DELAY, MAX_RULE_REVISIONS,
+    GLOBAL_RULES_ACCOUNT
+} from './constants.js';
 import { logger, generateId } from './utils.js';
+import { upgradeRuleSet, createRuleSet, readRuleSet, findDefaultRulesMirror } from './migrations.js';
+import { reviseRules, reviseOverrides, mergeRuleSets, getSyncBase, getRuleRevision } from './rule-sync.js';
+import { getDisabledGlobalRules } from './rule-layers.js';
+import { diffRuleSets, hasRuleChanges, describeRuleChanges } from './revisions.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Split text into pieces that each fit in one sync item under the given key prefix
+ * @param {string} text - Text to split
+ * @param {string} keyPrefix - Chunk key prefix (counted against the item quota)
+ * @returns {Array<string>}
+ */
+function splitIntoChunks(text, keyPrefix) {
+    const chunks = [];
+    // Leave room for the chunk number in the key
+    const limit = SYNC_CHUNK_BYTES - encoder.encode(keyPrefix).length - 4;
+    let start = 0;
+
+    while (start < text.length) {
+        let size = Math.min(limit, text.length - start);
+        // Quotes, escapes and multi-byte characters make the stored piece larger than its length
+        while (encoder.encode(JSON.stringify(text.slice(start, start + size))).length > limit) {
+            size = Math.floor(size * 0.9);
+        }
+        // Don't split a surrogate pair
+        const last = text.charCodeAt(start + size - 1);
+        if (start + size < text.length && last >= 0xD800 && last <= 0xDBFF) size--;
+
+        chunks.push(text.slice(start, start + size));
+        start += size;
+    }
+    return chunks;
+}
+
+/**
+ * Whether a stored sync value is a chunk manifest ({ schemaVersion, chunks, savedAt, stamped })
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isChunkManifest(value) {
+    return Number.isInteger(value?.chunks) && !Array.isArray(value?.rules);
+}
+
+/**
+ * Get a chunk's text if it belongs to the save its manifest describes
+ * Sync delivers keys independently, so a manifest can arrive next to chunks of an older or
+ * newer save. Stamped chunks start with the manifest's savedAt ("<savedAt>:"); manifests
+ * written before stamping (no stamped flag) take their chunks as they are.
+ * @param {Object} manifest - Chunk manifest
+ * @param {*} chunk - Stored chunk
+ * @returns {string|null} - Chunk text, or null if it is missing or from another save
+ */
+function readChunk(manifest, chunk) {
+    if (typeof chunk !== 'string') return null;
+    if (!manifest.stamped) return chunk;
+
+    const stamp = `${manifest.savedAt}:`;
+    return chunk.startsWith(stamp) ? chunk.slice(stamp.length) : null;
+}
+
+/**
+ * Explain a chrome.storage.sync error
+ * @param {Error} error - Error from chrome.storage.sync.set
+ * @returns {string}
+ */
+function describeSyncError(error) {
+    const message = error?.message || String(error);
+    if (isSyncRateLimit(error)) return 'too many saves in a short time; trying again in a minute';
+    if (isSyncQuotaError(error)) return 'the rule set is larger than browser sync allows';
+    return message;
+}
+
+/**
+ * Whether a chrome.storage.sync error means the rules don't fit in sync at all
+ * @param {Error} error - Error from chrome.storage.sync.set
+ * @returns {boolean}
+ */
+function isSyncQuotaError(error) {
+    return /QUOTA_BYTES|MAX_ITEMS/.test(error?.message || String(error));
+}
+
+/**
+ * Whether a chrome.storage.sync error is the browser rate-limiting writes for a while
+ * @param {Error} error - Error from chrome.storage.sync.set
+ * @returns {boolean}
+ */
+function isSyncRateLimit(error) {
+    return /MAX_WRITE_OPERATIONS/.test(error?.message || String(error));
+}
 
 /**
  * Storage service for managing extension data
  */
 class StorageService {
+    constructor() {
+        // Accounts with a sync write waiting to be tried again: { [account]: timeout id }
+        this._syncRetries = new Map();
+    }
+
     _getRuleKeys(account = 'default') {
         return {
             accountKey: `${STORAGE_KEYS.RULES_PREFIX}${account}`,
-            defaultKey: `${STORAGE_KEYS.RULES_PREFIX}default`,
             legacyKey: STORAGE_KEYS.LEGACY_RULES
         };
     }
 
+    _getChunkPrefix(ruleKey) {
+        return `${STORAGE_KEYS.RULES_CHUNK_PREFIX}${ruleKey.slice(STORAGE_KEYS.RULES_PREFIX.length)}_`;
+    }
+
+    /**
+     * Get the first rule set found in sync under the given keys, reassembling chunked sets
+     * @param {Object} syncResult - Values already read from sync
+     * @param {Array<string>} keys - Rule keys in order of preference
+     * @returns {Promise<*>} - Stored rule set, or null
+     */
+    async _readSyncRules(syncResult, keys) {
+        for (const key of keys) {
+            const value = syncResult[key];
+            if (!value) continue;
+            if (!isChunkManifest(value)) return value;
+
+            const prefix = this._getChunkPrefix(key);
+            const chunkKeys = Array.from({ length: value.chunks }, (_, i) => `${prefix}${i}`);
+            const chunks = await chrome.storage.sync.get(chunkKeys);
+
+            const parts = chunkKeys.map(chunkKey => readChunk(value, chunks[chunkKey]));
+            if (parts.some(part => part === null)) {
+                logger.warn('Incomplete or outdated synced rules under', key);
+                continue;
+            }
+            // A half-synced set is skipped like an incomplete one, so the local copy is kept
+            try {
+                return JSON.parse(parts.join(''));
+            } catch (error) {
+                logger.warn('Unreadable synced rules under', key, error.message);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Write an account's rule set to sync as a manifest plus chunks
+     * Chunks left over from a larger set are removed afterwards
+     * @param {string} ruleKey - Rule key (the manifest is stored under it)
+     * @param {Object} ruleSet - Rule set to write
+     */
+    async _writeSyncRules(ruleKey, ruleSet) {
+        const prefix = this._getChunkPrefix(ruleKey);
+        const savedAt = Date.now();
+        const stamp = `${savedAt}:`;
+        // The stamp counts against each chunk's quota like the key does
+        const chunks = splitIntoChunks(JSON.stringify(ruleSet), prefix + stamp);
+        const payload = {
+            [ruleKey]: { schemaVersion: ruleSet.schemaVersion, chunks: chunks.length, savedAt, stamped: true }
+        };
+        chunks.forEach((chunk, i) => {
+            payload[`${prefix}${i}`] = stamp + chunk;
+        });
+
+        await chrome.storage.sync.set(payload);
+        await this._removeSyncChunks(ruleKey, chunks.length);
+    }
+
+    /**
+     * Try writing an account's rules to sync again once the rate limit has passed
+     * Loading the rules merges the local set with the synced one and writes the changes this
+     * device has that the synced copy lacks. If the page goes away first, the next load does that.
+     * @param {string} account - Account identifier
+     */
+    _retrySync(account) {
+        if (this._syncRetries.has(account)) return;
+
+        this._syncRetries.set(account, setTimeout(() => {
+            this._syncRetries.delete(account);
+            this.getRules(account);
+        }, SYNC_RETRY_DELAY));
+    }
+
+    /**
+     * Remove an account's sync chunks from a given index on
+     * @param {string} ruleKey - Rule key
+     * @param {number} from - First chunk index to remove
+     */
+    async _removeSyncChunks(ruleKey, from = 0) {
+        const prefix = this._getChunkPrefix(ruleKey);
+        const stale = Object.keys(await chrome.storage.sync.get(null)).filter(key => {
+            const index = key.startsWith(prefix) ? key.slice(prefix.length) : '';
+            return /^\d+$/.test(index) && Number(index) >= from;
+        });
+        if (stale.length) await chrome.storage.sync.remove(stale);
+    }
+
+    /**
+     * Record whether an account's rules could be synced
+     * @param {string} account - Account identifier
+     * @param {string|null} error - Why sync failed, or null once it works again
+     */
+    async _setSyncStatus(account, error) {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_STATUS);
+        const statuses = { ...result[STORAGE_KEYS.SYNC_STATUS] };
+
+        if (error) statuses[account] = { error, at: Date.now() };
+        else if (statuses[account]) delete statuses[account];
+        else return;
+
+        await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_STATUS]: statuses });
+    }
+
+    /**
+     * Get why an account's rules are only stored locally
+     * @param {string} account - Account identifier
+     * @returns {Promise<Object|null>} - { error, at }, or null if they sync
+     */
+    async getSyncStatus(account = 'default') {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_STATUS);
+            return result[STORAGE_KEYS.SYNC_STATUS]?.[account] || null;
+        } catch (error) {
+            logger.error('Error getting sync status:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Record rules that were changed on this device and another one
+     * A newer conflict for the same rule replaces the older one.
+     * @param {string} account - Account identifier
+     * @param {Array} conflicts - Conflicts from mergeRuleSets
+     */
+    async _addConflicts(account, conflicts) {
+        if (!conflicts.length) return;
+
+        const result = await chrome.storage.local.get(STORAGE_KEYS.RULE_CONFLICTS);
+        const all = { ...result[STORAGE_KEYS.RULE_CONFLICTS] };
+        const ids = new Set(conflicts.map(conflict => conflict.id));
+        all[account] = [...(all[account] || []).filter(conflict => !ids.has(conflict.id)), ...conflicts];
+
+        await chrome.storage.local.set({ [STORAGE_KEYS.RULE_CONFLICTS]: all });
+        logger.warn('Rules changed on this device and another one:', conflicts.map(conflict => conflict.name));
+    }
+
+    /**
+     * Get an account's unresolved rule conflicts
+     * @param {string} account - Account identifier
+     * @returns {Promise<Array>} - [{ id, name, kept, other, keptFrom, at }]
+     */
+    async getConflicts(account = 'default') {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEYS.RULE_CONFLICTS);
+            return result[STORAGE_KEYS.RULE_CONFLICTS]?.[account] || [];
+        } catch (error) {
+            logger.error('Error getting rule conflicts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Forget a rule conflict once the user has dealt with it
+     * @param {string} account - Account identifier
+     * @param {string} id - Rule id
+     */
+    async removeConflict(account, id) {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEYS.RULE_CONFLICTS);
+            const all = { ...result[STORAGE_KEYS.RULE_CONFLICTS] };
+            all[account] = (all[account] || []).filter(conflict => conflict.id !== id);
+            if (!all[account].length) delete all[account];
+
+            await chrome.storage.local.set({ [STORAGE_KEYS.RULE_CONFLICTS]: all });
+        } catch (error) {
+            logger.error('Error removing rule conflict:', error);
+        }
+    }
+
     /**
      * Get rules for a specific account
+     * The local set is merged with the synced one (see rule-sync.js), so edits made on
+     * another device show up here; rules changed on both are recorded as conflicts.
      * @param {string} account - Account identifier
      * @returns {Promise<Array>} - Array of rules
      */
     async getRules(account = 'default') {
         try {
-            const { accountKey, defaultKey, legacyKey } = this._getRuleKeys(account);
-            const keys = [accountKey, defaultKey, legacyKey];
+            const { accountKey, legacyKey } = this._getRuleKeys(account);
+            const keys = [accountKey, legacyKey];
 
-            // Prefer extension-local storage; fall back to sync for migration/backup
             const [localResult, syncResult] = await Promise.all([
                 chrome.storage.local.get(keys),
                 chrome.storage.sync.get(keys)
             ]);
+            const synced = await this._readSyncRules(syncResult, [accountKey]);
+
+            if (!localResult[accountKey] && !synced) {
+                // Nothing stored yet: the global rules start from the rules saved before
+                // accounts existed, an account starts with only the global rules
+                const stored = account === GLOBAL_RULES_ACCOUNT
+                    ? localResult[legacyKey] || await this._readSyncRules(syncResult, [legacyKey])
+                    : null;
+                const { rules } = upgradeRuleSet(stored || []);
 
-            // Priority: account -> default -> legacy (local first, then sync)
-            const rules =
-                localResult[accountKey] ||
-                localResult[defaultKey] ||
-                localResult[legacyKey] ||
-                syncResult[accountKey] ||
-                syncResult[defaultKey] ||
-                syncResult[legacyKey] ||
-                [];
-
-            // Migrate to local if we only found data in sync
-            if (!localResult[accountKey] && rules.length > 0) {
-                await chrome.storage.local.set({ [accountKey]: rules });
+                if (rules.length > 0) {
+                    await chrome.storage.local.set({ [accountKey]: createRuleSet(rules) });
+                }
+                logger.log('Loaded rules for account', account, ':', rules.length, 'rules');
+                return rules;
+            }
+
+            // Run older rule sets through the schema migrations
+            const local = localResult[accountKey] ? upgradeRuleSet(localResult[accountKey]) : null;
+            if (!synced) {
+                if (local.upgraded) {
+                    await chrome.storage.local.set({ [accountKey]: createRuleSet(local.rules, local) });
+                }
+                logger.log('Loaded rules for account', account, ':', local.rules.length, 'rules');
+                return local.rules;
+            }
+
+            const merged = mergeRuleSets(local || upgradeRuleSet([]), upgradeRuleSet(synced));
+            await this._addConflicts(account, merged.conflicts);
+
+            if (merged.remoteChanged) {
+                // This device has changes the synced copy lacks (e.g. from a local-only save)
+                await this._writeRuleSet(account, createRuleSet(merged.rules, { ...merged, syncBase: local?.syncBase || {} }));
+            } else if (merged.localChanged || !local || local.upgraded) {
+                await chrome.storage.local.set({ [accountKey]: createRuleSet(merged.rules, merged) });
             }
 
-            logger.log('Loaded rules for account', account, ':', rules.length, 'rules');
-            return rules;
+            logger.log('Loaded rules for account', account, ':', merged.rules.length, 'rules');
+            return merged.rules;
         } catch (error) {
             logger.error('Error loading rules:', error);
             return [];
         }
     }
 
+    /**
+     * Get the rule layers that apply to an account (see rule-layers.js)
+     * @param {string} account - Account identifier
+     * @returns {Promise<Object>} - { globalRules, rules (the account's own), disabledGlobal: Set of global rule ids }
+     */
+    async getRuleLayers(account = 'default') {
+        const globalRules = await this.getRules(GLOBAL_RULES_ACCOUNT);
+        const rules = await this.getRules(account);
+
+        try {
+            const { accountKey } = this._getRuleKeys(account);
+            const result = await chrome.storage.local.get(accountKey);
+            const disabledGlobal = getDisabledGlobalRules(readRuleSet(result[accountKey])?.globalOverrides);
+            return { globalRules, rules, disabledGlobal };
+        } catch (error) {
+            logger.error('Error loading global rule overrides:', error);
+            return { globalRules, rules, disabledGlobal: new Set() };
+        }
+    }
+
+    /**
+     * List the accounts that have rules stored, on this device or in sync
+     * @returns {Promise<Array<string>>} - Account identifiers, sorted (the global rules are not an account)
+     */
+    async getRuleAccounts() {
+        try {
+            await this.migrateDefaultRules();
+        } catch (error) {
+            logger.error('Error cleaning up default account rules:', error);
+        }
+
+        try {
+            const [localAll, syncAll] = await Promise.all([
+                chrome.storage.local.get(null),
+                chrome.storage.sync.get(null)
+            ]);
+            // Chunk keys (RULES_CHUNK_PREFIX) don't share the rules prefix, so they aren't listed
+            const accounts = [...Object.keys(localAll), ...Object.keys(syncAll)]
+                .filter(key => key.startsWith(STORAGE_KEYS.RULES_PREFIX))
+                .map(key => key.slice(STORAGE_KEYS.RULES_PREFIX.length))
+                .filter(account => account && account !== GLOBAL_RULES_ACCOUNT);
+            return [...new Set(accounts)].sort();
+        } catch (error) {
+            logger.error('Error listing rule accounts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Remove the copy of every save older versions kept as the default account's rules,
+     * or hand it to the account it belongs to (see findDefaultRulesMirror)
+     * Runs once, from the background on the update and from the popup before listing accounts;
+     * rules saved for the default account afterwards are left alone.
+     */
+    async migrateDefaultRules() {
+        const done = await chrome.storage.local.get(STORAGE_KEYS.DEFAULT_RULES_CHECKED);
+        if (done[STORAGE_KEYS.DEFAULT_RULES_CHECKED]) return;
+
+        const { accountKey: defaultKey } = this._getRuleKeys('default');
+        const [localAll, syncAll] = await Promise.all([
+            chrome.storage.local.get(null),
+            chrome.storage.sync.get(null)
+        ]);
+        const stored = localAll[defaultKey] || await this._readSyncRules(syncAll, [defaultKey]);
+
+        if (stored) {
+            const accountSets = {};
+            const keys = [...new Set([...Object.keys(syncAll), ...Object.keys(localAll)])]
+                .filter(key => key.startsWith(STORAGE_KEYS.RULES_PREFIX));
+            for (const key of keys) {
+                const account = key.slice(STORAGE_KEYS.RULES_PREFIX.length);
+                if (!account || account === 'default' || account === GLOBAL_RULES_ACCOUNT) continue;
+                accountSets[account] = localAll[key] || await this._readSyncRules(syncAll, [key]);
+            }
+
+            const mirror = findDefaultRulesMirror(stored, accountSets);
+            if (mirror?.moveTo) {
+                const { rules } = upgradeRuleSet(stored);
+                await this._writeRuleSet(mirror.moveTo, createRuleSet(rules));
+                logger.log('Moved rules stored for the default account to', mirror.moveTo);
+            }
+            if (mirror) {
+                await chrome.storage.local.remove(defaultKey);
+                await chrome.storage.sync.remove(defaultKey);
+                await this._removeSyncChunks(defaultKey);
+                logger.log('Removed the default account copy of saved rules');
+            }
+        }
+
+        await chrome.storage.local.set({ [STORAGE_KEYS.DEFAULT_RULES_CHECKED]: true });
+    }
+
     /**
      * Save rules for a specific account
+     * Edited rules get a new revision and deleted ones a tombstone; changes synced from
+     * other devices since the rules were loaded are merged in before writing. A snapshot of
+     * the saved rules is kept for restoring (see getRevisions).
      * @param {Array} rules - Rules array
      * @param {string} account - Account identifier
-     * @returns {Promise<boolean>} - Success status
+     * @param {Object} options - Save options
+     * @param {string} options.description - What the save changed (described from the diff if omitted)
+     * @param {Array<string>} options.disabledGlobal - Global rule ids the account switches off (unchanged if omitted)
+     * @returns {Promise<Object>} - { success, localOnly, error, rules (as saved, merged) }
+     */
+    async saveRules(rules, account = 'default', { description = null, disabledGlobal = null } = {}) {
+        const { accountKey } = this._getRuleKeys(account);
+        let previous = null;
+        let synced = null;
+
+        try {
+            const [localResult, syncResult] = await Promise.all([
+                chrome.storage.local.get(accountKey),
+                chrome.storage.sync.get(accountKey)
+            ]);
+            previous = readRuleSet(localResult[accountKey]);
+            synced = await this._readSyncRules(syncResult, [accountKey]);
+        } catch (error) {
+            logger.warn('Could not read stored rules before saving:', error);
+        }
+
+        const revised = {
+            ...reviseRules(rules, previous),
+            globalOverrides: disabledGlobal
+                ? reviseOverrides(disabledGlobal, previous?.globalOverrides)
+                : previous?.globalOverrides || {},
+            syncBase: previous?.syncBase || {}
+        };
+        let ruleSet = createRuleSet(revised.rules, revised);
+
+        if (synced) {
+            const merged = mergeRuleSets(revised, upgradeRuleSet(synced));
+            ruleSet = createRuleSet(merged.rules, { ...merged, updatedAt: Date.now(), syncBase: revised.syncBase });
+            try {
+                await this._addConflicts(account, merged.conflicts);
+            } catch (error) {
+                logger.error('Error recording rule conflicts:', error);
+            }
+        }
+
+        const result = await this._writeRuleSet(account, ruleSet);
+        if (result.success) {
+            logger.log('Saved', ruleSet.rules.length, 'rules for account:', account);
+            try {
+                await this._addRevision(account, previous?.rules || [], ruleSet.rules, description);
+            } catch (error) {
+                logger.error('Error recording rule revision:', error);
+            }
+        }
+        return { ...result, rules: ruleSet.rules };
+    }
+
+    /**
+     * Keep a snapshot of an account's rules after a save that changed them
+     * The first snapshot is preceded by the rules as they were, so that state can be restored too.
+     * @param {string} account - Account identifier
+     * @param {Array} before - Rules before the save
+     * @param {Array} after - Rules as saved
+     * @param {string|null} description - What changed, or null to describe the diff
+     */
+    async _addRevision(account, before, after, description) {
+        const diff = diffRuleSets(before, after);
+        if (!hasRuleChanges(diff)) return;
+
+        const key = `${STORAGE_KEYS.RULE_REVISIONS_PREFIX}${account}`;
+        const result = await chrome.storage.local.get(key);
+        const revisions = Array.isArray(result[key]) ? result[key] : [];
+        const now = Date.now();
+
+        if (revisions.length === 0 && before.length > 0) {
+            revisions.push({
+                id: generateId(),
+                at: Math.max(...before.map(getRuleRevision)) || now,
+                description: 'Rules before the first recorded change',
+                rules: before
+            });
+        }
+        revisions.push({ id: generateId(), at: now, description: description || describeRuleChanges(diff), rules: after });
+
+        await chrome.storage.local.set({ [key]: revisions.slice(-MAX_RULE_REVISIONS) });
+    }
+
+    /**
+     * Get the snapshots kept of an account's rules
+     * @param {string} account - Account identifier
+     * @returns {Promise<Array>} - [{ id, at, description, rules }], oldest first
      */
-    async saveRules(rules, account = 'default') {
+    async getRevisions(account = 'default') {
         try {
-            const { accountKey, defaultKey } = this._getRuleKeys(account);
-            const payload = { [accountKey]: rules, [defaultKey]: rules };
+            const key = `${STORAGE_KEYS.RULE_REVISIONS_PREFIX}${account}`;
+            const result = await chrome.storage.local.get(key);
+            return Array.isArray(result[key]) ? result[key] : [];
+        } catch (error) {
+            logger.error('Error getting rule revisions:', error);
+            return [];
+        }
+    }
 
-            // Write to local for durability; mirror to sync for backup/cross-device
-            await chrome.storage.local.set(payload);
-            await chrome.storage.sync.set(payload);
+    /**
+     * Write an account's rule set to sync and local storage
+     * Local storage is the source of truth; the sync copy is chunked to fit the per-item quota.
+     * If sync still refuses it, the account's sync copy is removed (so other devices don't
+     * restore an outdated set) and the rules stay local-only until a later save fits.
+     * The local copy's syncBase only moves on once the synced copy matches it.
+     * @param {string} account - Account identifier
+     * @param {Object} ruleSet - Rule set (syncBase: revisions at the last merge)
+     * @returns {Promise<Object>} - { success, localOnly, error }
+     */
+    async _writeRuleSet(account, ruleSet) {
+        const { accountKey } = this._getRuleKeys(account);
+        const { syncBase, ...shared } = ruleSet;
+        let localOnly = false;
+        let reason = null;
 
-            logger.log('Saved', rules.length, 'rules for account:', account);
-            return true;
+        try {
+            await this._writeSyncRules(accountKey, shared);
+            await this._setSyncStatus(account, null);
+        } catch (error) {
+            localOnly = true;
+            reason = describeSyncError(error);
+            logger.warn('Rules saved locally only:', error);
+
+            try {
+                // A set too large for sync will never fit, so other devices shouldn't keep
+                // running its outdated copy. Other errors pass; the synced copy stays as it is.
+                if (isSyncQuotaError(error)) {
+                    await chrome.storage.sync.remove(accountKey);
+                    await this._removeSyncChunks(accountKey);
+                }
+                await this._setSyncStatus(account, reason);
+            } catch (cleanupError) {
+                logger.error('Error cleaning up synced rules:', cleanupError);
+            }
+            if (isSyncRateLimit(error)) this._retrySync(account);
+        }
+
+        try {
+            await chrome.storage.local.set({
+                [accountKey]: { ...shared, syncBase: localOnly ? syncBase || {} : getSyncBase(shared.rules) }
+            });
         } catch (error) {
             logger.error('Error saving rules:', error);
-            return false;
+            return { success: false, localOnly: false, error: error.message };
         }
+        return { success: true, localOnly, error: reason };
     }
 
     /**
@@ -90,13 +601,17 @@ class StorageService {
         return {
             id: generateId(),
             name: ruleData.name,
-            matchType: ruleData.matchType,
-            // Use array format for match values
-            matchValues: ruleData.matchValues || [],
-            senderValues: ruleData.senderValues || [],
-            subjectValues: ruleData.subjectValues || [],
-            targetFolder: ruleData.targetFolder || null,
-            action: ruleData.action,
+            // Condition tree: nested ALL/ANY/NONE groups of field conditions
+            conditions: ruleData.conditions,
+            // Exceptions ("unless"): emails matching any of these are skipped
+            exceptions: ruleData.exceptions || [],
+            // Ordered action steps run on the same selection
+            actions: ruleData.actions,
+            // Lower runs first; stopProcessing keeps later rules off emails this rule matches
+            priority: ruleData.priority ?? DEFAULT_RULE_PRIORITY,
+            stopProcessing: !!ruleData.stopProcessing,
+            // Folders the rule runs in (empty = whichever folder is open)
+            sourceFolders: Array.isArray(ruleData.sourceFolders) ? [...ruleData.sourceFolders] : [],
             enabled: ruleData.enabled ?? true,
             account,
             createdAt: Date.now()
@@ -118,8 +633,9 @@ class StorageService {
             let count = 0;
             
             for (const [key, value] of Object.entries(allStorage)) {
-                if (key.startsWith(STORAGE_KEYS.RULES_PREFIX) && Array.isArray(value)) {
-                    count += value.filter(r => r.enabled).length;
+                const ruleSet = key.startsWith(STORAGE_KEYS.RULES_PREFIX) && readRuleSet(value);
+                if (ruleSet) {
+                    count += ruleSet.rules.filter(r => r.enabled).length;
                 }
             }
             
@@ -168,17 +684,92 @@ class StorageService {
         }
     }
 
+    /**
+     * Get the last run that acted on emails (written by the content script for undo)
+     * @returns {Promise<Object|null>} - { account, at, entries } or null
+     */
+    async getLastRun() {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEYS.LAST_RUN);
+            return result[STORAGE_KEYS.LAST_RUN] || null;
+        } catch (error) {
+            logger.error('Error getting last run:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the run history (written by the content script, oldest first)
+     * @returns {Promise<Array>} - History entries
+     */
+    async getRunHistory() {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEYS.RUN_HISTORY);
+            const history = result[STORAGE_KEYS.RUN_HISTORY];
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            logger.error('Error getting run history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Remove an account's entries from the run history
+     * @param {string} account - Account identifier
+     */
+    async clearRunHistory(account = 'default') {
+        try {
+            const history = await this.getRunHistory();
+            await chrome.storage.local.set({
+                [STORAGE_KEYS.RUN_HISTORY]: history.filter(entry => entry.account !== account)
+            });
+            logger.log('Cleared run history for account:', account);
+        } catch (error) {
+            logger.error('Error clearing run history:', error);
+        }
+    }
+
+    /**
+     * Remember the folders found in an account's Tuta tab
+     * @param {string} account - Account identifier
+     * @param {Array<string>} folders - Folder names
+     */
+    async saveAccountFolders(account, folders) {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEYS.ACCOUNT_FOLDERS);
+            const all = { ...result[STORAGE_KEYS.ACCOUNT_FOLDERS], [account]: { folders, at: Date.now() } };
+            await chrome.storage.local.set({ [STORAGE_KEYS.ACCOUNT_FOLDERS]: all });
+        } catch (error) {
+            logger.error('Error saving account folders:', error);
+        }
+    }
+
+    /**
+     * Get the folders last found in an account's Tuta tab
+     * @param {string} account - Account identifier
+     * @returns {Promise<Array<string>|null>} - Folder names, or null if the account's folders were never seen
+     */
+    async getAccountFolders(account) {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEYS.ACCOUNT_FOLDERS);
+            return result[STORAGE_KEYS.ACCOUNT_FOLDERS]?.[account]?.folders || null;
+        } catch (error) {
+            logger.error('Error getting account folders:', error);
+            return null;
+        }
+    }
+
     /**
      * Get extension settings
-     * @returns {Promise<Object>} - Settings object
+     * @returns {Promise<Object>} - Settings object (defaults filled in)
      */
     async getSettings() {
         try {
             const result = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
-            return result[STORAGE_KEYS.SETTINGS] || {};
+            return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS] };
         } catch (error) {
             logger.error('Error getting settings:', error);
-            return {};
+            return { ...DEFAULT_SETTINGS };
         }
     }
 
@@ -3,7 +3,7 @@
  * Common helper functions used across the extension
  */
 
-import { LOG_PREFIX } from './constants.js';
+import { LOG_PREFIX, REGEX_FLAGS } from './constants.js';
 
 /**
  * Logger utility with consistent prefix
@@ -26,6 +26,7 @@ export function sleep(ms) {
 
 /**
  * Escape HTML to prevent XSS attacks
+ * Quotes are escaped too, so the result is safe inside attribute values
  * @param {string} text - Text to escape
  * @returns {string} - Escaped HTML string
  */
@@ -33,7 +34,7 @@ export function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -41,7 +42,7 @@ export function escapeHtml(text) {
  * @returns {string} - Unique identifier
  */
 export function generateId() {
-    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
 }
 
 /**
@@ -86,6 +87,43 @@ export function safeJsonParse(str, fallback = null) {
     }
 }
 
+/**
+ * Validate a regular expression pattern and flags
+ * @param {string} pattern - Regex source
+ * @param {string} flags - Regex flags
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateRegex(pattern, flags = '') {
+    if (!pattern) return 'Pattern is empty';
+
+    const badFlag = [...flags].find(f => !REGEX_FLAGS.includes(f));
+    if (badFlag) return `Unsupported flag "${badFlag}" (allowed: ${REGEX_FLAGS})`;
+
+    try {
+        new RegExp(pattern, flags);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Download text content as a file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Create DOM element with attributes and children
  * @param {string} tag - Element tag name
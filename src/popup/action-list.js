@@ -0,0 +1,187 @@
+/**
+ * TutOrg - Action List Editor
+ * Edits a rule's ordered action steps (add, remove, reorder)
+ */
+
+import { ACTION_TYPES } from '../lib/constants.js';
+import { escapeHtml } from '../lib/utils.js';
+import { createAction, validateActions } from '../lib/actions.js';
+
+/**
+ * Editor for an ordered list of action steps bound to a container element
+ */
+export class ActionListEditor {
+    /**
+     * @param {string} containerId - Container element ID
+     * @param {Object} options - Editor options
+     * @param {Function} options.onChange - Called after steps change (e.g. to load folders)
+     */
+    constructor(containerId, { onChange = () => {} } = {}) {
+        this.containerId = containerId;
+        this.onChange = onChange;
+        this.actions = [createAction()];
+        this.folders = [];
+        this.folderStatus = 'Loading folders...';
+        this._bound = false;
+    }
+
+    /**
+     * Attach delegated event handlers (once)
+     */
+    bind() {
+        const container = document.getElementById(this.containerId);
+        if (!container || this._bound) return;
+
+        container.addEventListener('click', (e) => this._handleClick(e));
+        container.addEventListener('change', (e) => this._handleChange(e));
+        this._bound = true;
+    }
+
+    /**
+     * Replace the edited steps
+     * @param {Array} actions - Action steps (copied)
+     */
+    setActions(actions) {
+        this.actions = Array.isArray(actions) && actions.length
+            ? actions.map(step => createAction(step.type, step.targetFolder || null))
+            : [createAction()];
+        this.render();
+    }
+
+    /**
+     * Get a copy of the edited steps
+     * @returns {Array} - Action steps
+     */
+    getActions() {
+        return this.actions.map(step => createAction(step.type, step.targetFolder || null));
+    }
+
+    /**
+     * Reset to a single Select Only step
+     */
+    clear() {
+        this.setActions(null);
+    }
+
+    /**
+     * Whether any step needs the folder list
+     * @returns {boolean}
+     */
+    needsFolders() {
+        return this.actions.some(step => step.type === 'move-to-folder');
+    }
+
+    /**
+     * Set the folders offered for move-to-folder steps
+     * @param {Array} folders - [{ name, displayName }]
+     * @param {string} status - Placeholder shown when there are no folders
+     */
+    setFolders(folders, status = 'No folders - select email & refresh') {
+        this.folders = folders || [];
+        this.folderStatus = this.folders.length ? 'Select folder...' : status;
+        this.render();
+    }
+
+    /**
+     * Validate the edited steps
+     * @returns {string|null} - First error, or null if valid
+     */
+    validate() {
+        return validateActions(this.getActions());
+    }
+
+    /**
+     * Render the steps into the container
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const steps = this.actions.map((step, index) => this._renderStep(step, index)).join('');
+
+        container.innerHTML = `
+            <ol class="action-steps">${steps}</ol>
+            <button type="button" class="btn-text" data-step-action="add">+ Action</button>
+        `;
+    }
+
+    _renderStep(step, index) {
+        const typeOptions = Object.entries(ACTION_TYPES).map(([type, label]) =>
+            `<option value="${type}" ${step.type === type ? 'selected' : ''}>${escapeHtml(label)}</option>`
+        ).join('');
+
+        const isFirst = index === 0;
+        const isLast = index === this.actions.length - 1;
+
+        return `
+            <li class="action-step" data-index="${index}">
+                <div class="action-step-inputs">
+                    <select data-role="type" aria-label="Action">${typeOptions}</select>
+                    <button type="button" class="action-step-move" data-step-action="up" aria-label="Move up" ${isFirst ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="action-step-move" data-step-action="down" aria-label="Move down" ${isLast ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="condition-remove" data-step-action="remove" aria-label="Remove action" ${this.actions.length === 1 ? 'disabled' : ''}>×</button>
+                </div>
+                ${step.type === 'move-to-folder' ? this._renderFolderSelect(step) : ''}
+            </li>
+        `;
+    }
+
+    _renderFolderSelect(step) {
+        const names = this.folders.map(folder => folder.name);
+        // Keep a saved folder selectable even if it isn't in the loaded list
+        const folders = step.targetFolder && !names.includes(step.targetFolder)
+            ? [{ name: step.targetFolder }, ...this.folders]
+            : this.folders;
+
+        const options = folders.map(folder =>
+            `<option value="${escapeHtml(folder.name)}" ${step.targetFolder === folder.name ? 'selected' : ''}>${escapeHtml(folder.displayName || folder.name)}</option>`
+        ).join('');
+
+        return `
+            <select data-role="folder" class="action-step-folder" aria-label="Target folder">
+                <option value="">${escapeHtml(this.folderStatus)}</option>
+                ${options}
+            </select>
+        `;
+    }
+
+    _handleClick(event) {
+        const button = event.target.closest('[data-step-action]');
+        if (!button || button.disabled) return;
+
+        const index = Number(button.closest('[data-index]')?.dataset.index);
+
+        switch (button.dataset.stepAction) {
+            case 'add':
+                this.actions.push(createAction('mark-read'));
+                break;
+            case 'remove':
+                this.actions.splice(index, 1);
+                break;
+            case 'up':
+                [this.actions[index - 1], this.actions[index]] = [this.actions[index], this.actions[index - 1]];
+                break;
+            case 'down':
+                [this.actions[index], this.actions[index + 1]] = [this.actions[index + 1], this.actions[index]];
+                break;
+        }
+        this.render();
+        this.onChange();
+    }
+
+    _handleChange(event) {
+        const role = event.target.dataset.role;
+        if (role !== 'type' && role !== 'folder') return;
+
+        const index = Number(event.target.closest('[data-index]').dataset.index);
+        const step = this.actions[index];
+
+        if (role === 'type') {
+            this.actions[index] = createAction(event.target.value, step.targetFolder || null);
+            this.render();
+            this.onChange();
+        } else {
+            step.targetFolder = event.target.value || null;
+        }
+    }
+}
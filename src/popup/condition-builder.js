@@ -0,0 +1,280 @@
+/**
+ * TutOrg - Condition Builder
+ * Renders and edits a rule's condition tree (nested ALL/ANY/NONE groups)
+ */
+
+import { CONDITION_FIELDS, CONDITION_OPERATORS, GROUP_MODES, MAX_CONDITION_DEPTH } from '../lib/constants.js';
+import { escapeHtml, validateRegex } from '../lib/utils.js';
+import {
+    createCondition,
+    createGroup,
+    cloneConditions,
+    validateConditions
+} from '../lib/conditions.js';
+
+/**
+ * Editor for a condition tree bound to a container element
+ * In flat mode it edits a plain, possibly empty, list of conditions (used for exceptions)
+ */
+export class ConditionBuilder {
+    /**
+     * @param {string} containerId - Container element ID
+     * @param {Object} options - Builder options
+     * @param {boolean} options.flat - Edit a flat condition list instead of nested groups
+     * @param {string} options.label - Root label shown in flat mode
+     */
+    constructor(containerId, { flat = false, label = '' } = {}) {
+        this.containerId = containerId;
+        this.flat = flat;
+        this.label = label;
+        this.tree = this._defaultTree();
+        this._bound = false;
+    }
+
+    /**
+     * Attach delegated event handlers (once)
+     */
+    bind() {
+        const container = document.getElementById(this.containerId);
+        if (!container || this._bound) return;
+
+        container.addEventListener('click', (e) => this._handleClick(e));
+        container.addEventListener('change', (e) => this._handleChange(e));
+        container.addEventListener('input', (e) => this._handleInput(e));
+        this._bound = true;
+    }
+
+    /**
+     * Replace the edited tree
+     * @param {Object} tree - Condition tree (copied)
+     */
+    setTree(tree) {
+        this.tree = tree?.type === 'group' ? cloneConditions(tree) : this._defaultTree();
+        this.render();
+    }
+
+    /**
+     * Replace the edited condition list (flat mode)
+     * @param {Array} conditions - Conditions (copied)
+     */
+    setConditions(conditions) {
+        this.setTree(createGroup('any', Array.isArray(conditions) ? conditions : []));
+    }
+
+    /**
+     * Get a copy of the edited condition list (flat mode)
+     * @returns {Array} - Conditions
+     */
+    getConditions() {
+        return this.getTree().children;
+    }
+
+    /**
+     * Get a copy of the edited tree with values trimmed
+     * @returns {Object} - Condition tree
+     */
+    getTree() {
+        const tree = cloneConditions(this.tree);
+        const trim = (node) => {
+            if (node.type === 'group') {
+                node.children.forEach(trim);
+            } else {
+                node.value = String(node.value || '').trim();
+                node.flags = CONDITION_OPERATORS[node.operator]?.isRegex ? (node.flags || '').trim() : '';
+            }
+        };
+        trim(tree);
+        return tree;
+    }
+
+    /**
+     * Reset to a single empty condition
+     */
+    clear() {
+        this.setTree(null);
+    }
+
+    /**
+     * Validate the edited tree
+     * @returns {string|null} - First error, or null if valid
+     */
+    validate() {
+        const tree = this.getTree();
+        if (this.flat && tree.children.length === 0) return null;
+        return validateConditions(tree);
+    }
+
+    /**
+     * Render the tree into the container
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+        container.innerHTML = this._renderGroup(this.tree, [], 1);
+    }
+
+    _defaultTree() {
+        return this.flat ? createGroup('any', []) : createGroup('all', [createCondition()]);
+    }
+
+    /**
+     * Resolve a node from its path ("" = root, "0.2" = root.children[0].children[2])
+     */
+    _getNode(path) {
+        if (!path) return this.tree;
+        return path.split('.').reduce((node, i) => node?.children?.[Number(i)], this.tree);
+    }
+
+    _parentPath(path) {
+        const parts = path.split('.');
+        parts.pop();
+        return parts.join('.');
+    }
+
+    _renderGroup(group, pathParts, depth) {
+        const path = pathParts.join('.');
+        const isRoot = pathParts.length === 0;
+
+        const modeOptions = Object.entries(GROUP_MODES).map(([mode, label]) =>
+            `<option value="${mode}" ${group.mode === mode ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        const children = group.children.map((child, i) => child.type === 'group'
+            ? this._renderGroup(child, [...pathParts, i], depth + 1)
+            : this._renderCondition(child, [...pathParts, i])
+        ).join('');
+
+        const header = this.flat
+            ? `<span class="condition-group-label">${escapeHtml(this.label)}</span>`
+            : `<select data-role="mode" aria-label="Group mode">${modeOptions}</select>
+               <span class="condition-group-label">of the following</span>`;
+        const canAddGroup = !this.flat && depth < MAX_CONDITION_DEPTH;
+
+        return `
+            <div class="condition-group ${isRoot ? 'condition-group-root' : ''}" data-path="${path}">
+                <div class="condition-group-header">
+                    ${header}
+                    ${isRoot ? '' : '<button type="button" class="condition-remove" data-builder-action="remove" aria-label="Remove group">×</button>'}
+                </div>
+                <div class="condition-children">${children}</div>
+                <div class="condition-group-actions">
+                    <button type="button" class="btn-text" data-builder-action="add-condition">+ Condition</button>
+                    ${canAddGroup ? '<button type="button" class="btn-text" data-builder-action="add-group">+ Group</button>' : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    _renderCondition(condition, pathParts) {
+        const path = pathParts.join('.');
+        const field = CONDITION_FIELDS[condition.field] || CONDITION_FIELDS.subject;
+        const isRegex = CONDITION_OPERATORS[condition.operator]?.isRegex;
+        const unit = CONDITION_OPERATORS[condition.operator]?.unit;
+
+        const fieldOptions = Object.entries(CONDITION_FIELDS).map(([key, def]) =>
+            `<option value="${key}" ${condition.field === key ? 'selected' : ''}>${escapeHtml(def.label)}</option>`
+        ).join('');
+
+        const operatorOptions = field.operators.map(key =>
+            `<option value="${key}" ${condition.operator === key ? 'selected' : ''}>${escapeHtml(CONDITION_OPERATORS[key].label)}</option>`
+        ).join('');
+
+        const regexError = isRegex && condition.value
+            ? validateRegex(condition.value, condition.flags || '')
+            : null;
+        const help = isRegex ? CONDITION_OPERATORS[condition.operator].help : field.help;
+
+        const valueInput = field.options
+            ? `<select data-role="value" aria-label="Value">${Object.entries(field.options).map(([key, label]) =>
+                `<option value="${key}" ${condition.value === key ? 'selected' : ''}>${escapeHtml(label)}</option>`
+            ).join('')}</select>`
+            : `<input type="${unit ? 'number' : 'text'}" data-role="value" class="${regexError ? 'invalid' : ''}"
+                        ${unit ? 'min="0" step="1"' : ''}
+                        value="${escapeHtml(condition.value)}" placeholder="${isRegex ? 'Pattern' : unit ? 'Days' : 'Value'}">`;
+
+        return `
+            <div class="condition-row" data-path="${path}">
+                <div class="condition-inputs">
+                    <select data-role="field" aria-label="Field">${fieldOptions}</select>
+                    <select data-role="operator" aria-label="Operator">${operatorOptions}</select>
+                    ${valueInput}
+                    ${isRegex ? `<input type="text" data-role="flags" class="condition-flags" maxlength="4"
+                        value="${escapeHtml(condition.flags || '')}" placeholder="flags">` : ''}
+                    <button type="button" class="condition-remove" data-builder-action="remove" aria-label="Remove condition">×</button>
+                </div>
+                <div class="form-error" data-role="error">${regexError ? `Invalid regex: ${escapeHtml(regexError)}` : ''}</div>
+                ${help ? `<div class="form-hint">${escapeHtml(help)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    _handleClick(event) {
+        const button = event.target.closest('[data-builder-action]');
+        if (!button) return;
+
+        const path = button.closest('[data-path]').dataset.path;
+        const node = this._getNode(path);
+
+        switch (button.dataset.builderAction) {
+            case 'add-condition':
+                node.children.push(createCondition());
+                break;
+            case 'add-group':
+                node.children.push(createGroup('any', [createCondition()]));
+                break;
+            case 'remove': {
+                const parent = this._getNode(this._parentPath(path));
+                const index = Number(path.split('.').pop());
+                parent.children.splice(index, 1);
+                break;
+            }
+        }
+        this.render();
+    }
+
+    _handleChange(event) {
+        const role = event.target.dataset.role;
+        if (!['mode', 'field', 'operator'].includes(role)) return;
+
+        const node = this._getNode(event.target.closest('[data-path]').dataset.path);
+
+        if (role === 'mode') {
+            node.mode = event.target.value;
+        } else if (role === 'field') {
+            const previous = CONDITION_FIELDS[node.field];
+            node.field = event.target.value;
+            const field = CONDITION_FIELDS[node.field];
+            // Keep the operator if the new field supports it
+            if (!field.operators.includes(node.operator)) {
+                node.operator = field.operators[0];
+            }
+            // Fields with a fixed set of values start on the first one
+            if (field.options && !field.options[node.value]) {
+                node.value = Object.keys(field.options)[0];
+            } else if (!field.options && previous?.options) {
+                node.value = '';
+            }
+        } else {
+            node.operator = event.target.value;
+        }
+        this.render();
+    }
+
+    /**
+     * Update values in place (no re-render, so focus is kept) and validate regexes as typed
+     */
+    _handleInput(event) {
+        const role = event.target.dataset.role;
+        if (role !== 'value' && role !== 'flags') return;
+
+        const row = event.target.closest('.condition-row');
+        const node = this._getNode(row.dataset.path);
+        node[role] = event.target.value;
+
+        if (!CONDITION_OPERATORS[node.operator]?.isRegex) return;
+
+        const error = node.value ? validateRegex(node.value.trim(), (node.flags || '').trim()) : null;
+        row.querySelector('[data-role="value"]').classList.toggle('invalid', !!error);
+        row.querySelector('[data-role="error"]').textContent = error ? `Invalid regex: ${error}` : '';
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * TutOrg - Run History
+ * Filters, renders and exports the run history recorded by the content script
+ */
+
+import { RUN_TRIGGERS } from '../lib/constants.js';
+import { escapeHtml } from '../lib/utils.js';
+import { storage } from '../lib/storage.js';
+
+const CSV_COLUMNS = ['time', 'account', 'trigger', 'mode', 'success', 'rule', 'count', 'matches', 'failures', 'message'];
+
+/**
+ * Quote a CSV cell when needed
+ * Text starting like a formula (e.g. a subject "=HYPERLINK(...)") gets a leading ' so
+ * spreadsheets show it instead of running it.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Identify the rule a result or failure belongs to
+ * Runs are recorded by rule id; runs recorded before that only have the name
+ * @param {Object} item - Result or failure ({ ruleId, rule })
+ * @returns {string|null}
+ */
+function getRuleKey(item) {
+    return item.ruleId ?? item.rule ?? null;
+}
+
+/**
+ * Parse a date input value (YYYY-MM-DD) as local midnight
+ * @param {string} value - Date input value
+ * @returns {number|null} - Milliseconds since epoch
+ */
+function parseDateInput(value) {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
+
+/**
+ * History Manager for the current account's runs
+ */
+class HistoryManager {
+    constructor() {
+        this.account = 'default';
+        this.entries = [];
+    }
+
+    /**
+     * Load the account's history, newest first
+     * @param {string} account - Account identifier
+     */
+    async load(account = 'default') {
+        this.account = account;
+        const history = await storage.getRunHistory();
+        this.entries = history.filter(entry => entry.account === account).reverse();
+    }
+
+    /**
+     * Delete the account's history
+     */
+    async clear() {
+        await storage.clearRunHistory(this.account);
+        this.entries = [];
+    }
+
+    /**
+     * All rules that appear in the loaded history
+     * Rules sharing a name are listed apart; each keeps the name it last ran under
+     * @returns {Array} - [{ key, name }], sorted by name
+     */
+    getRules() {
+        const rules = new Map();
+        this.entries.forEach(entry => {
+            [...entry.results, ...entry.failures].forEach(item => {
+                const key = getRuleKey(item);
+                if (key) rules.set(key, item.rule);
+            });
+        });
+        return [...rules].map(([key, name]) => ({ key, name })).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Filter the loaded history
+     * @param {Object} filters - { rule (key from getRules), from, to } (dates as YYYY-MM-DD, inclusive)
+     * @returns {Array} - Matching entries
+     */
+    filter({ rule = '', from = '', to = '' } = {}) {
+        const start = parseDateInput(from);
+        const endDay = parseDateInput(to);
+        const end = endDay === null ? null : endDay + 24 * 60 * 60 * 1000;
+
+        return this.entries.filter(entry => {
+            if (start !== null && entry.at < start) return false;
+            if (end !== null && entry.at >= end) return false;
+            if (!rule) return true;
+
+            return entry.results.some(result => getRuleKey(result) === rule && result.count > 0) ||
+                entry.failures.some(failure => getRuleKey(failure) === rule);
+        });
+    }
+
+    /**
+     * Render entries into a container
+     * @param {string} containerId - Container element ID
+     * @param {Array} entries - Entries to show
+     */
+    render(containerId, entries) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="history-empty">No runs recorded</div>';
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => this._renderEntry(entry)).join('');
+    }
+
+    _renderEntry(entry) {
+        const results = entry.results.filter(result => result.count > 0).map(result => {
+            const matches = result.matches.map(match => `
+                <li>${escapeHtml(match.sender || '(unknown sender)')} — ${escapeHtml(match.subject || '(no subject)')}</li>
+            `).join('');
+            const more = result.count > result.matches.length
+                ? `<li class="history-more">…and ${result.count - result.matches.length} more</li>`
+                : '';
+
+            return `
+                <details class="history-rule">
+                    <summary>${escapeHtml(result.rule)}: ${result.count}</summary>
+                    <ul class="history-matches">${matches}${more}</ul>
+                </details>
+            `;
+        }).join('');
+
+        const failures = entry.failures.map(failure => `
+            <li>${failure.rule ? `${escapeHtml(failure.rule)}: ` : ''}${escapeHtml(failure.message)}</li>
+        `).join('');
+
+        return `
+            <div class="history-entry ${entry.success && !entry.failures.length ? '' : 'history-entry-failed'}">
+                <div class="history-entry-header">
+                    <span class="history-time">${escapeHtml(new Date(entry.at).toLocaleString())}</span>
+                    <span class="history-trigger">${escapeHtml(RUN_TRIGGERS[entry.trigger] || entry.trigger)}</span>
+                </div>
+                <div class="history-message">${escapeHtml(entry.message)}</div>
+                ${results}
+                ${failures ? `<ul class="history-failures">${failures}</ul>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Export entries as JSON
+     * @param {Array} entries - Entries to export
+     * @returns {string}
+     */
+    toJson(entries) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            account: this.account,
+            runs: entries
+        }, null, 2);
+    }
+
+    /**
+     * Export entries as CSV, one row per rule per run
+     * @param {Array} entries - Entries to export
+     * @returns {string}
+     */
+    toCsv(entries) {
+        const rows = [CSV_COLUMNS];
+
+        entries.forEach(entry => {
+            const base = {
+                time: new Date(entry.at).toISOString(),
+                account: entry.account,
+                trigger: entry.trigger,
+                mode: entry.mode,
+                success: entry.success,
+                message: entry.message
+            };
+            const failuresFor = (key) => entry.failures
+                .filter(failure => getRuleKey(failure) === key)
+                .map(failure => failure.message)
+                .join('; ');
+
+            const results = entry.results.length ? entry.results : [{ rule: '', count: 0, matches: [] }];
+            results.forEach(result => {
+                const row = {
+                    ...base,
+                    rule: result.rule,
+                    count: result.count,
+                    matches: result.matches.map(m => `${m.sender} — ${m.subject}`).join('; '),
+                    failures: failuresFor(result.rule ? getRuleKey(result) : null)
+                };
+                rows.push(CSV_COLUMNS.map(column => row[column]));
+            });
+        });
+
+        return rows.map(row => row.map(csvCell).join(',')).join('\n');
+    }
+}
+
+// Export singleton instance
+export const historyManager = new HistoryManager();
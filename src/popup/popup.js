@@ -3,10 +3,24 @@
  * Orchestrates all popup functionality with modal-based UI
  */
 
-import { logger, $ } from '../lib/utils.js';
+import { logger, $, downloadFile, escapeHtml } from '../lib/utils.js';
 import { tabs } from '../lib/tabs.js';
+import { storage } from '../lib/storage.js';
+import { SCHEDULE_INTERVALS, DEFAULT_RULE_PRIORITY, RULES_SCHEMA_VERSION, STORAGE_KEYS, GLOBAL_RULES_ACCOUNT } from '../lib/constants.js';
+import { readRuleSet, migrateRules } from '../lib/migrations.js';
+import { checkImport, getImportRule, diffImport } from '../lib/import-check.js';
+import { getRulePriority, validatePriority } from '../lib/priority.js';
+import { getSourceFolders, validateSourceFolders } from '../lib/folders.js';
+import { exportSieve, importSieve } from '../lib/sieve.js';
+import { getTargetFolders, findMissingFolders } from '../lib/rule-transfer.js';
+import { FILTER_FORMATS, detectFilterFormat, importMailFilters } from '../lib/filter-import.js';
 import { ui } from './ui.js';
 import { rulesManager } from './rules.js';
+import { ConditionBuilder } from './condition-builder.js';
+import { ActionListEditor } from './action-list.js';
+import { scheduleManager } from './schedule.js';
+import { historyManager } from './history.js';
+import { revisionsManager } from './revisions.js';
 
 /**
  * Account detection configuration
@@ -24,9 +38,24 @@ class PopupController {
     constructor() {
         this._boundHandlers = {};
         this._currentAccount = 'default';
+        // Account signed in to the Tuta tab; _currentAccount can be switched to another one
+        this._detectedAccount = 'default';
         this._isDetectingAccount = false;
         this._availableFolders = [];
+        this._folderNames = [];
         this._extensionVersion = 'unknown';
+        this._settings = {};
+        this._pendingFilters = null;
+        this._importCheck = null;
+        this._transferMove = false;
+        this._conditionBuilder = new ConditionBuilder('conditionBuilder');
+        this._exceptionBuilder = new ConditionBuilder('exceptionBuilder', {
+            flat: true,
+            label: 'Unless ANY of these match'
+        });
+        this._actionEditor = new ActionListEditor('actionList', {
+            onChange: () => this._updateActionFields()
+        });
     }
 
     /**
@@ -50,16 +79,27 @@ class PopupController {
         // Setup event listeners
         this._setupEventListeners();
         this._setupTooltips();
+
+        // Restore run options
+        await this._loadRunOptions();
         
         // Detect account
         this._currentAccount = await this._detectAccountWithRetry();
+        this._detectedAccount = this._currentAccount;
         
         // Initialize rules manager
         await rulesManager.init(this._currentAccount);
         
         // Update UI
         ui.updateAccountDisplay(this._currentAccount);
+        await this._renderAccountSwitcher();
         rulesManager.renderRules();
+
+        // Load this account's schedule
+        await scheduleManager.load(this._currentAccount);
+        scheduleManager.renderSummary();
+
+        await this._refreshUndoState();
         
         // Load available folders in background
         this._loadFolders();
@@ -119,10 +159,18 @@ class PopupController {
         ui.showStatus('Reconnecting...', 'success');
         
         this._currentAccount = await this._detectAccountWithRetry();
+        this._detectedAccount = this._currentAccount;
         ui.updateAccountDisplay(this._currentAccount);
+        await this._renderAccountSwitcher();
         
         await rulesManager.init(this._currentAccount);
         rulesManager.renderRules();
+        ui.renderRuleSelection(0);
+
+        await scheduleManager.load(this._currentAccount);
+        scheduleManager.renderSummary();
+
+        await this._refreshUndoState();
         
         if (this._currentAccount !== 'default') {
             ui.showStatus('✓ Connected to ' + this._currentAccount, 'success');
@@ -144,6 +192,8 @@ class PopupController {
         }
         
         if (detecting) {
+            ui.toggleElement('accountSwitcher', false);
+            ui.toggleElement('currentAccount', true);
             ui.updateAccountDisplay('Detecting...');
         }
     }
@@ -152,28 +202,36 @@ class PopupController {
      * Load available folders from Tuta
      */
     async _loadFolders() {
-        const select = $('#targetFolder');
-        if (select) {
-            select.innerHTML = '<option value="">Loading folders...</option>';
-            select.disabled = true;
-        }
+        this._actionEditor.setFolders([], 'Loading folders...');
         
         try {
             const response = await tabs.sendToTutaTab({ action: 'getFolders' });
             if (response?.folders && response.folders.length > 0) {
                 this._availableFolders = response.folders;
-                this._populateFolderSelect();
                 logger.log('Loaded', response.folders.length, 'folders');
+                // Remembered so rules copied to this account later can be checked against them
+                storage.saveAccountFolders(this._detectedAccount, response.folders.map(folder => folder.name));
             } else {
-                this._populateFolderSelect(); // Shows empty state
                 logger.log('No folders returned from Tuta');
             }
+            this._actionEditor.setFolders(this._availableFolders); // Shows empty state if none
         } catch (error) {
             logger.log('Could not load folders:', error.message);
-            if (select) {
-                select.innerHTML = '<option value="">Select an email in Tuta first</option>';
-            }
+            this._actionEditor.setFolders([], 'Select an email in Tuta first');
+        }
+    }
+
+    /**
+     * Load the sidebar folder names offered as source folders, keeping the current checks
+     */
+    async _loadSourceFolders() {
+        try {
+            const response = await tabs.sendToTutaTab({ action: 'getFolderNames' });
+            this._folderNames = response?.folders || [];
+        } catch (error) {
+            logger.log('Could not load folder names:', error.message);
         }
+        ui.renderSourceFolders('sourceFolderList', this._folderNames, ui.getSourceFolders('sourceFolderList'));
     }
 
     /**
@@ -200,30 +258,6 @@ class PopupController {
         ui.showStatus(`Loaded ${count} folder${count !== 1 ? 's' : ''}`, 'success');
     }
 
-    /**
-     * Populate folder select dropdown
-     */
-    _populateFolderSelect() {
-        const select = $('#targetFolder');
-        if (!select) return;
-        
-        select.disabled = false;
-        select.innerHTML = '<option value="">Select folder...</option>';
-        
-        if (this._availableFolders.length === 0) {
-            select.innerHTML = '<option value="">No folders - select email & refresh</option>';
-            return;
-        }
-        
-        this._availableFolders.forEach(folder => {
-            const option = document.createElement('option');
-            option.value = folder.name;
-            // Use displayName if available, fallback to name
-            option.textContent = folder.displayName || folder.name;
-            select.appendChild(option);
-        });
-    }
-
     _sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -238,30 +272,95 @@ class PopupController {
         this._addClickHandler('cancelRule', () => this._hideModal());
         this._addClickHandler('closeModal', () => this._hideModal());
         this._addClickHandler('runRules', () => this._runRules());
+        this._addClickHandler('previewRules', () => this._previewRules());
+        this._addClickHandler('undoRun', () => this._undoLastRun());
+        this._addClickHandler('confirmRun', () => this._confirmPreviewRun());
+        this._addClickHandler('clearPreview', () => this._clearPreview());
+        this._addClickHandler('closePreviewModal', () => this._hidePreviewModal());
         this._addClickHandler('refreshPage', () => this._refreshPage());
         this._addClickHandler('openTab', () => this._openAsTab());
         this._addClickHandler('openWindow', () => this._openInWindow());
         this._addClickHandler('retryAccount', () => this._retryAccountDetection());
         this._addClickHandler('exportRules', () => this._exportRules());
         this._addClickHandler('importRules', () => this._triggerImport());
+        this._addClickHandler('exportSieve', () => this._exportSieve());
+        this._addClickHandler('reviewConflicts', () => this._showConflicts());
+        this._addClickHandler('closeConflictModal', () => this._hideConflictModal());
+        this._addClickHandler('dismissConflicts', () => this._hideConflictModal());
+        this._addClickHandler('closeReportModal', () => this._hideReportModal());
+        this._addClickHandler('dismissReport', () => this._hideReportModal());
+        this._addClickHandler('closeFilterImportModal', () => this._hideFilterImportModal());
+        this._addClickHandler('cancelFilterImport', () => this._hideFilterImportModal());
+        this._addClickHandler('confirmFilterImport', () => this._confirmFilterImport());
+        this._addClickHandler('closeImportModal', () => this._hideImportModal());
+        this._addClickHandler('cancelImport', () => this._hideImportModal());
+        this._addClickHandler('confirmImport', () => this._confirmImport());
         this._addClickHandler('refreshFolders', () => this._refreshFolders());
+        this._addClickHandler('editSchedule', () => this._showScheduleModal());
+        this._addClickHandler('saveSchedule', () => this._saveSchedule());
+        this._addClickHandler('cancelSchedule', () => this._hideScheduleModal());
+        this._addClickHandler('closeScheduleModal', () => this._hideScheduleModal());
+        this._addClickHandler('showHistory', () => this._showHistoryModal());
+        this._addClickHandler('showRevisions', () => this._showRevisionsModal());
+        this._addClickHandler('closeRevisionsModal', () => this._hideRevisionsModal());
+        this._addClickHandler('dismissRevisions', () => this._hideRevisionsModal());
+        this._addClickHandler('closeHistoryModal', () => this._hideHistoryModal());
+        this._addClickHandler('clearHistory', () => this._clearHistory());
+        this._addClickHandler('exportHistoryJson', () => this._exportHistory('json'));
+        this._addClickHandler('exportHistoryCsv', () => this._exportHistory('csv'));
+        this._addClickHandler('copyRules', () => this._showTransferModal(false));
+        this._addClickHandler('moveRules', () => this._showTransferModal(true));
+        this._addClickHandler('clearRuleSelection', () => this._clearRuleSelection());
+        this._addClickHandler('closeTransferModal', () => this._hideTransferModal());
+        this._addClickHandler('cancelTransfer', () => this._hideTransferModal());
+        this._addClickHandler('confirmTransfer', () => this._confirmTransfer());
+        $('#accountSwitcher')?.addEventListener('change', (e) => this._switchAccount(e.target.value));
+        $('#transferAccount')?.addEventListener('input', () => this._loadTransferFolders());
+
+        // History filters
+        ['historyRule', 'historyFrom', 'historyTo'].forEach(id => {
+            const input = $(`#${id}`);
+            if (input) {
+                input.addEventListener('change', () => this._renderHistory());
+            }
+        });
+        $('#revisionsLayer')?.addEventListener('change', () => this._loadRevisions());
 
-        // Match type change - show/hide complex fields
-        const matchType = $('#matchType');
-        if (matchType) {
-            matchType.addEventListener('change', () => this._updateMatchTypeHelp());
-        }
+        // Schedule editor
+        this._setupScheduleEditor();
 
-        // Action change - show/hide folder selector
-        const actionSelect = $('#action');
-        if (actionSelect) {
-            actionSelect.addEventListener('change', () => this._updateActionFields());
-        }
+        // Run options - persist as settings
+        ['runMode', 'runLimit', 'autoRunOnNewMail', 'openMailForSender'].forEach(id => {
+            const input = $(`#${id}`);
+            if (input) {
+                input.addEventListener('change', () => this._saveRunOptions());
+            }
+        });
+
+        // Progress from long-running (full-folder) runs
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.action === 'runProgress') {
+                this._showRunProgress(message.progress);
+            }
+        });
+
+        // Last run is written/cleared by the content script (manual, scheduled and auto runs)
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.lastRun) {
+                this._refreshUndoState();
+            }
+            // Rules saved on another device: merge them in
+            if (areaName === 'sync' && (changes[`${STORAGE_KEYS.RULES_PREFIX}${rulesManager.currentAccount}`] ||
+                changes[`${STORAGE_KEYS.RULES_PREFIX}${GLOBAL_RULES_ACCOUNT}`])) {
+                this._reloadSyncedRules();
+            }
+        });
 
         // Rule list actions (delegation)
         const rulesList = $('#rulesList');
         if (rulesList) {
             rulesList.addEventListener('click', (e) => this._handleRuleAction(e));
+            rulesList.addEventListener('change', (e) => this._handleRuleSelect(e));
         }
 
         // File import
@@ -280,30 +379,146 @@ class PopupController {
             });
         }
 
-        // Multi-value input handlers
-        this._setupMultiValueInputs();
+        // Condition, exception and action editors (delegated handlers on their containers)
+        this._conditionBuilder.bind();
+        this._exceptionBuilder.bind();
+        this._actionEditor.bind();
 
         // Escape key to close modal
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this._hideModal();
+                this._hideScheduleModal();
+                this._hidePreviewModal();
+                this._hideHistoryModal();
+                this._hideReportModal();
+                this._hideFilterImportModal();
+                this._hideImportModal();
+                this._hideConflictModal();
+                this._hideRevisionsModal();
+                this._hideTransferModal();
             }
         });
     }
 
+    /**
+     * Setup schedule editor fields
+     */
+    _setupScheduleEditor() {
+        const interval = $('#scheduleInterval');
+        if (interval) {
+            interval.innerHTML = Object.entries(SCHEDULE_INTERVALS)
+                .map(([minutes, label]) => `<option value="${minutes}">${label}</option>`)
+                .join('');
+        }
+
+        const workingHours = $('#scheduleWorkingHours');
+        if (workingHours) {
+            workingHours.addEventListener('change', () => {
+                ui.toggleElement('scheduleHoursGroup', workingHours.checked);
+            });
+        }
+
+        const modal = $('#scheduleModal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this._hideScheduleModal();
+                }
+            });
+        }
+
+        const previewModal = $('#previewModal');
+        if (previewModal) {
+            previewModal.addEventListener('click', (e) => {
+                if (e.target === previewModal) {
+                    this._hidePreviewModal();
+                }
+            });
+        }
+
+        const historyModal = $('#historyModal');
+        if (historyModal) {
+            historyModal.addEventListener('click', (e) => {
+                if (e.target === historyModal) {
+                    this._hideHistoryModal();
+                }
+            });
+        }
+
+        // Import dry run: rule ticks, mode and fixes options
+        const importModal = $('#importModal');
+        if (importModal) {
+            importModal.addEventListener('change', (e) => this._handleImportChange(e));
+            importModal.addEventListener('click', (e) => {
+                if (e.target === importModal) {
+                    this._hideImportModal();
+                }
+            });
+        }
+
+        const filterImportModal = $('#filterImportModal');
+        if (filterImportModal) {
+            filterImportModal.addEventListener('click', (e) => {
+                if (e.target === filterImportModal) {
+                    this._hideFilterImportModal();
+                }
+            });
+        }
+
+        // Rule revisions: restore buttons (delegation)
+        const revisionsModal = $('#revisionsModal');
+        if (revisionsModal) {
+            revisionsModal.addEventListener('click', (e) => {
+                if (e.target === revisionsModal) {
+                    this._hideRevisionsModal();
+                } else {
+                    this._handleRevisionRestore(e);
+                }
+            });
+        }
+
+        const transferModal = $('#transferModal');
+        if (transferModal) {
+            transferModal.addEventListener('click', (e) => {
+                if (e.target === transferModal) {
+                    this._hideTransferModal();
+                }
+            });
+        }
+
+        // Sync conflicts: keep or switch versions (delegation)
+        const conflictModal = $('#conflictModal');
+        if (conflictModal) {
+            conflictModal.addEventListener('click', (e) => {
+                if (e.target === conflictModal) {
+                    this._hideConflictModal();
+                } else {
+                    this._handleConflictAction(e);
+                }
+            });
+        }
+    }
+
     /**
      * Setup tooltips
      */
     _setupTooltips() {
         const tooltips = {
-            'runRules': 'Run all enabled rules on visible emails',
+            'runRules': 'Run all enabled rules on visible emails or the full folder',
+            'previewRules': 'Highlight what enabled rules would match, without acting',
+            'undoRun': 'Undo the last run: move emails back and revert read/unread',
             'refreshPage': '⚠️ Warning: Refreshing may log you out',
             'openTab': 'Open as browser tab (for split view)',
             'openWindow': 'Open in popup window',
             'retryAccount': 'Retry connecting to Tuta Mail',
-            'importRules': 'Import rules from JSON file',
+            'importRules': 'Import rules from JSON, Sieve (.sieve), Gmail (mailFilters.xml) or Thunderbird (msgFilterRules.dat)',
+            'exportSieve': 'Export rules as a Sieve script',
             'exportRules': 'Export rules to JSON file',
-            'refreshFolders': 'Refresh folder list from Tuta'
+            'refreshFolders': 'Refresh folder list from Tuta',
+            'editSchedule': 'Run rules automatically on a schedule',
+            'autoRunOnNewMail': 'Run enabled rules on new emails as they arrive in the open Tuta tab',
+            'openMailForSender': 'For Sender Address/Domain conditions: briefly open emails whose address isn\'t shown in the list (may mark them as read)'
         };
 
         Object.entries(tooltips).forEach(([id, text]) => {
@@ -325,22 +540,23 @@ class PopupController {
     /**
      * Show add/edit modal
      */
-    _showModal(editRule = null) {
+    _showModal(editRule = null, layer = 'account') {
         rulesManager.stopEditing();
         
         if (editRule) {
             ui.setText('formTitle', 'Edit Rule');
             ui.setText('saveRule', 'Update Rule');
-            rulesManager.startEditing(editRule.id);
+            rulesManager.startEditing(editRule.id, layer);
             this._populateForm(editRule);
         } else {
             ui.setText('formTitle', 'Add New Rule');
             ui.setText('saveRule', 'Save Rule');
             this._clearForm();
         }
+        ui.setCheckboxValue('ruleGlobal', layer === 'global');
         
-        this._updateMatchTypeHelp();
         this._updateActionFields();
+        this._loadSourceFolders();
         ui.toggleElement('ruleModal', true);
     }
 
@@ -358,170 +574,40 @@ class PopupController {
      */
     _clearForm() {
         ui.setFieldValue('ruleName', '');
-        ui.setFieldValue('matchType', 'subject-contains');
-        ui.setFieldValue('action', 'select-only');
-        ui.setFieldValue('targetFolder', '');
+        ui.setFieldValue('priority', DEFAULT_RULE_PRIORITY);
+        ui.setCheckboxValue('stopProcessing', false);
         ui.setCheckboxValue('enabled', true);
-        
-        // Clear all tag inputs
-        this._clearTags('matchValues');
-        this._clearTags('senderValues');
-        this._clearTags('subjectValues');
-        
-        // Clear text inputs
-        const inputs = ['matchValueInput', 'senderValueInput', 'subjectValueInput'];
-        inputs.forEach(id => {
-            const input = $(`#${id}`);
-            if (input) input.value = '';
-        });
-    }
-
-    /**
-     * Setup multi-value input handlers using event delegation
-     */
-    _setupMultiValueInputs() {
-        const modal = $('#ruleModal');
-        if (!modal) {
-            logger.error('Modal not found for multi-value setup');
-            return;
-        }
-
-        // Use event delegation on the modal for all tag-related actions
-        modal.addEventListener('click', (e) => {
-            // Add tag button clicked
-            if (e.target.classList.contains('btn-add-tag')) {
-                const target = e.target.dataset.target;
-                const inputId = target.replace('Values', 'ValueInput');
-                this._addTagFromInput(target, inputId);
-            }
-            
-            // Remove tag button clicked
-            if (e.target.classList.contains('tag-remove')) {
-                e.target.closest('.tag-item').remove();
-            }
-        });
-
-        // Enter key to add tag (using event delegation)
-        modal.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && e.target.matches('.tag-input-row input')) {
-                e.preventDefault();
-                const inputId = e.target.id;
-                const target = inputId.replace('ValueInput', 'Values');
-                this._addTagFromInput(target, inputId);
-            }
-        });
-        
-        logger.log('Multi-value input handlers initialized');
-    }
-
-    /**
-     * Add tag from input field
-     */
-    _addTagFromInput(containerId, inputId) {
-        const input = $(`#${inputId}`);
-        if (!input) return;
-        
-        const value = input.value.trim();
-        if (!value) return;
-        
-        this._addTag(containerId, value);
-        input.value = '';
-        input.focus();
-    }
-
-    /**
-     * Add a tag to a container
-     */
-    _addTag(containerId, value) {
-        const tagsContainer = $(`#${containerId}Tags`);
-        if (!tagsContainer) return;
-        
-        const tag = document.createElement('div');
-        tag.className = 'tag-item';
-        tag.innerHTML = `
-            <span title="${value}">${value}</span>
-            <button type="button" class="tag-remove" aria-label="Remove">×</button>
-        `;
-        tagsContainer.appendChild(tag);
-    }
-
-    /**
-     * Get all tags from a container
-     */
-    _getTags(containerId) {
-        const tagsContainer = $(`#${containerId}Tags`);
-        if (!tagsContainer) return [];
-        
-        const tags = tagsContainer.querySelectorAll('.tag-item span');
-        return Array.from(tags).map(span => span.textContent);
-    }
-
-    /**
-     * Clear all tags from a container
-     */
-    _clearTags(containerId) {
-        const tagsContainer = $(`#${containerId}Tags`);
-        if (tagsContainer) {
-            tagsContainer.innerHTML = '';
-        }
-    }
-
-    /**
-     * Set tags in a container (array format only)
-     */
-    _setTags(containerId, values) {
-        this._clearTags(containerId);
-        if (!values || !Array.isArray(values)) return;
-        values.forEach(value => this._addTag(containerId, value));
+        ui.setText('conditionError', '');
+        ui.setText('exceptionError', '');
+        ui.setText('actionError', '');
+        this._conditionBuilder.clear();
+        this._exceptionBuilder.clear();
+        this._actionEditor.clear();
+        ui.renderSourceFolders('sourceFolderList', this._folderNames, []);
     }
 
     /**
      * Populate form with rule data
-     * Uses array format: matchValues, senderValues, subjectValues
      */
     _populateForm(rule) {
         ui.setFieldValue('ruleName', rule.name);
-        ui.setFieldValue('matchType', rule.matchType);
-        ui.setFieldValue('action', rule.action);
+        ui.setFieldValue('priority', getRulePriority(rule));
+        ui.setCheckboxValue('stopProcessing', !!rule.stopProcessing);
         ui.setCheckboxValue('enabled', rule.enabled);
-        
-        if (rule.targetFolder) {
-            ui.setFieldValue('targetFolder', rule.targetFolder);
-        }
-
-        // Set tags for match values (array format)
-        if (rule.matchType === 'sender-and-subject') {
-            this._setTags('senderValues', rule.senderValues || []);
-            this._setTags('subjectValues', rule.subjectValues || []);
-        } else {
-            this._setTags('matchValues', rule.matchValues || []);
-        }
-    }
-
-    /**
-     * Update match type help and visibility
-     */
-    _updateMatchTypeHelp() {
-        const matchType = ui.getFieldValue('matchType');
-        const helpText = ui.getMatchTypeHelp(matchType);
-        const isComplex = ui.isComplexMatchType(matchType);
 
-        ui.setText('matchTypeHelp', helpText);
-        ui.toggleElement('simpleMatchGroup', !isComplex);
-        ui.toggleElement('complexMatchGroup', isComplex);
+        this._conditionBuilder.setTree(rule.conditions);
+        this._exceptionBuilder.setConditions(rule.exceptions || []);
+        this._actionEditor.setActions(rule.actions);
+        ui.renderSourceFolders('sourceFolderList', this._folderNames, getSourceFolders(rule));
     }
 
     /**
-     * Update action-specific fields
+     * Load folders once a move-to-folder step needs them
      */
     _updateActionFields() {
-        const action = ui.getFieldValue('action');
-        const isMoveToFolder = action === 'move-to-folder';
-        
-        ui.toggleElement('folderSelectGroup', isMoveToFolder);
-        
-        // Reload folders if needed
-        if (isMoveToFolder && this._availableFolders.length === 0) {
+        ui.setText('actionError', '');
+
+        if (this._actionEditor.needsFolders() && this._availableFolders.length === 0) {
             this._loadFolders();
         }
     }
@@ -530,57 +616,63 @@ class PopupController {
      * Save rule
      */
     async _saveRule() {
-        const matchType = ui.getFieldValue('matchType');
-        const isComplex = ui.isComplexMatchType(matchType);
-        const action = ui.getFieldValue('action');
-
         const ruleData = {
             name: ui.getFieldValue('ruleName'),
-            matchType,
-            action,
+            conditions: this._conditionBuilder.getTree(),
+            exceptions: this._exceptionBuilder.getConditions(),
+            actions: this._actionEditor.getActions(),
+            priority: Number(ui.getFieldValue('priority') || DEFAULT_RULE_PRIORITY),
+            stopProcessing: ui.getCheckboxValue('stopProcessing'),
+            sourceFolders: ui.getSourceFolders('sourceFolderList'),
             enabled: ui.getCheckboxValue('enabled')
         };
 
-        // Handle move-to-folder
-        if (action === 'move-to-folder') {
-            ruleData.targetFolder = ui.getFieldValue('targetFolder');
-            if (!ruleData.targetFolder) {
-                ui.showStatus('Please select a target folder', 'error');
-                return;
-            }
+        if (!ruleData.name) {
+            ui.showStatus('Please enter a rule name', 'error');
+            return;
         }
 
-        // Handle match values from tags - store as arrays
-        if (isComplex) {
-            const senderTags = this._getTags('senderValues');
-            const subjectTags = this._getTags('subjectValues');
-            
-            // Store as arrays directly
-            ruleData.senderValues = senderTags;
-            ruleData.subjectValues = subjectTags;
+        const priorityError = validatePriority(ruleData.priority);
+        if (priorityError) {
+            ui.showStatus(priorityError, 'error');
+            return;
+        }
 
-            if (!ruleData.name || senderTags.length === 0 || subjectTags.length === 0) {
-                ui.showStatus('Please add at least one sender and subject value', 'error');
-                return;
-            }
-        } else {
-            const matchTags = this._getTags('matchValues');
-            
-            // Store as array directly
-            ruleData.matchValues = matchTags;
+        const folderError = validateSourceFolders(ruleData.sourceFolders);
+        if (folderError) {
+            ui.showStatus(folderError, 'error');
+            return;
+        }
 
-            if (!ruleData.name || matchTags.length === 0) {
-                ui.showStatus('Please add at least one match value', 'error');
-                return;
-            }
+        const conditionError = this._conditionBuilder.validate();
+        ui.setText('conditionError', conditionError || '');
+        if (conditionError) {
+            ui.showStatus(conditionError, 'error');
+            return;
         }
 
+        const exceptionError = this._exceptionBuilder.validate();
+        ui.setText('exceptionError', exceptionError || '');
+        if (exceptionError) {
+            ui.showStatus(`Exception: ${exceptionError}`, 'error');
+            return;
+        }
+
+        const actionError = this._actionEditor.validate();
+        ui.setText('actionError', actionError || '');
+        if (actionError) {
+            ui.showStatus(actionError, 'error');
+            return;
+        }
+
+        const layer = ui.getCheckboxValue('ruleGlobal') ? 'global' : 'account';
+
         try {
             if (rulesManager.isEditing()) {
-                await rulesManager.updateRule(rulesManager.editingRuleId, ruleData);
+                await rulesManager.updateRule(rulesManager.editingRuleId, ruleData, rulesManager.editingLayer, layer);
                 ui.showStatus('Rule updated!', 'success');
             } else {
-                await rulesManager.addRule(ruleData);
+                await rulesManager.addRule(ruleData, layer);
                 ui.showStatus('Rule added!', 'success');
             }
 
@@ -602,44 +694,281 @@ class PopupController {
         if (!ruleItem) return;
 
         const ruleId = ruleItem.dataset.ruleId;
+        const layer = ruleItem.dataset.layer;
         const action = button.dataset.action;
 
         switch (action) {
             case 'toggle':
-                await this._toggleRule(ruleId);
+                await this._toggleRule(ruleId, layer);
                 break;
             case 'delete':
-                await this._deleteRule(ruleId);
+                await this._deleteRule(ruleId, layer);
                 break;
             case 'edit':
-                const rule = rulesManager.getRule(ruleId);
-                if (rule) this._showModal(rule);
+                const rule = rulesManager.getRule(ruleId, layer);
+                if (rule) this._showModal(rule, layer);
                 break;
         }
     }
 
-    async _toggleRule(ruleId) {
-        const newState = await rulesManager.toggleRule(ruleId);
-        if (newState !== null) {
+    async _toggleRule(ruleId, layer) {
+        try {
+            const newState = await rulesManager.toggleRule(ruleId, layer);
+            if (newState !== null) {
+                rulesManager.renderRules();
+                ui.showStatus(`Rule ${newState ? 'enabled' : 'disabled'}`, 'success');
+            }
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Merge in rules saved on another device and show the result
+     */
+    async _reloadSyncedRules() {
+        await rulesManager.loadRules();
+        rulesManager.renderRules();
+        this._updateRuleSelection();
+        if (!$('#conflictModal')?.classList.contains('hidden')) {
+            ui.renderConflicts('conflictList', rulesManager.conflicts);
+        }
+    }
+
+    _showConflicts() {
+        ui.renderConflicts('conflictList', rulesManager.conflicts);
+        ui.toggleElement('conflictModal', true);
+    }
+
+    async _handleConflictAction(event) {
+        const button = event.target.closest('[data-conflict-action]');
+        const entry = button?.closest('[data-conflict-id]');
+        if (!entry) return;
+
+        try {
+            const useOther = button.dataset.conflictAction === 'use-other';
+            await rulesManager.resolveConflict(entry.dataset.conflictId, useOther, entry.dataset.layer);
             rulesManager.renderRules();
-            ui.showStatus(`Rule ${newState ? 'enabled' : 'disabled'}`, 'success');
+            ui.renderConflicts('conflictList', rulesManager.conflicts);
+            if (useOther) ui.showStatus('Rule version switched', 'success');
+            if (rulesManager.conflicts.length === 0) this._hideConflictModal();
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
         }
     }
 
-    async _deleteRule(ruleId) {
-        const rule = rulesManager.getRule(ruleId);
-        if (!confirm(`Delete rule "${rule?.name}"?`)) return;
+    _hideConflictModal() {
+        ui.toggleElement('conflictModal', false);
+    }
+
+    async _deleteRule(ruleId, layer) {
+        const rule = rulesManager.getRule(ruleId, layer);
+        const message = layer === 'global'
+            ? `Delete global rule "${rule?.name}"? It is removed from every account. To stop it for this account only, disable it instead.`
+            : `Delete rule "${rule?.name}"?`;
+        if (!confirm(message)) return;
+
+        try {
+            if (await rulesManager.deleteRule(ruleId, layer)) {
+                rulesManager.renderRules();
+                this._updateRuleSelection();
+                ui.showStatus('Rule deleted', 'success');
+            }
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * List the accounts with stored rules in the account bar
+     */
+    async _renderAccountSwitcher() {
+        const accounts = await storage.getRuleAccounts();
+        ui.renderAccountSwitcher(accounts, this._currentAccount, this._detectedAccount);
+    }
+
+    /**
+     * Show (and edit) another account's rules and schedule
+     * Runs still need the account signed in to the tab (see _isShowingTabAccount).
+     * @param {string} account - Account identifier
+     */
+    async _switchAccount(account) {
+        if (!account || account === this._currentAccount) return;
+
+        this._currentAccount = account;
+        await rulesManager.init(account);
+        rulesManager.renderRules();
+        ui.renderRuleSelection(0);
+
+        await scheduleManager.load(account);
+        scheduleManager.renderSummary();
+
+        ui.showStatus(account === this._detectedAccount ? `Showing the rules of ${account}` : `Showing the rules of ${account} (not the account open in Tuta)`, 'success');
+    }
+
+    /**
+     * Whether the rules shown belong to the account signed in to the tab, which runs act on
+     * @returns {boolean}
+     */
+    _isShowingTabAccount() {
+        if (this._currentAccount === this._detectedAccount) return true;
+        ui.showStatus(`Tuta is signed in to ${this._detectedAccount}: switch back to its rules to run them`, 'error');
+        return false;
+    }
+
+    _handleRuleSelect(event) {
+        const checkbox = event.target.closest('.rule-select');
+        const ruleItem = checkbox?.closest('.rule-item');
+        if (!ruleItem) return;
+
+        rulesManager.setSelected(ruleItem.dataset.ruleId, checkbox.checked);
+        this._updateRuleSelection();
+    }
+
+    _updateRuleSelection() {
+        ui.renderRuleSelection(rulesManager.getSelectedRules().length);
+    }
+
+    _clearRuleSelection() {
+        rulesManager.clearSelection();
+        rulesManager.renderRules();
+        this._updateRuleSelection();
+    }
+
+    /**
+     * Show the dialog for copying or moving the selected rules to another account
+     * @param {boolean} move - Remove the rules from this account afterwards
+     */
+    async _showTransferModal(move) {
+        const count = rulesManager.getSelectedRules().length;
+        if (count === 0) return;
+
+        this._transferMove = move;
+        const accounts = (await storage.getRuleAccounts()).filter(account => account !== this._currentAccount);
+        ui.setHtml('transferAccountList', accounts.map(account => `<option value="${escapeHtml(account)}"></option>`).join(''));
+        ui.setFieldValue('transferAccount', accounts.length === 1 ? accounts[0] : '');
+
+        const verb = move ? 'Move' : 'Copy';
+        ui.setText('transferTitle', `${verb} Rules`);
+        ui.setText('confirmTransfer', verb);
+        ui.setText('transferSummary', `${verb} ${count} rule${count !== 1 ? 's' : ''} from ${this._currentAccount}. Rules the other account already has (same conditions and actions) are updated instead of added twice.`);
+
+        await this._loadTransferFolders();
+        ui.toggleElement('transferModal', true);
+    }
+
+    /**
+     * Check the selected rules' target folders against the folders last seen in the target account
+     */
+    async _loadTransferFolders() {
+        const account = ui.getFieldValue('transferAccount');
+        const folders = account ? await storage.getAccountFolders(account) : null;
+        // The account may have been edited again while its folders loaded
+        if (ui.getFieldValue('transferAccount') !== account) return;
+
+        const rules = rulesManager.getSelectedRules();
+        ui.renderTransferFolders('transferFolders', {
+            account,
+            missing: folders ? findMissingFolders(rules, folders) : null,
+            folders: folders || [],
+            referenced: getTargetFolders(rules).length
+        });
+    }
+
+    _hideTransferModal() {
+        ui.toggleElement('transferModal', false);
+    }
 
-        if (await rulesManager.deleteRule(ruleId)) {
+    async _confirmTransfer() {
+        const account = ui.getFieldValue('transferAccount');
+        const move = this._transferMove;
+
+        if (!account) {
+            ui.showStatus(`Enter the account to ${move ? 'move' : 'copy'} the rules to`, 'error');
+            return;
+        }
+        if (account === this._currentAccount || account === GLOBAL_RULES_ACCOUNT) {
+            ui.showStatus('Pick another account (to share a rule with every account, make it global)', 'error');
+            return;
+        }
+
+        try {
+            const { added, updated, skipped } = await rulesManager.transferRules(account, {
+                move,
+                folderMap: ui.getTransferFolderMap('transferFolders')
+            });
             rulesManager.renderRules();
-            ui.showStatus('Rule deleted', 'success');
+            this._updateRuleSelection();
+            this._hideTransferModal();
+            await this._renderAccountSwitcher();
+            ui.showStatus(
+                `✓ ${move ? 'Moved' : 'Copied'} to ${account}: ${added} added, ${updated} updated${skipped ? `, ${skipped} already there` : ''}`,
+                'success'
+            );
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
         }
     }
 
+    /**
+     * Load run mode, full-folder limit and auto-run toggle from settings
+     */
+    async _loadRunOptions() {
+        this._settings = await storage.getSettings();
+        ui.setFieldValue('runMode', this._settings.runMode);
+        ui.setFieldValue('runLimit', this._settings.fullFolderLimit);
+        ui.setCheckboxValue('autoRunOnNewMail', this._settings.autoRunOnNewMail);
+        ui.setCheckboxValue('openMailForSender', this._settings.openMailForSender);
+        ui.toggleElement('runLimitGroup', this._settings.runMode !== 'visible');
+    }
+
+    /**
+     * Save run mode, full-folder limit and auto-run/sender lookup toggles to settings
+     */
+    async _saveRunOptions() {
+        const runMode = ui.getFieldValue('runMode');
+        const limit = parseInt(ui.getFieldValue('runLimit'), 10);
+
+        this._settings = {
+            ...this._settings,
+            runMode,
+            fullFolderLimit: limit > 0 ? limit : this._settings.fullFolderLimit,
+            autoRunOnNewMail: ui.getCheckboxValue('autoRunOnNewMail'),
+            openMailForSender: ui.getCheckboxValue('openMailForSender')
+        };
+        ui.setFieldValue('runLimit', this._settings.fullFolderLimit);
+        ui.toggleElement('runLimitGroup', runMode !== 'visible');
+
+        await storage.saveSettings(this._settings);
+    }
+
+    /**
+     * Get options sent with a run request
+     * @returns {Object} - { mode, limit }
+     */
+    _getRunOptions() {
+        return {
+            mode: this._settings.runMode,
+            limit: this._settings.fullFolderLimit
+        };
+    }
+
+    /**
+     * Show progress reported by the content script
+     */
+    _showRunProgress(progress) {
+        if (!progress) return;
+        ui.showStatus(
+            `Running... batch ${progress.batch}: ${progress.scanned}/${progress.limit} scanned, ${progress.processed} processed`,
+            'success'
+        );
+    }
+
     /**
      * Run rules
      */
     async _runRules() {
+        if (!this._isShowingTabAccount()) return;
         const enabledRules = rulesManager.getEnabledRules();
 
         if (enabledRules.length === 0) {
@@ -652,7 +981,8 @@ class PopupController {
         try {
             const response = await tabs.sendToTutaTab({
                 action: 'runRules',
-                rules: enabledRules
+                rules: enabledRules,
+                options: { ...this._getRunOptions(), trigger: 'popup' }
             });
 
             if (response?.success) {
@@ -665,6 +995,264 @@ class PopupController {
         }
     }
 
+    /**
+     * Show schedule editor for the current account
+     */
+    async _showScheduleModal() {
+        await scheduleManager.load(this._currentAccount);
+        const schedule = scheduleManager.schedule;
+
+        ui.setCheckboxValue('scheduleEnabled', schedule.enabled);
+        ui.setFieldValue('scheduleInterval', String(schedule.intervalMinutes));
+        ui.setCheckboxValue('scheduleWorkingHours', schedule.workingHoursOnly);
+        ui.setFieldValue('scheduleStart', schedule.startTime);
+        ui.setFieldValue('scheduleEnd', schedule.endTime);
+        ui.setCheckboxValue('scheduleWeekdays', schedule.weekdaysOnly);
+        ui.toggleElement('scheduleHoursGroup', schedule.workingHoursOnly);
+
+        scheduleManager.renderStatus();
+        ui.toggleElement('scheduleModal', true);
+    }
+
+    /**
+     * Hide schedule editor
+     */
+    _hideScheduleModal() {
+        ui.toggleElement('scheduleModal', false);
+    }
+
+    /**
+     * Save schedule
+     */
+    async _saveSchedule() {
+        const schedule = {
+            enabled: ui.getCheckboxValue('scheduleEnabled'),
+            intervalMinutes: Number(ui.getFieldValue('scheduleInterval')),
+            workingHoursOnly: ui.getCheckboxValue('scheduleWorkingHours'),
+            startTime: ui.getFieldValue('scheduleStart') || '09:00',
+            endTime: ui.getFieldValue('scheduleEnd') || '17:00',
+            weekdaysOnly: ui.getCheckboxValue('scheduleWeekdays')
+        };
+
+        // Hours ending before they start run overnight; equal times would never run
+        if (schedule.workingHoursOnly && schedule.startTime === schedule.endTime) {
+            ui.showStatus('Working hours must start and end at different times', 'error');
+            return;
+        }
+
+        try {
+            await scheduleManager.save(schedule);
+            scheduleManager.renderSummary();
+            this._hideScheduleModal();
+            ui.showStatus(schedule.enabled ? `Scheduled: ${scheduleManager.describe()}` : 'Schedule turned off', 'success');
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Show the run history for the current account
+     */
+    async _showHistoryModal() {
+        await historyManager.load(this._currentAccount);
+
+        const ruleSelect = $('#historyRule');
+        if (ruleSelect) {
+            const selected = ruleSelect.value;
+            ruleSelect.innerHTML = '<option value="">All rules</option>';
+            const rules = historyManager.getRules();
+            rules.forEach(({ key, name }) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = name;
+                ruleSelect.appendChild(option);
+            });
+            ruleSelect.value = rules.some(({ key }) => key === selected) ? selected : '';
+        }
+
+        this._renderHistory();
+        ui.toggleElement('historyModal', true);
+    }
+
+    _hideHistoryModal() {
+        ui.toggleElement('historyModal', false);
+    }
+
+    /**
+     * Show the snapshots kept of the current account's rules
+     */
+    async _showRevisionsModal() {
+        ui.setFieldValue('revisionsLayer', 'account');
+        await this._loadRevisions();
+        ui.toggleElement('revisionsModal', true);
+    }
+
+    /**
+     * Load the snapshots of the layer picked in the Revisions modal
+     */
+    async _loadRevisions() {
+        const layer = ui.getFieldValue('revisionsLayer');
+        await revisionsManager.load(layer === 'global' ? GLOBAL_RULES_ACCOUNT : this._currentAccount);
+        revisionsManager.render('revisionsList');
+    }
+
+    _hideRevisionsModal() {
+        ui.toggleElement('revisionsModal', false);
+    }
+
+    async _handleRevisionRestore(event) {
+        const button = event.target.closest('[data-revision-id]');
+        const revision = button && revisionsManager.getRevision(button.dataset.revisionId);
+        if (!revision) return;
+
+        const when = new Date(revision.at).toLocaleString();
+        if (!confirm(`Restore the ${revision.rules.length} rules saved on ${when}? Current rules not in that revision are removed.`)) return;
+
+        try {
+            await rulesManager.restoreRevision(revision, ui.getFieldValue('revisionsLayer'));
+            rulesManager.renderRules();
+            await this._loadRevisions();
+            ui.showStatus(`Restored rules from ${when}`, 'success');
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
+        }
+    }
+
+    _getHistoryFilters() {
+        return {
+            rule: ui.getFieldValue('historyRule'),
+            from: ui.getFieldValue('historyFrom'),
+            to: ui.getFieldValue('historyTo')
+        };
+    }
+
+    _renderHistory() {
+        const entries = historyManager.filter(this._getHistoryFilters());
+        const total = historyManager.entries.length;
+
+        ui.setText('historySummary', `Showing ${entries.length} of ${total} run${total !== 1 ? 's' : ''}`);
+        historyManager.render('historyList', entries);
+    }
+
+    /**
+     * Export the filtered history
+     * @param {string} format - 'json' or 'csv'
+     */
+    _exportHistory(format) {
+        const entries = historyManager.filter(this._getHistoryFilters());
+
+        if (entries.length === 0) {
+            ui.showStatus('No runs to export', 'error');
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        if (format === 'csv') {
+            downloadFile(`tutorg-history-${date}.csv`, historyManager.toCsv(entries), 'text/csv');
+        } else {
+            downloadFile(`tutorg-history-${date}.json`, historyManager.toJson(entries));
+        }
+
+        ui.showStatus(`Exported ${entries.length} run${entries.length !== 1 ? 's' : ''}`, 'success');
+    }
+
+    async _clearHistory() {
+        if (!confirm('Clear the run history for this account?')) return;
+
+        await historyManager.clear();
+        this._renderHistory();
+        ui.showStatus('History cleared', 'success');
+    }
+
+    /**
+     * Enable Undo when the last run belongs to the account signed in to the tab
+     */
+    async _refreshUndoState() {
+        const lastRun = await storage.getLastRun();
+        const canUndo = !!lastRun?.entries?.length && lastRun.account === this._detectedAccount;
+
+        ui.setButtonEnabled('undoRun', canUndo);
+    }
+
+    /**
+     * Undo the last run in the Tuta tab (moves emails back, reverts read/unread)
+     */
+    async _undoLastRun() {
+        ui.showStatus('Undoing...', 'success');
+        ui.setButtonEnabled('undoRun', false);
+
+        try {
+            const response = await tabs.sendToTutaTab({ action: 'undoLastRun' });
+
+            if (response?.success) {
+                ui.showStatus(`✓ ${response.message}`, 'success');
+            } else {
+                ui.showStatus(response?.message || 'Undo failed', 'error');
+            }
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
+        }
+
+        await this._refreshUndoState();
+    }
+
+    /**
+     * Preview enabled rules on the visible emails (no selection, no actions)
+     */
+    async _previewRules() {
+        if (!this._isShowingTabAccount()) return;
+        const enabledRules = rulesManager.getEnabledRules();
+
+        if (enabledRules.length === 0) {
+            ui.showStatus('No enabled rules', 'error');
+            return;
+        }
+
+        ui.showStatus('Previewing...', 'success');
+
+        try {
+            const response = await tabs.sendToTutaTab({
+                action: 'runRules',
+                rules: enabledRules,
+                options: { preview: true }
+            });
+
+            if (!response?.success) {
+                ui.showStatus(response?.message || 'Preview failed', 'error');
+                return;
+            }
+
+            ui.setText('previewSummary', `${response.message}. Matching rows are outlined in Tuta.`);
+            ui.renderPreview('previewResults', response.results);
+            ui.setButtonEnabled('confirmRun', response.results.some(r => r.count > 0));
+            ui.toggleElement('previewModal', true);
+            ui.showStatus(response.message, 'success');
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Run for real after reviewing a preview
+     */
+    async _confirmPreviewRun() {
+        this._hidePreviewModal();
+        await this._runRules();
+    }
+
+    /**
+     * Remove preview highlights from the Tuta tab
+     */
+    async _clearPreview() {
+        await tabs.sendToTutaTab({ action: 'clearPreview' });
+        this._hidePreviewModal();
+        ui.showStatus('Preview cleared', 'success');
+    }
+
+    _hidePreviewModal() {
+        ui.toggleElement('previewModal', false);
+    }
+
     async _refreshPage() {
         const success = await tabs.reloadTutaTab();
         ui.showStatus(success ? 'Page refreshed' : 'No Tuta tab found', success ? 'success' : 'error');
@@ -693,23 +1281,66 @@ class PopupController {
 
         const exportData = {
             version: this._extensionVersion,
+            schemaVersion: RULES_SCHEMA_VERSION,
             exportedAt: new Date().toISOString(),
             account: this._currentAccount,
             rules
         };
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `tutorg-rules-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        downloadFile(
+            `tutorg-rules-${new Date().toISOString().split('T')[0]}.json`,
+            JSON.stringify(exportData, null, 2)
+        );
 
         ui.showStatus(`Exported ${rules.length} rules`, 'success');
     }
 
+    /**
+     * Export rules as a Sieve script; rules Sieve can't express are listed in a report
+     */
+    _exportSieve() {
+        const rules = rulesManager.getAllRules();
+
+        if (rules.length === 0) {
+            ui.showStatus('No rules to export', 'error');
+            return;
+        }
+
+        const { script, exported, report } = exportSieve(rules);
+
+        if (exported > 0) {
+            downloadFile(
+                `tutorg-rules-${new Date().toISOString().split('T')[0]}.sieve`,
+                script,
+                'application/sieve'
+            );
+            ui.showStatus(`Exported ${exported} of ${rules.length} rules to Sieve`, 'success');
+        } else {
+            ui.showStatus('No rules could be exported to Sieve', 'error');
+        }
+
+        if (report.length) {
+            this._showReport('Sieve Export', 'Some rules were changed or left out:', report);
+        }
+    }
+
+    /**
+     * Show a list of import/export issues
+     * @param {string} title - Modal title
+     * @param {string} summary - Line shown above the list
+     * @param {Array<string>} items - Issues
+     */
+    _showReport(title, summary, items) {
+        ui.setText('reportTitle', title);
+        ui.setText('reportSummary', summary);
+        ui.setHtml('reportList', items.map(item => `<li>${escapeHtml(item)}</li>`).join(''));
+        ui.toggleElement('reportModal', true);
+    }
+
+    _hideReportModal() {
+        ui.toggleElement('reportModal', false);
+    }
+
     _triggerImport() {
         const input = $('#importFileInput');
         if (input) {
@@ -723,49 +1354,215 @@ class PopupController {
         if (!file) return;
 
         try {
-            const data = JSON.parse(await file.text());
+            const text = await file.text();
+            if (/\.(sieve|siv)$/i.test(file.name)) {
+                await this._importSieve(text);
+                return;
+            }
 
-            if (!data.rules?.length) {
-                ui.showStatus('No rules found in file', 'error');
+            const format = detectFilterFormat(file.name, text);
+            if (format) {
+                this._previewFilterImport(format, text);
                 return;
             }
 
-            // Validate rules - check for new array format
-            const validRules = data.rules.filter(r => {
-                if (!r.name || !r.matchType || !r.action) return false;
-                
-                if (r.matchType === 'sender-and-subject') {
-                    // Complex rule: needs both senderValues and subjectValues arrays
-                    return r.senderValues?.length > 0 && r.subjectValues?.length > 0;
-                } else {
-                    // Simple rule: needs matchValues array
-                    return r.matchValues?.length > 0;
-                }
-            });
+            // Exports (any schema version) and bare legacy rule arrays
+            const ruleSet = readRuleSet(JSON.parse(text));
 
-            if (validRules.length === 0) {
-                ui.showStatus('No valid rules in file', 'error');
+            if (!ruleSet?.rules.length) {
+                ui.showStatus('No rules found in file', 'error');
                 return;
             }
 
-            const existingCount = rulesManager.getAllRules().length;
-            let mode = 'merge';
-            
-            if (existingCount > 0) {
-                mode = confirm(
-                    `Import ${validRules.length} rules?\n\n` +
-                    `OK = Replace existing\nCancel = Merge`
-                ) ? 'replace' : 'merge';
-            }
+            // Upgrade through the schema migrations; the import check validates each rule
+            await this._showImportCheck(migrateRules(ruleSet.rules, ruleSet.schemaVersion));
 
-            const imported = await rulesManager.importRules(validRules, mode);
-            rulesManager.renderRules();
-            ui.showStatus(`Imported ${imported} rules`, 'success');
+        } catch (error) {
+            ui.showStatus('Error: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Import rules converted from a Sieve script and report what couldn't be converted
+     * @param {string} text - Sieve script
+     */
+    async _importSieve(text) {
+        const { rules, report } = importSieve(text);
 
+        if (rules.length === 0) {
+            ui.showStatus('No rules could be imported from the Sieve script', 'error');
+            if (report.length) this._showReport('Sieve Import', 'Nothing was imported:', report);
+            return;
+        }
+
+        await this._showImportCheck(rules, { title: 'Sieve Import', notes: report });
+    }
+
+    /**
+     * Show how each Gmail/Thunderbird filter maps onto a rule before importing
+     * @param {string} format - Key from FILTER_FORMATS
+     * @param {string} text - File contents
+     */
+    _previewFilterImport(format, text) {
+        const filters = importMailFilters(format, text);
+
+        if (filters.length === 0) {
+            ui.showStatus(`No filters found in the ${FILTER_FORMATS[format]} file`, 'error');
+            return;
+        }
+
+        const importable = filters.filter(filter => filter.rule).length;
+        this._pendingFilters = filters;
+
+        ui.setText('filterImportTitle', `Import from ${FILTER_FORMATS[format]}`);
+        ui.setText('filterImportSummary', `${importable} of ${filters.length} filters can be imported. Untick any you don't want.`);
+        ui.renderFilterMappings('filterImportList', filters);
+        ui.setButtonEnabled('confirmFilterImport', importable > 0);
+        ui.toggleElement('filterImportModal', true);
+    }
+
+    /**
+     * Import the filters ticked in the preview
+     */
+    async _confirmFilterImport() {
+        const rules = [...document.querySelectorAll('#filterImportList [data-filter-index]:checked')]
+            .map(input => this._pendingFilters?.[Number(input.dataset.filterIndex)]?.rule)
+            .filter(Boolean);
+
+        this._hideFilterImportModal();
+
+        if (rules.length === 0) {
+            ui.showStatus('No filters selected', 'error');
+            return;
+        }
+
+        await this._showImportCheck(rules);
+    }
+
+    _hideFilterImportModal() {
+        ui.toggleElement('filterImportModal', false);
+        this._pendingFilters = null;
+    }
+
+    /**
+     * Check incoming rules and show the import dry run
+     * Nothing is saved until the import is confirmed
+     * @param {Array} rules - Incoming rules (migrated)
+     * @param {Object} options - { title, notes: messages from converting the file }
+     */
+    async _showImportCheck(rules, { title = 'Import Rules', notes = [] } = {}) {
+        // Folder names let the check flag rules that use folders this account doesn't have
+        if (this._folderNames.length === 0) await this._loadSourceFolders();
+
+        const existingRules = rulesManager.getAllRules();
+        const entries = checkImport(rules, { existingRules, folders: this._folderNames });
+
+        this._importCheck = {
+            entries,
+            // Importable rules start ticked, except duplicates
+            selected: new Set(entries
+                .filter(entry => entry.status !== 'rejected' && !entry.duplicateOf)
+                .map(entry => entry.index))
+        };
+
+        ui.setText('importTitle', title);
+        ui.setHtml('importNotes', notes.map(note => `<li>${escapeHtml(note)}</li>`).join(''));
+        ui.toggleElement('importNotes', notes.length > 0);
+        ui.toggleElement('importModeOptions', existingRules.length > 0);
+        $('#importModeMerge').checked = true;
+        $('#importApplyFixes').checked = true;
+
+        this._renderImportCheck();
+        ui.toggleElement('importModal', true);
+    }
+
+    _getImportOptions() {
+        return {
+            mode: $('input[name="importMode"]:checked')?.value || 'merge',
+            applyFixes: !!$('#importApplyFixes')?.checked
+        };
+    }
+
+    /**
+     * Get the ticked rules that can be imported with the current options
+     * @param {boolean} applyFixes - Whether suggested fixes are applied
+     * @returns {Array} - Rules
+     */
+    _getImportSelection(applyFixes) {
+        const { entries, selected } = this._importCheck;
+        return entries
+            .filter(entry => selected.has(entry.index))
+            .map(entry => getImportRule(entry, applyFixes))
+            .filter(Boolean);
+    }
+
+    _renderImportCheck() {
+        const { entries, selected } = this._importCheck;
+        const { applyFixes } = this._getImportOptions();
+        const count = (status) => entries.filter(entry => entry.status === status).length;
+        const duplicates = entries.filter(entry => entry.duplicateOf).length;
+
+        ui.setText('importSummary',
+            `${entries.length} rules in file: ${count('accepted')} accepted, ${count('fixable')} need fixes, ` +
+            `${count('rejected')} rejected${duplicates ? `, ${duplicates} duplicates` : ''}.`);
+        ui.renderImportCheck('importEntries', entries, { selected, applyFixes });
+        this._renderImportDiff();
+    }
+
+    /**
+     * Update the dry-run diff and the import button for the current selection and options
+     */
+    _renderImportDiff() {
+        const { mode, applyFixes } = this._getImportOptions();
+        const rules = this._getImportSelection(applyFixes);
+
+        ui.renderImportDiff('importDiff', diffImport(rules, rulesManager.getAllRules(), mode), mode);
+        ui.setText('confirmImport', `Import ${rules.length} ${rules.length === 1 ? 'Rule' : 'Rules'}`);
+        ui.setButtonEnabled('confirmImport', rules.length > 0);
+    }
+
+    _handleImportChange(event) {
+        if (!this._importCheck) return;
+
+        const index = event.target.dataset.importIndex;
+        if (index !== undefined) {
+            const { selected } = this._importCheck;
+            if (event.target.checked) selected.add(Number(index));
+            else selected.delete(Number(index));
+        } else if (event.target.id === 'importApplyFixes') {
+            // Fixable rules become (un)available
+            this._renderImportCheck();
+            return;
+        }
+        this._renderImportDiff();
+    }
+
+    /**
+     * Import the ticked rules with the chosen mode
+     */
+    async _confirmImport() {
+        if (!this._importCheck) return;
+
+        const { mode, applyFixes } = this._getImportOptions();
+        const rules = this._getImportSelection(applyFixes);
+        this._hideImportModal();
+        if (rules.length === 0) return;
+
+        try {
+            const { added, updated, skipped } = await rulesManager.importRules(rules, mode);
+            rulesManager.renderRules();
+            ui.showStatus(mode === 'replace'
+                ? `Replaced rules with ${added} imported rules`
+                : `Import: ${added} added, ${updated} updated, ${skipped} skipped`, 'success');
         } catch (error) {
             ui.showStatus('Error: ' + error.message, 'error');
         }
     }
+
+    _hideImportModal() {
+        ui.toggleElement('importModal', false);
+        this._importCheck = null;
+    }
 }
 
 // Initialize
@@ -0,0 +1,95 @@
+/**
+ * TutOrg - Rule Revisions
+ * Lists the snapshots kept of an account's rules (or the global rules), with what each save changed
+ */
+
+import { escapeHtml } from '../lib/utils.js';
+import { storage } from '../lib/storage.js';
+import { diffRuleSets } from '../lib/revisions.js';
+
+/**
+ * Revisions Manager for the snapshots of one rule set
+ */
+class RevisionsManager {
+    constructor() {
+        this.account = 'default';
+        this.revisions = [];
+    }
+
+    /**
+     * Load the account's snapshots, newest first
+     * @param {string} account - Account identifier
+     */
+    async load(account = 'default') {
+        this.account = account;
+        this.revisions = (await storage.getRevisions(account)).reverse();
+    }
+
+    /**
+     * Get a loaded snapshot
+     * @param {string} id - Snapshot ID
+     * @returns {Object|undefined}
+     */
+    getRevision(id) {
+        return this.revisions.find(revision => revision.id === id);
+    }
+
+    /**
+     * Render the snapshots into a container
+     * @param {string} containerId - Container element ID
+     */
+    render(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (this.revisions.length === 0) {
+            container.innerHTML = '<div class="history-empty">No revisions yet. One is kept every time the rules are saved.</div>';
+            return;
+        }
+
+        container.innerHTML = this.revisions.map((revision, index) => this._renderRevision(revision, index)).join('');
+    }
+
+    _renderRevision(revision, index) {
+        // Snapshots are newest first, so the one it changed is the next in the list
+        const previous = this.revisions[index + 1];
+        const count = `${revision.rules.length} rule${revision.rules.length !== 1 ? 's' : ''}`;
+        const restore = index === 0
+            ? '<span class="revision-latest">Latest</span>'
+            : `<button class="btn btn-small btn-secondary" data-revision-id="${escapeHtml(revision.id)}">Restore</button>`;
+
+        return `
+            <div class="history-entry revision-entry">
+                <div class="history-entry-header">
+                    <span class="history-time">${escapeHtml(new Date(revision.at).toLocaleString())}</span>
+                    <span>${count}</span>
+                </div>
+                <div class="revision-row">
+                    <div class="history-message">${escapeHtml(revision.description)}</div>
+                    ${restore}
+                </div>
+                ${previous ? this._renderDiff(diffRuleSets(previous.rules, revision.rules)) : ''}
+            </div>
+        `;
+    }
+
+    _renderDiff(diff) {
+        const rows = [
+            ...diff.added.map(name => `<li class="import-diff-added">+ ${escapeHtml(name)}</li>`),
+            ...diff.edited.map(change => `<li>~ ${escapeHtml(change.name)}: ${escapeHtml(change.fields.join(', '))}</li>`),
+            ...diff.toggled.map(change => `<li>${change.enabled ? 'Enabled' : 'Disabled'} ${escapeHtml(change.name)}</li>`),
+            ...diff.deleted.map(name => `<li class="import-diff-removed">− ${escapeHtml(name)}</li>`)
+        ];
+        if (rows.length === 0) return '';
+
+        return `
+            <details class="history-rule">
+                <summary>Changes</summary>
+                <ul class="revision-diff">${rows.join('')}</ul>
+            </details>
+        `;
+    }
+}
+
+// Export singleton instance
+export const revisionsManager = new RevisionsManager();
@@ -4,17 +4,28 @@
  */
 
 import { storage } from '../lib/storage.js';
-import { logger, escapeHtml } from '../lib/utils.js';
+import { logger, escapeHtml, generateId } from '../lib/utils.js';
+import { getRulePriority, sortRulesByPriority } from '../lib/priority.js';
+import { planMerge } from '../lib/import-check.js';
+import { getEffectiveRules, isGlobalRuleActive } from '../lib/rule-layers.js';
+import { planTransfer } from '../lib/rule-transfer.js';
+import { GLOBAL_RULES_ACCOUNT, RULE_LAYERS } from '../lib/constants.js';
 import { ui } from './ui.js';
 
 /**
  * Rules Manager for handling rule operations
+ * Keeps the account's own rules and the global rules ('account' and 'global' layer)
  */
 class RulesManager {
     constructor() {
         this.rules = [];
+        this.globalRules = [];
+        this.disabledGlobal = new Set();
+        this.conflicts = [];
         this.currentAccount = 'default';
         this.editingRuleId = null;
+        this.editingLayer = 'account';
+        this.selectedIds = new Set();
     }
 
     /**
@@ -23,6 +34,7 @@ class RulesManager {
      */
     async init(account = 'default') {
         this.currentAccount = account;
+        this.selectedIds.clear();
         await this.loadRules();
     }
 
@@ -30,83 +42,191 @@ class RulesManager {
      * Load rules from storage
      */
     async loadRules() {
-        this.rules = await storage.getRules(this.currentAccount);
-        logger.log('Loaded', this.rules.length, 'rules');
+        const layers = await storage.getRuleLayers(this.currentAccount);
+        this.globalRules = layers.globalRules;
+        this.rules = layers.rules;
+        this.disabledGlobal = layers.disabledGlobal;
+        ui.renderSyncWarning(await storage.getSyncStatus(this.currentAccount) ||
+            await storage.getSyncStatus(GLOBAL_RULES_ACCOUNT));
+        await this.loadConflicts();
+        logger.log('Loaded', this.rules.length, 'account rules and', this.globalRules.length, 'global rules');
     }
 
     /**
-     * Save rules to storage
+     * Load the rules changed on this device and another one since they last synced
      */
-    async saveRules() {
-        await storage.saveRules(this.rules, this.currentAccount);
+    async loadConflicts() {
+        const own = await storage.getConflicts(this.currentAccount);
+        const global = await storage.getConflicts(GLOBAL_RULES_ACCOUNT);
+        this.conflicts = [
+            ...own.map(conflict => ({ ...conflict, layer: 'account' })),
+            ...global.map(conflict => ({ ...conflict, layer: 'global' }))
+        ];
+        ui.renderConflictNotice(this.conflicts.length);
+    }
+
+    /**
+     * Get the account a layer's rules are stored under
+     * @param {string} layer - 'account' or 'global'
+     * @returns {string}
+     */
+    _getLayerAccount(layer) {
+        return layer === 'global' ? GLOBAL_RULES_ACCOUNT : this.currentAccount;
+    }
+
+    /**
+     * Get a layer's rules
+     * @param {string} layer - 'account' or 'global'
+     * @returns {Array}
+     */
+    getLayerRules(layer = 'account') {
+        return layer === 'global' ? this.globalRules : this.rules;
+    }
+
+    _setLayerRules(layer, rules) {
+        if (layer === 'global') this.globalRules = rules;
+        else this.rules = rules;
+    }
+
+    /**
+     * Save a layer's rules to storage
+     * Picks up the saved list, which includes changes synced from other devices. Saving the
+     * account layer also saves which global rules it switches off.
+     * @param {string|null} description - Revision description (described from the changes if null)
+     * @param {string} layer - 'account' or 'global'
+     * @throws {Error} - If the rules couldn't be saved at all
+     */
+    async saveRules(description = null, layer = 'account') {
+        const options = layer === 'global'
+            ? { description }
+            : { description, disabledGlobal: [...this.disabledGlobal] };
+        const result = await storage.saveRules(this.getLayerRules(layer), this._getLayerAccount(layer), options);
+        if (!result.success) {
+            throw new Error(`Could not save rules: ${result.error}`);
+        }
+        this._setLayerRules(layer, result.rules);
+        ui.renderSyncWarning(result.localOnly ? { error: result.error } : null);
+        await this.loadConflicts();
+    }
+
+    /**
+     * Settle a sync conflict
+     * @param {string} id - Rule ID
+     * @param {boolean} useOther - Switch to the version that was overridden (a null version deletes the rule)
+     * @param {string} layer - Layer the conflict is in
+     */
+    async resolveConflict(id, useOther, layer = 'account') {
+        const conflict = this.conflicts.find(c => c.id === id && c.layer === layer);
+        if (!conflict) return;
+
+        if (useOther) {
+            const rules = this.getLayerRules(layer).filter(r => r.id !== id);
+            if (conflict.other) {
+                rules.push({ ...conflict.other, updatedAt: Date.now() });
+            }
+            this._setLayerRules(layer, rules);
+            await this.saveRules(null, layer);
+        }
+
+        await storage.removeConflict(this._getLayerAccount(layer), id);
+        await this.loadConflicts();
+        logger.log('Resolved conflict for rule:', conflict.name, useOther ? '(switched version)' : '(kept)');
+    }
+
+    /**
+     * Get the rules that apply to the account, global ones included
+     * @returns {Array} - Effective rules (see rule-layers.js)
+     */
+    getEffectiveRules() {
+        return getEffectiveRules(this.globalRules, this.rules, this.disabledGlobal);
     }
 
     /**
      * Get enabled rules
-     * @returns {Array} - Array of enabled rules
+     * @returns {Array} - Array of enabled rules, global ones included
      */
     getEnabledRules() {
-        return this.rules.filter(r => r.enabled);
+        return this.getEffectiveRules().filter(r => r.enabled);
     }
 
     /**
      * Get rule by ID
      * @param {string} id - Rule ID
+     * @param {string} layer - 'account' or 'global'
      * @returns {Object|undefined} - Rule object
      */
-    getRule(id) {
-        return this.rules.find(r => r.id === id);
+    getRule(id, layer = 'account') {
+        return this.getLayerRules(layer).find(r => r.id === id);
     }
 
     /**
      * Add a new rule
      * @param {Object} ruleData - Rule data
+     * @param {string} layer - 'account', or 'global' to apply it to every account
      * @returns {Object} - Created rule
      */
-    async addRule(ruleData) {
-        const newRule = storage.createRule(ruleData, this.currentAccount);
-        this.rules.push(newRule);
-        await this.saveRules();
-        logger.log('Added new rule:', newRule.name);
+    async addRule(ruleData, layer = 'account') {
+        const newRule = storage.createRule(ruleData, this._getLayerAccount(layer));
+        this.getLayerRules(layer).push(newRule);
+        await this.saveRules(null, layer);
+        logger.log('Added new', layer, 'rule:', newRule.name);
         return newRule;
     }
 
     /**
      * Update an existing rule
+     * Passing another target layer moves the rule there (e.g. makes an account rule global).
      * @param {string} id - Rule ID
      * @param {Object} ruleData - Updated rule data
+     * @param {string} layer - Layer the rule is in
+     * @param {string} targetLayer - Layer the rule ends up in
      * @returns {boolean} - Success status
      */
-    async updateRule(id, ruleData) {
-        const index = this.rules.findIndex(r => r.id === id);
+    async updateRule(id, ruleData, layer = 'account', targetLayer = layer) {
+        const rules = this.getLayerRules(layer);
+        const index = rules.findIndex(r => r.id === id);
         if (index === -1) {
             logger.error('Rule not found:', id);
             return false;
         }
 
-        this.rules[index] = {
-            ...this.rules[index],
+        const updated = {
+            ...rules[index],
             ...ruleData,
             updatedAt: Date.now()
         };
 
-        await this.saveRules();
-        logger.log('Updated rule:', this.rules[index].name);
+        if (targetLayer === layer) {
+            rules[index] = updated;
+            await this.saveRules(null, layer);
+        } else {
+            // Saved to the new layer first, so a failed save can't lose the rule
+            this.getLayerRules(targetLayer).push({ ...updated, account: this._getLayerAccount(targetLayer) });
+            await this.saveRules(`Moved rule "${updated.name}" here from ${RULE_LAYERS[layer].toLowerCase()}`, targetLayer);
+            this._setLayerRules(layer, rules.filter(r => r.id !== id));
+            this.disabledGlobal.delete(id);
+            await this.saveRules(`Moved rule "${updated.name}" to ${RULE_LAYERS[targetLayer].toLowerCase()}`, layer);
+        }
+
+        logger.log('Updated rule:', updated.name);
         return true;
     }
 
     /**
      * Delete a rule
+     * A global rule is deleted for every account.
      * @param {string} id - Rule ID
+     * @param {string} layer - 'account' or 'global'
      * @returns {boolean} - Success status
      */
-    async deleteRule(id) {
-        const originalLength = this.rules.length;
-        this.rules = this.rules.filter(r => r.id !== id);
-        
-        if (this.rules.length < originalLength) {
-            await this.saveRules();
-            logger.log('Deleted rule:', id);
+    async deleteRule(id, layer = 'account') {
+        const rules = this.getLayerRules(layer);
+        const remaining = rules.filter(r => r.id !== id);
+
+        if (remaining.length < rules.length) {
+            this._setLayerRules(layer, remaining);
+            await this.saveRules(null, layer);
+            logger.log('Deleted', layer, 'rule:', id);
             return true;
         }
         return false;
@@ -114,28 +234,119 @@ class RulesManager {
 
     /**
      * Toggle rule enabled state
+     * A global rule is switched on or off for this account only, unless it is disabled for
+     * every account: then enabling it enables it everywhere.
      * @param {string} id - Rule ID
+     * @param {string} layer - 'account' or 'global'
      * @returns {boolean|null} - New enabled state or null if failed
      */
-    async toggleRule(id) {
-        const rule = this.getRule(id);
+    async toggleRule(id, layer = 'account') {
+        const rule = this.getRule(id, layer);
         if (!rule) return null;
 
+        if (layer === 'global') {
+            if (!rule.enabled) {
+                rule.enabled = true;
+                await this.saveRules(null, 'global');
+                // Nothing left to save unless this account had switched it off as well
+                if (!this.disabledGlobal.delete(id)) return true;
+            } else if (this.disabledGlobal.has(id)) {
+                this.disabledGlobal.delete(id);
+            } else {
+                this.disabledGlobal.add(id);
+            }
+            await this.saveRules(null, 'account');
+            const enabled = isGlobalRuleActive(rule, this.disabledGlobal);
+            logger.log('Toggled global rule for', this.currentAccount, ':', rule.name, 'enabled:', enabled);
+            return enabled;
+        }
+
         rule.enabled = !rule.enabled;
         await this.saveRules();
         logger.log('Toggled rule:', rule.name, 'enabled:', rule.enabled);
         return rule.enabled;
     }
 
+    /**
+     * Select or unselect one of the account's own rules for copying or moving
+     * @param {string} id - Rule ID
+     * @param {boolean} selected - Whether it is selected
+     */
+    setSelected(id, selected) {
+        if (selected) this.selectedIds.add(id);
+        else this.selectedIds.delete(id);
+    }
+
+    /**
+     * Get the selected rules that still exist
+     * @returns {Array} - Rules, in list order
+     */
+    getSelectedRules() {
+        return this.rules.filter(r => this.selectedIds.has(r.id));
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+    }
+
+    /**
+     * Copy or move the selected rules to another account
+     * Rules the account already has (same conditions and actions) are updated instead of
+     * added twice. A move saves the other account first, so a failed save can't lose rules.
+     * @param {string} account - Target account
+     * @param {Object} options - { move: remove them here afterwards, folderMap: { [folder]: replacement } }
+     * @returns {Promise<Object>} - { added, updated, skipped } rule counts
+     */
+    async transferRules(account, { move = false, folderMap = {} } = {}) {
+        const rules = this.getSelectedRules();
+        const targetRules = await storage.getRules(account);
+        const plan = planTransfer(rules, targetRules, folderMap);
+        const added = new Set(plan.added);
+        const counts = { added: plan.added.length, updated: plan.updated.length, skipped: plan.skipped.length };
+        const verb = move ? 'Moved' : 'Copied';
+
+        const result = await storage.saveRules(
+            plan.rules.map(rule => (added.has(rule) ? storage.createRule(rule, account) : rule)),
+            account,
+            { description: `${verb} ${rules.length} rule${rules.length !== 1 ? 's' : ''} from ${this.currentAccount}: ${counts.added} added, ${counts.updated} updated` }
+        );
+        if (!result.success) {
+            throw new Error(`Could not save rules: ${result.error}`);
+        }
+
+        if (move) {
+            const ids = new Set(rules.map(rule => rule.id));
+            this.rules = this.rules.filter(r => !ids.has(r.id));
+            await this.saveRules(`Moved ${rules.length} rule${rules.length !== 1 ? 's' : ''} to ${account}`);
+        }
+
+        this.clearSelection();
+        logger.log(verb, rules.length, 'rules to', account, counts);
+        return counts;
+    }
+
+    /**
+     * Restore a layer's rules as they were in a snapshot
+     * The restore is saved (and snapshotted) like any other change, so it can be undone too.
+     * @param {Object} revision - Snapshot from storage.getRevisions
+     * @param {string} layer - Layer the snapshot was taken of
+     */
+    async restoreRevision(revision, layer = 'account') {
+        this._setLayerRules(layer, revision.rules.map(rule => ({ ...rule })));
+        await this.saveRules(`Restored the rules from ${new Date(revision.at).toLocaleString()}`, layer);
+        logger.log('Restored', layer, 'rules from revision:', revision.id);
+    }
+
     /**
      * Render rules list
+     * Lists the global rules and the account's own rules together, in evaluation order.
      * @param {string} containerId - Container element ID
      */
     renderRules(containerId = 'rulesList') {
         const container = document.getElementById(containerId);
         if (!container) return;
 
-        if (this.rules.length === 0) {
+        if (this.rules.length === 0 && this.globalRules.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
                     <div class="empty-state-icon">📭</div>
@@ -145,29 +356,48 @@ class RulesManager {
             return;
         }
 
-        container.innerHTML = this.rules.map(rule => this._renderRuleItem(rule)).join('');
-        logger.log('Rendered', this.rules.length, 'rules');
+        const layers = new Map([
+            ...this.globalRules.map(rule => [rule, 'global']),
+            ...this.rules.map(rule => [rule, 'account'])
+        ]);
+        container.innerHTML = sortRulesByPriority([...layers.keys()])
+            .map(rule => this._renderRuleItem(rule, layers.get(rule)))
+            .join('');
+        logger.log('Rendered', layers.size, 'rules');
     }
 
     /**
      * Render a single rule item
      * @param {Object} rule - Rule object
+     * @param {string} layer - 'account' or 'global'
      * @returns {string} - HTML string
      */
-    _renderRuleItem(rule) {
-        const disabledClass = rule.enabled ? '' : 'disabled';
-        const toggleBtnClass = rule.enabled ? 'btn-secondary' : 'btn-primary';
-        const toggleBtnText = rule.enabled ? 'Disable' : 'Enable';
+    _renderRuleItem(rule, layer = 'account') {
+        // Global rules already apply to every account, so only the account's own are selectable
+        const select = layer === 'account'
+            ? `<input type="checkbox" class="rule-select" aria-label="Select rule"${this.selectedIds.has(rule.id) ? ' checked' : ''}>`
+            : '';
+        const enabled = layer === 'global' ? isGlobalRuleActive(rule, this.disabledGlobal) : rule.enabled;
+        const disabledClass = enabled ? '' : 'disabled';
+        const toggleBtnClass = enabled ? 'btn-secondary' : 'btn-primary';
+        const toggleBtnText = enabled ? 'Disable' : 'Enable';
+        const toggleTitle = layer !== 'global' ? ''
+            : !rule.enabled ? 'Disabled for all accounts: enabling it enables it everywhere'
+            : enabled ? 'Disable for this account only' : 'Enable for this account again';
+        const layerTitle = layer === 'global' ? 'Global rule: applies to every account' : 'Applies to this account only';
 
         return `
-            <div class="rule-item ${disabledClass}" data-rule-id="${escapeHtml(rule.id)}">
+            <div class="rule-item ${disabledClass}" data-rule-id="${escapeHtml(rule.id)}" data-layer="${layer}">
                 <div class="rule-header">
+                    ${select}
+                    <span class="rule-priority" title="Priority (lower runs first)">#${getRulePriority(rule)}</span>
                     <div class="rule-name">${escapeHtml(rule.name)}</div>
+                    <span class="rule-layer rule-layer-${layer}" title="${layerTitle}">${RULE_LAYERS[layer]}</span>
                     <div class="rule-toggle">
                         <button class="btn btn-small btn-edit" data-action="edit" title="Edit rule">
                             ✏️
                         </button>
-                        <button class="btn btn-small ${toggleBtnClass}" data-action="toggle">
+                        <button class="btn btn-small ${toggleBtnClass}" data-action="toggle"${toggleTitle ? ` title="${toggleTitle}"` : ''}>
                             ${toggleBtnText}
                         </button>
                         <button class="btn btn-small btn-danger" data-action="delete" title="Delete rule">
@@ -177,8 +407,11 @@ class RulesManager {
                 </div>
                 <div class="rule-details">
                     ${ui.formatRuleMatch(rule)}
-                    <span class="rule-action">→ ${ui.formatAction(rule.action, rule)}</span>
+                    <span class="rule-action">→ ${ui.formatActions(rule.actions)}</span>
+                    ${rule.stopProcessing ? '<span class="rule-stop" title="Later rules skip emails this rule matches">⏹ Stop</span>' : ''}
+                    ${ui.formatSourceFolders(rule)}
                 </div>
+                ${ui.formatRuleExceptions(rule)}
             </div>
         `;
     }
@@ -186,9 +419,11 @@ class RulesManager {
     /**
      * Start editing a rule
      * @param {string} id - Rule ID
+     * @param {string} layer - Layer the rule is in
      */
-    startEditing(id) {
+    startEditing(id, layer = 'account') {
         this.editingRuleId = id;
+        this.editingLayer = layer;
     }
 
     /**
@@ -196,6 +431,7 @@ class RulesManager {
      */
     stopEditing() {
         this.editingRuleId = null;
+        this.editingLayer = 'account';
     }
 
     /**
@@ -212,11 +448,11 @@ class RulesManager {
      */
     getEditingRule() {
         if (!this.editingRuleId) return null;
-        return this.getRule(this.editingRuleId);
+        return this.getRule(this.editingRuleId, this.editingLayer);
     }
 
     /**
-     * Get all rules (for export)
+     * Get all of the account's own rules (for export)
      * @returns {Array} - All rules
      */
     getAllRules() {
@@ -225,33 +461,41 @@ class RulesManager {
 
     /**
      * Import rules from external source
+     * Merge updates rules it already has (same fingerprint) in place and skips exact duplicates
      * @param {Array} rules - Rules to import
      * @param {string} mode - 'merge' or 'replace'
-     * @returns {Promise<number>} - Number of rules imported
+     * @returns {Promise<Object>} - { added, updated, skipped } rule counts
      */
     async importRules(rules, mode = 'merge') {
+        let result;
+
         if (mode === 'replace') {
             // Replace all existing rules
             this.rules = rules.map(rule => ({
                 ...rule,
-                id: rule.id || Date.now().toString() + Math.random().toString(36).substr(2, 9),
+                id: rule.id || generateId(),
                 account: this.currentAccount,
                 importedAt: Date.now()
             }));
+            result = { added: rules.length, updated: 0, skipped: 0 };
         } else {
-            // Merge: add new rules with new IDs
-            const newRules = rules.map(rule => ({
+            // Merge: new rules get new IDs, matches keep theirs
+            const plan = planMerge(rules, this.rules);
+            const added = new Set(plan.added);
+            this.rules = plan.rules.map(rule => (added.has(rule) ? {
                 ...rule,
-                id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+                id: generateId(),
                 account: this.currentAccount,
                 importedAt: Date.now()
-            }));
-            this.rules = [...this.rules, ...newRules];
+            } : rule));
+            result = { added: plan.added.length, updated: plan.updated.length, skipped: plan.skipped.length };
         }
 
-        await this.saveRules();
-        logger.log('Imported', rules.length, 'rules in', mode, 'mode');
-        return rules.length;
+        await this.saveRules(mode === 'replace'
+            ? `Replaced the rules with ${result.added} imported rules`
+            : `Imported rules: ${result.added} added, ${result.updated} updated`);
+        logger.log('Imported rules in', mode, 'mode:', result);
+        return result;
     }
 }
 
@@ -0,0 +1,118 @@
+/**
+ * TutOrg - Schedule Manager
+ * Loads and saves per-account scheduled runs (alarms live in the background)
+ */
+
+import { DEFAULT_SCHEDULE, SCHEDULE_INTERVALS } from '../lib/constants.js';
+import { logger, escapeHtml } from '../lib/utils.js';
+import { ui } from './ui.js';
+
+/**
+ * Schedule Manager for the current account's scheduled runs
+ */
+class ScheduleManager {
+    constructor() {
+        this.account = 'default';
+        this.schedule = { ...DEFAULT_SCHEDULE };
+        this.nextRunAt = null;
+    }
+
+    /**
+     * Load the schedule for an account from the background
+     * @param {string} account - Account identifier
+     */
+    async load(account = 'default') {
+        this.account = account;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSchedule', account });
+            this.schedule = { ...DEFAULT_SCHEDULE, ...response?.schedule };
+            this.nextRunAt = response?.nextRunAt || null;
+        } catch (error) {
+            logger.error('Error loading schedule:', error);
+            this.schedule = { ...DEFAULT_SCHEDULE };
+            this.nextRunAt = null;
+        }
+    }
+
+    /**
+     * Save the schedule for the current account
+     * @param {Object} schedule - Schedule fields from the editor
+     */
+    async save(schedule) {
+        const response = await chrome.runtime.sendMessage({
+            action: 'saveSchedule',
+            account: this.account,
+            schedule
+        });
+
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to save schedule');
+        }
+
+        this.schedule = response.schedule;
+        this.nextRunAt = response.nextRunAt || null;
+        logger.log('Saved schedule for', this.account);
+    }
+
+    /**
+     * Describe the schedule's interval and hours
+     * @param {Object} schedule - Schedule object
+     * @returns {string}
+     */
+    describe(schedule = this.schedule) {
+        if (!schedule.enabled) return 'Off';
+
+        const interval = SCHEDULE_INTERVALS[schedule.intervalMinutes] || `Every ${schedule.intervalMinutes} min`;
+        const parts = [interval];
+        if (schedule.workingHoursOnly) parts.push(`${schedule.startTime}–${schedule.endTime}`);
+        if (schedule.weekdaysOnly) parts.push('Mon–Fri');
+        return parts.join(', ');
+    }
+
+    /**
+     * Render the one-line schedule summary
+     * @param {string} containerId - Container element ID
+     */
+    renderSummary(containerId = 'scheduleSummary') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const next = this.schedule.enabled && this.nextRunAt
+            ? ` · next ${ui.formatTime(this.nextRunAt)}`
+            : '';
+        container.textContent = this.describe() + next;
+    }
+
+    /**
+     * Render next/last run details for the schedule editor
+     * @param {string} containerId - Container element ID
+     */
+    renderStatus(containerId = 'scheduleStatus') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const lastRun = this.schedule.lastRun;
+        const next = this.schedule.enabled
+            ? (this.nextRunAt ? ui.formatTime(this.nextRunAt) : 'Not scheduled')
+            : 'Schedule is off';
+        const last = lastRun
+            ? `${ui.formatTime(lastRun.at)} — ${lastRun.success ? '✓' : '✗'} ${lastRun.message}`
+            : 'Never';
+
+        const runs = (this.schedule.runs || []).map(run => `
+            <li class="${run.success ? 'run-success' : 'run-failure'}">
+                ${escapeHtml(ui.formatTime(run.at))}: ${escapeHtml(run.message)}
+            </li>
+        `).join('');
+
+        container.innerHTML = `
+            <div><strong>Next run:</strong> ${escapeHtml(next)}</div>
+            <div><strong>Last run:</strong> ${escapeHtml(last)}</div>
+            ${runs ? `<ul class="schedule-runs">${runs}</ul>` : ''}
+        `;
+    }
+}
+
+// Export singleton instance
+export const scheduleManager = new ScheduleManager();
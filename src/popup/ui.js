@@ -3,8 +3,15 @@
  * Handles all UI operations, tooltips, status messages, and DOM manipulation
  */
 
-import { TIMING, MATCH_TYPES, ACTION_TYPES } from '../lib/constants.js';
+import { TIMING, RULE_LAYERS } from '../lib/constants.js';
 import { escapeHtml, $, createElement } from '../lib/utils.js';
+import { describeConditions, describeCondition } from '../lib/conditions.js';
+import { describeActions } from '../lib/actions.js';
+import { describeSourceFolders } from '../lib/folders.js';
+import { IMPORT_STATUS } from '../lib/import-check.js';
+
+// Names listed per line of the import diff before "and N more"
+const MAX_DIFF_NAMES = 5;
 
 /**
  * UI Service for popup interface
@@ -123,6 +130,73 @@ class UIService {
         }, TIMING.STATUS_TIMEOUT);
     }
 
+    /**
+     * Show or hide the warning that rules are only saved on this device
+     * @param {Object|null} status - { error } from a failed sync, or null
+     */
+    renderSyncWarning(status) {
+        const element = $('#syncWarning');
+        if (!element) return;
+
+        element.textContent = status
+            ? `⚠ Rules aren't syncing (${status.error}). They're saved on this device only until a save fits again.`
+            : '';
+        element.classList.toggle('hidden', !status);
+    }
+
+    /**
+     * Show or hide the notice that rules were changed on this device and another one
+     * @param {number} count - Unresolved conflicts
+     */
+    renderConflictNotice(count) {
+        const text = $('#conflictNoticeText');
+        if (text) {
+            text.textContent = count === 1
+                ? '⚠ A rule was changed on this device and another one.'
+                : `⚠ ${count} rules were changed on this device and another one.`;
+        }
+        this.toggleElement('conflictNotice', count > 0);
+    }
+
+    /**
+     * Render sync conflicts: the version kept (written last) next to the one it replaced
+     * @param {string} containerId - Container element ID
+     * @param {Array} conflicts - [{ id, name, kept, other, keptFrom, at }]
+     */
+    renderConflicts(containerId, conflicts = []) {
+        const container = $(`#${containerId}`);
+        if (!container) return;
+
+        const describe = (rule) => (rule
+            ? `${escapeHtml(rule.name)}: ${escapeHtml(describeConditions(rule.conditions))} → ${this.formatActions(rule.actions)}${rule.enabled ? '' : ' (disabled)'}`
+            : 'Deleted');
+        const source = (from) => (from === 'local' ? 'this device' : 'another device');
+
+        container.innerHTML = conflicts.map(conflict => {
+            const otherFrom = conflict.keptFrom === 'local' ? 'sync' : 'local';
+            const otherLabel = !conflict.other ? 'Delete the rule' : conflict.kept ? 'Use this version' : 'Restore it';
+            const keptAt = conflict.kept ? ` (${escapeHtml(this.formatTime(conflict.kept.updatedAt))})` : '';
+
+            return `
+                <div class="conflict-entry" data-conflict-id="${escapeHtml(conflict.id)}" data-layer="${conflict.layer || 'account'}">
+                    <div class="conflict-name">${escapeHtml(conflict.name)}${conflict.layer === 'global' ? ` <span class="rule-layer rule-layer-global">${RULE_LAYERS.global}</span>` : ''}</div>
+                    <div class="conflict-version">
+                        <span class="conflict-label">Kept, from ${source(conflict.keptFrom)}${keptAt}:</span>
+                        ${describe(conflict.kept)}
+                    </div>
+                    <div class="conflict-version">
+                        <span class="conflict-label">Replaced, from ${source(otherFrom)}:</span>
+                        ${describe(conflict.other)}
+                    </div>
+                    <div class="conflict-buttons">
+                        <button class="btn btn-small btn-secondary" data-conflict-action="keep">Keep</button>
+                        <button class="btn btn-small btn-primary" data-conflict-action="use-other">${otherLabel}</button>
+                    </div>
+                </div>
+            `;
+        }).join('') || '<div class="form-hint">No conflicts left.</div>';
+    }
+
     /**
      * Update account display
      * @param {string} account - Account identifier
@@ -131,59 +205,126 @@ class UIService {
         const accountDisplay = $('#currentAccount');
         if (accountDisplay) {
             accountDisplay.textContent = account === 'default' 
-                ? 'Not detected (using global rules)' 
+                ? 'Not detected (default account)'
                 : account;
         }
     }
 
     /**
-     * Get match type help text
-     * @param {string} matchType - Match type key
-     * @returns {string} - Help text
+     * Fill the account switcher, shown instead of the plain account name once rules are stored
+     * for more than one account
+     * @param {Array<string>} accounts - Accounts with stored rules
+     * @param {string} current - Account whose rules are shown
+     * @param {string} detected - Account signed in to the Tuta tab
      */
-    getMatchTypeHelp(matchType) {
-        return MATCH_TYPES[matchType]?.help || '';
+    renderAccountSwitcher(accounts, current, detected) {
+        const select = $('#accountSwitcher');
+        if (!select) return;
+
+        const list = [...new Set([detected, current, ...accounts])];
+        const show = list.length > 1;
+        select.classList.toggle('hidden', !show);
+        this.toggleElement('currentAccount', !show);
+        if (!show) return;
+
+        select.innerHTML = list.map(account => {
+            const name = account === 'default' ? 'default (not detected)' : account;
+            const label = account === detected ? `${name} · this tab` : name;
+            return `<option value="${escapeHtml(account)}"${account === current ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+        }).join('');
     }
 
     /**
-     * Check if match type is complex (requires multiple fields)
-     * @param {string} matchType - Match type key
-     * @returns {boolean}
+     * Show how many rules are selected for copying or moving
+     * @param {number} count - Selected rules
      */
-    isComplexMatchType(matchType) {
-        return MATCH_TYPES[matchType]?.isComplex || false;
+    renderRuleSelection(count) {
+        this.setText('ruleSelectionCount', `${count} selected`);
+        this.toggleElement('ruleSelectionBar', count > 0);
     }
 
     /**
-     * Format match type for display
-     * @param {string} matchType - Match type key
-     * @returns {string} - Display name
+     * Render the target folder choices of a rule transfer
+     * @param {string} containerId - Container element ID
+     * @param {Object} options - { account, missing: findMissingFolders result (null if the account's folders are unknown), folders, referenced: number of target folders used }
      */
-    formatMatchType(matchType) {
-        return MATCH_TYPES[matchType]?.displayName || matchType;
+    renderTransferFolders(containerId, { account, missing, folders = [], referenced = 0 }) {
+        const container = $(`#${containerId}`);
+        if (!container) return;
+
+        if (!account || referenced === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        if (!missing) {
+            container.innerHTML = `<div class="form-hint">📁 ${escapeHtml(account)}'s folders haven't been seen yet, so folder names are kept as they are. Open that account in Tuta with this popup once to check them.</div>`;
+            return;
+        }
+        if (missing.length === 0) {
+            container.innerHTML = `<div class="form-hint">✓ ${escapeHtml(account)} has every folder these rules move mail to.</div>`;
+            return;
+        }
+
+        const rows = missing.map(({ folder, suggestion }) => {
+            const options = folders.map(name =>
+                `<option value="${escapeHtml(name)}"${name === suggestion ? ' selected' : ''}>${escapeHtml(name)}</option>`
+            ).join('');
+            return `
+                <div class="transfer-folder" data-folder="${escapeHtml(folder)}">
+                    <span class="transfer-folder-name">📁 ${escapeHtml(folder)}</span>
+                    <span>→</span>
+                    <select aria-label="Folder to use instead of ${escapeHtml(folder)}">
+                        <option value="">Keep (create it in ${escapeHtml(account)} first)</option>
+                        ${options}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="form-hint">${escapeHtml(account)} has no folder with these names. Move mail to:</div>
+            ${rows}
+        `;
     }
 
     /**
-     * Format action for display
-     * @param {string} action - Action key
-     * @param {Object} rule - Optional rule object for extra info
-     * @returns {string} - Display name
+     * Read the folder replacements picked in a rule transfer
+     * @param {string} containerId - Container element ID
+     * @returns {Object} - { [folder]: replacement }
      */
-    formatAction(action, rule = {}) {
-        if (action === 'move-to-folder' && rule.targetFolder) {
-            return `📁 ${rule.targetFolder}`;
-        }
-        return ACTION_TYPES[action] || action;
+    getTransferFolderMap(containerId) {
+        const container = $(`#${containerId}`);
+        const map = {};
+        if (!container) return map;
+
+        container.querySelectorAll('.transfer-folder').forEach(row => {
+            const replacement = row.querySelector('select')?.value;
+            if (replacement) map[row.dataset.folder] = replacement;
+        });
+        return map;
     }
 
     /**
-     * Count values in array
-     * @param {Array} values - Array of values
-     * @returns {number} - Number of values
+     * Format a rule's action steps for display
+     * @param {Array} actions - Action steps
+     * @returns {string} - Escaped HTML, e.g. "Mark as Read → 📁 Newsletters"
      */
-    _countValues(values) {
-        if (!values || !Array.isArray(values)) return 0;
-        return values.filter(v => v).length;
+    formatActions(actions) {
+        return escapeHtml(describeActions(actions));
+    }
+
+    /**
+     * Format a timestamp as a short local date/time
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} - e.g. "Mon 14:30"
+     */
+    formatTime(timestamp) {
+        if (!timestamp) return '';
+        return new Date(timestamp).toLocaleString([], {
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
     }
 
     /**
@@ -198,48 +339,229 @@ class UIService {
     }
 
     /**
-     * Convert array to display string
+     * Format rule conditions for display
+     * Top-level conditions become chips joined by the root group's mode
+     * @param {Object} rule - Rule object
+     * @returns {string} - HTML string
      */
-    _toDisplayString(values) {
-        if (!values || !Array.isArray(values)) return '';
-        return values.join(', ');
+    formatRuleMatch(rule) {
+        const root = rule.conditions;
+        if (!root) {
+            return '<span class="rule-match">No conditions</span>';
+        }
+
+        const maxChips = 3;
+        const children = root.type === 'group' ? root.children : [root];
+        const joiner = `<span class="rule-match-and">${root.mode === 'all' ? 'AND' : 'OR'}</span>`;
+
+        const chips = children.slice(0, maxChips).map(child => {
+            const text = describeConditions(child);
+            const complexClass = child.type === 'group' ? 'rule-match-complex' : '';
+            return `
+                <span class="rule-match ${complexClass}" title="${escapeHtml(text)}">
+                    ${escapeHtml(this._truncate(text, 40))}
+                </span>
+            `;
+        });
+
+        const hidden = children.length - maxChips;
+        const more = hidden > 0 ? `<span class="rule-match-count" title="${escapeHtml(describeConditions(root))}">+${hidden}</span>` : '';
+        const prefix = root.mode === 'none' ? '<span class="rule-match-and">NOT</span>' : '';
+
+        return prefix + chips.join(joiner) + more;
     }
 
     /**
-     * Format rule match for display
-     * Uses array format: matchValues, senderValues, subjectValues
+     * Format rule exceptions ("unless" conditions) for display
      * @param {Object} rule - Rule object
-     * @returns {string} - HTML string
+     * @returns {string} - HTML string (empty if the rule has no exceptions)
      */
-    formatRuleMatch(rule) {
-        if (rule.matchType === 'sender-and-subject') {
-            const senderStr = this._toDisplayString(rule.senderValues);
-            const subjectStr = this._toDisplayString(rule.subjectValues);
-            
-            const senderCount = this._countValues(rule.senderValues);
-            const subjectCount = this._countValues(rule.subjectValues);
-            
+    formatRuleExceptions(rule) {
+        const exceptions = Array.isArray(rule.exceptions) ? rule.exceptions : [];
+        if (exceptions.length === 0) return '';
+
+        const text = exceptions.map(e => describeCondition(e)).join(' OR ');
+        return `
+            <div class="rule-exceptions" title="${escapeHtml(text)}">
+                <span class="rule-match-unless">UNLESS</span>
+                ${escapeHtml(this._truncate(text, 60))}
+            </div>
+        `;
+    }
+
+    /**
+     * Format a rule's source folders for display
+     * @param {Object} rule - Rule object
+     * @returns {string} - HTML string (empty if the rule runs in any folder)
+     */
+    formatSourceFolders(rule) {
+        const text = describeSourceFolders(rule);
+        if (!text) return '';
+        return `<span class="rule-folders" title="Only runs in: ${escapeHtml(text)}">📂 ${escapeHtml(this._truncate(text, 30))}</span>`;
+    }
+
+    /**
+     * Render folder checkboxes for a rule's source folders
+     * Checked folders missing from the list (e.g. renamed, or from another device) are kept
+     * @param {string} containerId - Container element ID
+     * @param {Array<string>} folderNames - Folders shown in Tuta's sidebar
+     * @param {Array<string>} selected - Checked folders
+     */
+    renderSourceFolders(containerId, folderNames, selected = []) {
+        const container = $(`#${containerId}`);
+        if (!container) return;
+
+        const lower = folderNames.map(name => name.toLowerCase());
+        const names = [...folderNames, ...selected.filter(name => !lower.includes(name.toLowerCase()))];
+        const checked = selected.map(name => name.toLowerCase());
+
+        if (names.length === 0) {
+            container.innerHTML = '<span class="form-hint">Open Tuta Mail to list folders</span>';
+            return;
+        }
+
+        container.innerHTML = names.map(name => `
+            <label class="source-folder">
+                <input type="checkbox" value="${escapeHtml(name)}" ${checked.includes(name.toLowerCase()) ? 'checked' : ''}>
+                <span>${escapeHtml(name)}</span>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Get the checked source folders
+     * @param {string} containerId - Container element ID
+     * @returns {Array<string>}
+     */
+    getSourceFolders(containerId) {
+        const container = $(`#${containerId}`);
+        if (!container) return [];
+        return [...container.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+    }
+
+    /**
+     * Render preview (dry run) results, one block per rule
+     * @param {string} containerId - Container element ID
+     * @param {Array} results - [{ rule, actions, color, count, matches: [{ sender, subject }] }]
+     */
+    renderPreview(containerId, results = []) {
+        const container = $(`#${containerId}`);
+        if (!container) return;
+
+        container.innerHTML = results.map(result => {
+            const matches = result.matches.map(match => `
+                <li title="${escapeHtml(`${match.sender} — ${match.subject}`)}">
+                    <span class="preview-sender">${escapeHtml(match.sender || '(unknown sender)')}</span>
+                    — ${escapeHtml(match.subject || '(no subject)')}
+                </li>
+            `).join('');
+
             return `
-                <span class="rule-match rule-match-complex" title="${escapeHtml(senderStr)}">
-                    Sender: ${this._truncate(escapeHtml(senderStr))}
-                    ${senderCount > 1 ? `<span class="rule-match-count">${senderCount}</span>` : ''}
-                </span>
-                <span class="rule-match-and">AND</span>
-                <span class="rule-match rule-match-complex" title="${escapeHtml(subjectStr)}">
-                    Subject: ${this._truncate(escapeHtml(subjectStr))}
-                    ${subjectCount > 1 ? `<span class="rule-match-count">${subjectCount}</span>` : ''}
-                </span>
+                <div class="preview-rule" style="--preview-color: ${escapeHtml(result.color)}">
+                    <div class="preview-rule-header">
+                        <span>${escapeHtml(result.rule)}</span>
+                        <span class="preview-rule-count">${result.count} → ${this.formatActions(result.actions)}</span>
+                    </div>
+                    ${matches ? `<ul class="preview-matches">${matches}</ul>` : ''}
+                </div>
             `;
+        }).join('');
+    }
+
+    /**
+     * Render the per-filter mapping of a Gmail/Thunderbird import
+     * Importable filters get a checkbox (checked) carrying their index
+     * @param {string} containerId - Container element ID
+     * @param {Array} filters - Preview entries from importMailFilters
+     */
+    renderFilterMappings(containerId, filters = []) {
+        const container = $(`#${containerId}`);
+        if (!container) return;
+
+        container.innerHTML = filters.map((filter, index) => {
+            const notes = filter.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('');
+            const result = filter.rule
+                ? `→ ${escapeHtml(describeConditions(filter.rule.conditions))} → ${this.formatActions(filter.rule.actions)}`
+                : `Not imported: ${escapeHtml(filter.error)}`;
+
+            return `
+                <div class="filter-mapping ${filter.rule ? '' : 'filter-mapping-skipped'}">
+                    <label class="filter-mapping-header">
+                        ${filter.rule ? `<input type="checkbox" data-filter-index="${index}" checked>` : ''}
+                        <span>${escapeHtml(filter.name)}</span>
+                        ${filter.rule && !filter.rule.enabled ? '<span class="filter-mapping-disabled">disabled</span>' : ''}
+                    </label>
+                    <div class="filter-mapping-source">${escapeHtml(filter.source)}</div>
+                    <div class="filter-mapping-result">${result}</div>
+                    ${notes ? `<ul class="filter-mapping-notes">${notes}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the import check: each incoming rule with its status, problems, fixes and warnings
+     * @param {string} containerId - Container element ID
+     * @param {Array} entries - Entries from checkImport
+     * @param {Object} options - { selected: Set of ticked indexes, applyFixes }
+     */
+    renderImportCheck(containerId, entries = [], { selected = new Set(), applyFixes = true } = {}) {
+        const container = $(`#${containerId}`);
+        if (!container) return;
+
+        container.innerHTML = entries.map(entry => {
+            const importable = entry.status === 'accepted' || (entry.status === 'fixable' && applyFixes);
+            const notes = [
+                ...entry.problems.map(text => ['problem', text]),
+                ...entry.fixes.map(text => ['fix', text]),
+                ...entry.warnings.map(text => ['warning', text]),
+                ...(entry.duplicateOf ? [['warning', `Duplicate of ${entry.duplicateOf}`]] : [])
+            ].map(([type, text]) => `<li class="import-note-${type}">${escapeHtml(text)}</li>`).join('');
+            const status = entry.status !== 'rejected' && entry.duplicateOf ? 'Duplicate' : IMPORT_STATUS[entry.status];
+
+            return `
+                <div class="import-entry import-entry-${entry.status}">
+                    <label class="import-entry-header">
+                        <input type="checkbox" data-import-index="${entry.index}" ${importable && selected.has(entry.index) ? 'checked' : ''} ${importable ? '' : 'disabled'}>
+                        <span class="import-entry-name">${escapeHtml(entry.name)}</span>
+                        <span class="import-entry-status">${escapeHtml(status)}</span>
+                    </label>
+                    ${notes ? `<ul class="import-entry-notes">${notes}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render what an import would change
+     * @param {string} containerId - Container element ID
+     * @param {Object} diff - Result of diffImport
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    renderImportDiff(containerId, diff, mode) {
+        const container = $(`#${containerId}`);
+        if (!container) return;
+
+        const names = (list) => {
+            const shown = list.slice(0, MAX_DIFF_NAMES).map(name => escapeHtml(name)).join(', ');
+            return list.length > MAX_DIFF_NAMES ? `${shown} and ${list.length - MAX_DIFF_NAMES} more` : shown;
+        };
+
+        const rows = [];
+        if (diff.added.length) rows.push(`<li class="import-diff-added">+ ${diff.added.length} added: ${names(diff.added)}</li>`);
+        diff.changed.forEach(change => {
+            rows.push(`<li>~ ${escapeHtml(change.name)}: ${escapeHtml(change.fields.join(', '))} updated</li>`);
+        });
+        if (diff.unchanged.length) {
+            const label = mode === 'replace' ? 'unchanged' : 'already there, skipped';
+            rows.push(`<li>= ${diff.unchanged.length} ${label}: ${names(diff.unchanged)}</li>`);
         }
-        
-        const matchStr = this._toDisplayString(rule.matchValues);
-        const valueCount = this._countValues(rule.matchValues);
-        
-        return `
-            <span class="rule-match" title="${escapeHtml(matchStr)}">
-                ${this.formatMatchType(rule.matchType)}: ${this._truncate(escapeHtml(matchStr))}
-                ${valueCount > 1 ? `<span class="rule-match-count">${valueCount}</span>` : ''}
-            </span>
+        if (diff.removed.length) rows.push(`<li class="import-diff-removed">− ${diff.removed.length} removed: ${names(diff.removed)}</li>`);
+        if (diff.kept.length) rows.push(`<li>${diff.kept.length} current rules kept</li>`);
+
+        container.innerHTML = `
+            <div class="import-diff-title">${mode === 'replace' ? 'After replacing' : 'After adding'}</div>
+            <ul>${rows.join('') || '<li>No changes</li>'}</ul>
         `;
     }
 
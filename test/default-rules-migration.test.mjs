@@ -0,0 +1,95 @@
+/**
+ * Upgrading from versions that copied every save into emailRules_default
+ * Run with: node --test test/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * In-memory stand-in for a chrome.storage area
+ */
+function createStorageArea() {
+    const data = {};
+    const pick = (keys) => {
+        if (keys === null) return structuredClone(data);
+        const list = Array.isArray(keys) ? keys : [keys];
+        return Object.fromEntries(list.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+    };
+    return {
+        data,
+        async get(keys) { return pick(keys); },
+        async set(items) { Object.assign(data, structuredClone(items)); },
+        async remove(keys) { (Array.isArray(keys) ? keys : [keys]).forEach(key => delete data[key]); }
+    };
+}
+
+globalThis.chrome = { storage: { local: createStorageArea(), sync: createStorageArea() } };
+
+const { storage } = await import('../src/lib/storage.js');
+
+const rule = (id, account) => ({
+    id,
+    name: `Rule ${id}`,
+    conditions: { type: 'group', mode: 'any', children: [{ type: 'condition', field: 'subject', operator: 'contains', value: id, flags: '' }] },
+    exceptions: [],
+    actions: [{ type: 'archive' }],
+    priority: 100,
+    stopProcessing: false,
+    sourceFolders: [],
+    enabled: true,
+    account,
+    createdAt: 1
+});
+
+beforeEach(() => {
+    chrome.storage.local = createStorageArea();
+    chrome.storage.sync = createStorageArea();
+});
+
+test('removes a default set that matches an account\'s rules', async () => {
+    // As saved by the version before global rules: the same set under both keys
+    const saved = { schemaVersion: 3, rules: [rule('a1', 'alice@tuta.com')] };
+    chrome.storage.local.data['emailRules_alice@tuta.com'] = saved;
+    chrome.storage.local.data.emailRules_default = saved;
+    chrome.storage.sync.data.emailRules_default = [rule('a1', 'alice@tuta.com')];
+
+    assert.deepEqual(await storage.getRuleAccounts(), ['alice@tuta.com']);
+    assert.equal(chrome.storage.local.data.emailRules_default, undefined);
+    assert.equal(chrome.storage.sync.data.emailRules_default, undefined);
+    assert.equal(chrome.storage.local.data.defaultRulesChecked, true);
+});
+
+test('removes an older copy of an account\'s rules', async () => {
+    chrome.storage.local.data['emailRules_alice@tuta.com'] = { schemaVersion: 4, rules: [rule('a1', 'alice@tuta.com'), rule('a2', 'alice@tuta.com')] };
+    chrome.storage.local.data['emailRules_bob@tuta.com'] = { schemaVersion: 4, rules: [rule('b1', 'bob@tuta.com')] };
+    chrome.storage.local.data.emailRules_default = { schemaVersion: 4, rules: [rule('a1', 'alice@tuta.com')] };
+
+    assert.deepEqual(await storage.getRuleAccounts(), ['alice@tuta.com', 'bob@tuta.com']);
+    assert.equal(chrome.storage.local.data.emailRules_default, undefined);
+});
+
+test('moves a copy to its account when that account has no rules stored', async () => {
+    chrome.storage.local.data.emailRules_default = { schemaVersion: 3, rules: [rule('a1', 'alice@tuta.com')] };
+
+    assert.deepEqual(await storage.getRuleAccounts(), ['alice@tuta.com']);
+    assert.equal(chrome.storage.local.data.emailRules_default, undefined);
+    assert.deepEqual((await storage.getRules('alice@tuta.com')).map(r => r.id), ['a1']);
+});
+
+test('keeps rules saved while no account was detected', async () => {
+    chrome.storage.local.data['emailRules_alice@tuta.com'] = { schemaVersion: 4, rules: [rule('a1', 'alice@tuta.com')] };
+    chrome.storage.local.data.emailRules_default = { schemaVersion: 4, rules: [rule('d1', 'default')] };
+
+    assert.deepEqual(await storage.getRuleAccounts(), ['alice@tuta.com', 'default']);
+    assert.deepEqual((await storage.getRules('default')).map(r => r.id), ['d1']);
+});
+
+test('checks only once', async () => {
+    chrome.storage.local.data.defaultRulesChecked = true;
+    const copy = { schemaVersion: 4, rules: [rule('a1', 'alice@tuta.com')] };
+    chrome.storage.local.data['emailRules_alice@tuta.com'] = copy;
+    chrome.storage.local.data.emailRules_default = copy;
+
+    assert.deepEqual(await storage.getRuleAccounts(), ['alice@tuta.com', 'default']);
+});
@@ -0,0 +1,54 @@
+/**
+ * Thunderbird filter import
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFilterFormat, importMailFilters } from '../src/lib/filter-import.js';
+
+const filter = (name, actionValue, condition = 'AND (subject,contains,x)') => [
+    `name="${name}"`,
+    'enabled="yes"',
+    'type="17"',
+    'action="Move to folder"',
+    `actionValue="${actionValue}"`,
+    `condition="${condition}"`
+].join('\n');
+
+const file = (...filters) => ['version="9"', 'logging="no"', ...filters].join('\n') + '\n';
+
+const moveTarget = (entry) => entry.rule.actions.find(step => step.type === 'move-to-folder')?.targetFolder;
+
+test('detects msgFilterRules.dat', () => {
+    assert.equal(detectFilterFormat('msgFilterRules.dat', ''), 'thunderbird');
+    assert.equal(detectFilterFormat('filters.txt', file(filter('A', 'imap://u@h/INBOX/A'))), 'thunderbird');
+    assert.equal(detectFilterFormat('notes.txt', 'hello'), null);
+});
+
+test('decodes folder URLs', () => {
+    const [entry] = importMailFilters('thunderbird', file(filter('Deals', 'imap://u@h/INBOX/Big%20Deals')));
+    assert.equal(entry.error, null);
+    assert.equal(moveTarget(entry), 'Big Deals');
+});
+
+test('keeps a folder name with a stray percent sign as written', () => {
+    const [entry] = importMailFilters('thunderbird', file(filter('News', 'imap://u@h/INBOX/News%ZZ')));
+    assert.equal(entry.error, null);
+    assert.equal(moveTarget(entry), 'News%ZZ');
+});
+
+test('moves to the last part of a nested folder and says so', () => {
+    const [entry] = importMailFilters('thunderbird', file(filter('Projects', 'imap://u@h/INBOX/Work/Projects')));
+    assert.equal(moveTarget(entry), 'Projects');
+    assert.deepEqual(entry.notes, ['Folder "Work/Projects" is nested; TutOrg moves mail to a folder named "Projects"']);
+});
+
+test('imports every filter in the file, in order', () => {
+    const entries = importMailFilters('thunderbird', file(
+        filter('First', 'imap://u@h/INBOX/One'),
+        filter('Second', 'mailbox://nobody@Local%20Folders/Two')
+    ));
+    assert.deepEqual(entries.map(entry => entry.name), ['First', 'Second']);
+    assert.deepEqual(entries.map(moveTarget), ['One', 'Two']);
+});
@@ -0,0 +1,86 @@
+/**
+ * Recognising known rules when importing
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRuleFingerprint, planMerge, diffImport } from '../src/lib/import-check.js';
+
+const rule = (id, name, value, overrides = {}) => ({
+    id,
+    name,
+    conditions: { type: 'group', mode: 'any', children: [{ type: 'condition', field: 'subject', operator: 'contains', value, flags: '' }] },
+    exceptions: [],
+    actions: [{ type: 'archive' }],
+    priority: 100,
+    stopProcessing: false,
+    sourceFolders: [],
+    enabled: true,
+    createdAt: 1,
+    ...overrides
+});
+
+test('fingerprints leave out names, ids and settings', () => {
+    assert.equal(
+        getRuleFingerprint(rule('a', 'One', 'invoice')),
+        getRuleFingerprint(rule('b', 'Two', 'invoice', { priority: 5, enabled: false }))
+    );
+    assert.notEqual(getRuleFingerprint(rule('a', 'One', 'invoice')), getRuleFingerprint(rule('a', 'One', 'receipt')));
+});
+
+test('skips an identical rule', () => {
+    const existing = [rule('a', 'Invoices', 'invoice')];
+    const plan = planMerge([rule('x', 'Invoices', 'invoice', { createdAt: 2 })], existing);
+
+    assert.deepEqual(plan.rules, existing);
+    assert.equal(plan.skipped.length, 1);
+    assert.deepEqual(plan.added, []);
+    assert.deepEqual(plan.updated, []);
+});
+
+test('updates a known rule in place, keeping its id and creation time', () => {
+    const existing = [rule('a', 'Invoices', 'invoice')];
+    const plan = planMerge([rule('x', 'Bills', 'invoice', { priority: 5, createdAt: 2 })], existing);
+
+    assert.equal(plan.rules.length, 1);
+    assert.equal(plan.rules[0].id, 'a');
+    assert.equal(plan.rules[0].createdAt, 1);
+    assert.equal(plan.rules[0].name, 'Bills');
+    assert.equal(plan.rules[0].priority, 5);
+    assert.deepEqual(plan.updated.map(item => item.fields), [['name', 'priority']]);
+});
+
+test('adds a rule repeated in the file once', () => {
+    const plan = planMerge([rule('x', 'New', 'receipt'), rule('y', 'New', 'receipt')], [rule('a', 'Invoices', 'invoice')]);
+
+    assert.deepEqual(plan.rules.map(item => item.id), ['a', 'x']);
+    assert.equal(plan.added.length, 1);
+    assert.equal(plan.skipped.length, 1);
+});
+
+test('previews a merge', () => {
+    const existing = [rule('a', 'Invoices', 'invoice'), rule('b', 'Receipts', 'receipt'), rule('c', 'Other', 'other')];
+    const incoming = [rule('x', 'Invoices', 'invoice'), rule('y', 'Receipts', 'receipt', { enabled: false }), rule('z', 'New', 'new')];
+
+    assert.deepEqual(diffImport(incoming, existing, 'merge'), {
+        added: ['New'],
+        changed: [{ name: 'Receipts', fields: ['enabled'] }],
+        unchanged: ['Invoices'],
+        removed: [],
+        kept: ['Other']
+    });
+});
+
+test('previews a replace by rule name', () => {
+    const existing = [rule('a', 'Invoices', 'invoice'), rule('b', 'Receipts', 'receipt')];
+    const incoming = [rule('x', 'invoices', 'invoice'), rule('y', 'New', 'new')];
+
+    assert.deepEqual(diffImport(incoming, existing, 'replace'), {
+        added: ['New'],
+        changed: [],
+        unchanged: ['invoices'],
+        removed: ['Receipts'],
+        kept: []
+    });
+});
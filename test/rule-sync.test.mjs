@@ -0,0 +1,107 @@
+/**
+ * Merging a device's rule set with the synced copy
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeRuleSets, getSyncBase } from '../src/lib/rule-sync.js';
+
+const NOW = Date.UTC(2026, 0, 31);
+// Revisions: minutes before NOW
+const at = (minutes) => NOW - minutes * 60 * 1000;
+
+const rule = (id, updatedAt, name = `Rule ${id}`) => ({ id, name, updatedAt });
+
+test('a deletion newer than the other side\'s edit removes the rule', () => {
+    const local = { rules: [], tombstones: { a: at(30) }, syncBase: { a: at(40) } };
+    const remote = { rules: [rule('a', at(40))], tombstones: {} };
+
+    const merged = mergeRuleSets(local, remote, NOW);
+
+    assert.deepEqual(merged.rules, []);
+    assert.deepEqual(merged.tombstones, { a: at(30) });
+    assert.deepEqual(merged.conflicts, []);
+    assert.equal(merged.remoteChanged, true);
+});
+
+test('an edit newer than the deletion brings the rule back', () => {
+    const local = { rules: [], tombstones: { a: at(30) }, syncBase: { a: at(40) } };
+    const remote = { rules: [rule('a', at(20), 'Renamed')], tombstones: {} };
+
+    const merged = mergeRuleSets(local, remote, NOW);
+
+    assert.deepEqual(merged.rules, [rule('a', at(20), 'Renamed')]);
+    assert.deepEqual(merged.tombstones, {});
+    assert.equal(merged.localChanged, true);
+});
+
+test('a rule deleted on one side doesn\'t come back from a stale copy', () => {
+    const local = { rules: [rule('a', at(40))], tombstones: {}, syncBase: { a: at(40) } };
+    const remote = { rules: [], tombstones: { a: at(35) } };
+
+    const merged = mergeRuleSets(local, remote, NOW);
+
+    assert.deepEqual(merged.rules, []);
+    assert.deepEqual(merged.conflicts, []);
+    assert.equal(merged.localChanged, true);
+});
+
+test('drops tombstones older than the retention period', () => {
+    const old = NOW - 31 * 24 * 60 * 60 * 1000;
+    const local = { rules: [], tombstones: { a: old }, syncBase: {} };
+    const remote = { rules: [], tombstones: { a: old } };
+
+    assert.deepEqual(mergeRuleSets(local, remote, NOW).tombstones, {});
+});
+
+test('reports a rule edited on both sides as a conflict and keeps the latest', () => {
+    const local = { rules: [rule('a', at(30), 'Mine')], tombstones: {}, syncBase: { a: at(40) } };
+    const remote = { rules: [rule('a', at(20), 'Theirs')], tombstones: {} };
+
+    const merged = mergeRuleSets(local, remote, NOW);
+
+    assert.deepEqual(merged.rules, [rule('a', at(20), 'Theirs')]);
+    assert.equal(merged.conflicts.length, 1);
+    assert.deepEqual(merged.conflicts[0], {
+        id: 'a',
+        name: 'Theirs',
+        kept: rule('a', at(20), 'Theirs'),
+        other: rule('a', at(30), 'Mine'),
+        keptFrom: 'sync',
+        at: NOW
+    });
+    assert.deepEqual(merged.syncBase, { a: at(20) });
+});
+
+test('reports an edit lost to a deletion on the other side', () => {
+    const local = { rules: [rule('a', at(30), 'Mine')], tombstones: {}, syncBase: { a: at(40) } };
+    const remote = { rules: [], tombstones: { a: at(20) } };
+
+    const merged = mergeRuleSets(local, remote, NOW);
+
+    assert.deepEqual(merged.rules, []);
+    assert.equal(merged.conflicts.length, 1);
+    assert.equal(merged.conflicts[0].kept, null);
+    assert.deepEqual(merged.conflicts[0].other, rule('a', at(30), 'Mine'));
+});
+
+test('a change on one side only is no conflict', () => {
+    const local = { rules: [rule('a', at(40)), rule('b', at(40))], tombstones: {}, syncBase: { a: at(40), b: at(40) } };
+    const remote = { rules: [rule('a', at(30), 'Renamed'), rule('b', at(40))], tombstones: {} };
+
+    const merged = mergeRuleSets(local, remote, NOW);
+
+    assert.deepEqual(merged.conflicts, []);
+    assert.deepEqual(merged.rules.find(r => r.id === 'a'), rule('a', at(30), 'Renamed'));
+    assert.equal(merged.localChanged, true);
+    assert.equal(merged.remoteChanged, false);
+});
+
+test('equal sets need no writing', () => {
+    const rules = [rule('a', at(40)), rule('b', at(30))];
+    const merged = mergeRuleSets({ rules, tombstones: {}, syncBase: getSyncBase(rules) }, { rules, tombstones: {} }, NOW);
+
+    assert.equal(merged.localChanged, false);
+    assert.equal(merged.remoteChanged, false);
+});
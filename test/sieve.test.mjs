@@ -0,0 +1,69 @@
+/**
+ * Sieve export and import
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportSieve, importSieve } from '../src/lib/sieve.js';
+
+const rule = (name, condition, actions = [{ type: 'archive' }]) => ({
+    id: name,
+    name,
+    conditions: { type: 'group', mode: 'all', children: [{ type: 'condition', flags: '', ...condition }] },
+    exceptions: [],
+    actions,
+    priority: 100,
+    stopProcessing: false,
+    sourceFolders: [],
+    enabled: true
+});
+
+const roundTrip = (rules) => {
+    const exported = exportSieve(rules);
+    const imported = importSieve(exported.script);
+    assert.deepEqual(imported.report, []);
+    return { script: exported.script, rules: imported.rules };
+};
+
+const firstCondition = (rule) => rule.conditions.children[0];
+
+test('keeps a case-sensitive regex case-sensitive', () => {
+    const { script, rules } = roundTrip([
+        rule('Invoices', { field: 'subject', operator: 'regex', value: '^Invoice [0-9]+$' })
+    ]);
+
+    assert.match(script, /header :comparator "i;octet" :regex "subject" "\^Invoice \[0-9\]\+\$"/);
+    assert.equal(firstCondition(rules[0]).flags, '');
+    assert.equal(firstCondition(rules[0]).value, '^Invoice [0-9]+$');
+});
+
+test('keeps a case-insensitive regex case-insensitive', () => {
+    const { script, rules } = roundTrip([
+        rule('Invoices', { field: 'subject', operator: 'regex', value: '^invoice', flags: 'i' })
+    ]);
+
+    assert.doesNotMatch(script, /i;octet/);
+    assert.equal(firstCondition(rules[0]).flags, 'i');
+});
+
+test('brings back names, conditions and actions', () => {
+    const { rules } = roundTrip([
+        rule('News', { field: 'sender-address', operator: 'contains', value: 'news@example.com' },
+            [{ type: 'move-to-folder', targetFolder: 'Newsletters' }])
+    ]);
+
+    assert.equal(rules.length, 1);
+    assert.equal(rules[0].name, 'News');
+    assert.deepEqual(
+        { field: firstCondition(rules[0]).field, operator: firstCondition(rules[0]).operator, value: firstCondition(rules[0]).value },
+        { field: 'sender-address', operator: 'contains', value: 'news@example.com' }
+    );
+    assert.deepEqual(rules[0].actions, [{ type: 'move-to-folder', targetFolder: 'Newsletters' }]);
+});
+
+test('reports a script it can\'t parse', () => {
+    const { rules, report } = importSieve('if header :contains "subject" {');
+    assert.deepEqual(rules, []);
+    assert.equal(report.length, 1);
+});